@@ -0,0 +1,237 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  listAnalyses,
+  getAnalysis,
+  editAnalysis,
+  deleteAnalysis,
+  ANALYSIS_SORT_ORDERS
+} = require('../services/analysisStore');
+const { getConfidenceThreshold } = require('../services/contentAnalysis');
+const { EDIT_OPERATIONS } = require('../utils/jsonPointer');
+
+const router = express.Router();
+
+const ListAnalysesQuerySchema = z.object({
+  type: z.string().max(100).optional(),
+  minConfidence: z.coerce.number().min(0).max(1).optional(),
+  maxConfidence: z.coerce.number().min(0).max(1).optional(),
+  from: z.string().date('from must be a date (YYYY-MM-DD)').optional(),
+  to: z.string().date('to must be a date (YYYY-MM-DD)').optional(),
+  skillId: z.coerce.number().int().positive().optional(),
+  linked: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  needsReview: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  sort: z.enum(Object.keys(ANALYSIS_SORT_ORDERS)).default('created'),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+}).refine(query => query.minConfidence === undefined || query.maxConfidence === undefined ||
+  query.minConfidence <= query.maxConfidence, {
+  message: 'minConfidence must not be greater than maxConfidence',
+  path: ['minConfidence']
+}).refine(query => !query.from || !query.to || query.from <= query.to, {
+  message: 'from must not be after to',
+  path: ['from']
+});
+
+const EditAnalysisRequestSchema = z.object({
+  edits: z.array(z.object({
+    op: z.enum(EDIT_OPERATIONS),
+    path: z.string().min(1, 'Path is required').max(500),
+    value: z.unknown().optional()
+  }).refine(edit => edit.op === 'remove' || edit.value !== undefined, {
+    message: 'Value is required for add and replace',
+    path: ['value']
+  })).max(100).default([]),
+  note: z.string().max(1000).optional()
+});
+
+// Map analysis edit error codes to HTTP statuses
+const EDIT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_EDIT: 400,
+  VALIDATION_FAILED: 400
+};
+
+const ReviewQueueQuerySchema = z.object({
+  type: z.string().max(100).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+/**
+ * Send a 400 response for query or body validation errors
+ * @param {object} res - Express response
+ * @param {object} error - ZodError
+ */
+function sendValidationError(res, error) {
+  res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(e => ({
+      field: e.path.join('.'),
+      message: e.message
+    }))
+  });
+}
+
+/**
+ * GET /api/analyses
+ * List stored analyses, newest first (sort=confidence for lowest first). Filters: type,
+ * minConfidence, maxConfidence, from, to (YYYY-MM-DD), skillId, linked=true|false and
+ * needsReview=true|false; paginated with limit and offset.
+ */
+router.get('/analyses', async (req, res) => {
+  try {
+    const query = ListAnalysesQuerySchema.parse(req.query);
+    const { analyses, total } = listAnalyses(req.auth.workspaceId, {
+      ...query,
+      contentType: query.type
+    });
+
+    res.json({
+      analyses,
+      pagination: {
+        total,
+        limit: query.limit,
+        offset: query.offset,
+        hasMore: query.offset + analyses.length < total
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('List analyses error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve analyses',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyses/review-queue
+ * Analyses flagged by the quality check that no human has reviewed yet, lowest
+ * confidence first. Reviewing one (PATCH /api/analyses/:id) removes it from the queue.
+ */
+router.get('/analyses/review-queue', async (req, res) => {
+  try {
+    const query = ReviewQueueQuerySchema.parse(req.query);
+    const { analyses, total } = listAnalyses(req.auth.workspaceId, {
+      contentType: query.type,
+      needsReview: true,
+      sort: 'confidence',
+      limit: query.limit,
+      offset: query.offset
+    });
+
+    res.json({
+      analyses,
+      confidenceThreshold: getConfidenceThreshold(),
+      pagination: {
+        total,
+        limit: query.limit,
+        offset: query.offset,
+        hasMore: query.offset + analyses.length < total
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve review queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analyses/:id
+ * Get an analysis with its source content, extracted data and validation report
+ */
+router.get('/analyses/:id', async (req, res) => {
+  try {
+    const analysis = getAnalysis(req.auth.workspaceId, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'The specified analysis ID does not exist'
+      });
+    }
+
+    res.json(analysis);
+  } catch (error) {
+    console.error('Get analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve analysis',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/analyses/:id
+ * Edit extractedData with JSON pointer edits ({ op, path, value }) validated against
+ * the framework; the analysis is marked as human-reviewed and each edit is recorded.
+ * With no edits the analysis is only marked as reviewed.
+ */
+router.patch('/analyses/:id', async (req, res) => {
+  try {
+    const validatedData = EditAnalysisRequestSchema.parse(req.body);
+
+    res.json(editAnalysis(req.auth.workspaceId, req.params.id, validatedData.edits, {
+      userId: req.auth.userId,
+      note: validatedData.note
+    }));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return sendValidationError(res, error);
+    }
+
+    if (EDIT_ERROR_STATUS[error.code]) {
+      return res.status(EDIT_ERROR_STATUS[error.code]).json({
+        error: error.code === 'NOT_FOUND' ? 'Analysis not found' : 'Invalid edit',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
+    console.error('Edit analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to edit analysis',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/analyses/:id
+ * Delete an analysis; skills generated from it are kept
+ */
+router.delete('/analyses/:id', async (req, res) => {
+  try {
+    if (!deleteAnalysis(req.auth.workspaceId, req.params.id)) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'The specified analysis ID does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Analysis deleted successfully',
+      deletedAnalysis: { id: req.params.id }
+    });
+  } catch (error) {
+    console.error('Delete analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to delete analysis',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
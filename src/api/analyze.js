@@ -1,30 +1,103 @@
 const express = require('express');
 const { z } = require('zod');
-const { analyzeContent } = require('../services/contentAnalysis');
+const {
+  analyzeContent,
+  MAX_CONTENT_LENGTH,
+  MAX_CHUNKED_CONTENT_LENGTH
+} = require('../services/contentAnalysis');
+const { enqueueJob } = require('../services/jobQueue');
+const { getContentTypes, AUTO_CONTENT_TYPE } = require('../services/frameworkRegistry');
+const { ModelChainSchema } = require('../utils/modelConfig');
 
 const router = express.Router();
 
 // Request validation schema
 const AnalyzeRequestSchema = z.object({
-  content: z.string().min(10, 'Content must be at least 10 characters').max(50000, 'Content must be less than 50,000 characters'),
-  contentType: z.enum(['copywriting', 'process', 'technical'], {
-    errorMap: () => ({ message: 'Content type must be one of: copywriting, process, technical' })
-  })
+  content: z.string().min(10, 'Content must be at least 10 characters'),
+  contentType: z.string().min(1, 'Content type is required'),
+  chunked: z.boolean().optional(),
+  chunkSize: z.number().int().min(5000).max(MAX_CONTENT_LENGTH).optional(),
+  chunkOverlap: z.number().int().min(0).max(10000).optional(),
+  models: ModelChainSchema.optional(),
+  noCache: z.boolean().optional(),
+  async: z.boolean().optional()
+}).superRefine((data, ctx) => {
+  // Content types come from the framework registry; "auto" detects the type
+  const contentTypes = getContentTypes();
+  if (data.contentType !== AUTO_CONTENT_TYPE && !contentTypes.includes(data.contentType)) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['contentType'],
+      message: `Content type must be "${AUTO_CONTENT_TYPE}" or one of: ${contentTypes.join(', ')}`
+    });
+  }
+
+  // Larger payloads are only accepted when chunked analysis is requested
+  const maxLength = data.chunked ? MAX_CHUNKED_CONTENT_LENGTH : MAX_CONTENT_LENGTH;
+  if (data.content.length > maxLength) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['content'],
+      message: data.chunked
+        ? `Content must be less than ${MAX_CHUNKED_CONTENT_LENGTH.toLocaleString('en-US')} characters`
+        : `Content must be less than ${MAX_CONTENT_LENGTH.toLocaleString('en-US')} characters (set "chunked": true for longer documents)`
+    });
+  }
+
+  if (data.chunkSize !== undefined && data.chunkOverlap !== undefined && data.chunkOverlap >= data.chunkSize) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['chunkOverlap'],
+      message: 'Chunk overlap must be smaller than chunk size'
+    });
+  }
+});
+
+// The stream already reports progress; background jobs are polled through /api/jobs instead
+const AnalyzeStreamRequestSchema = AnalyzeRequestSchema.refine(data => !data.async, {
+  path: ['async'],
+  message: 'Streamed analyses cannot run as background jobs; use POST /api/analyze for "async": true'
 });
 
 /**
  * POST /api/analyze
- * Analyzes content and extracts structured knowledge
+ * Analyzes content and extracts structured knowledge.
+ * With "async": true, returns 202 and a job ID to poll at /api/jobs/:id
  */
 router.post('/analyze', async (req, res) => {
   try {
     // 1. Validate request body
     const validatedData = AnalyzeRequestSchema.parse(req.body);
 
-    // 2. Call service layer
+    const options = {
+      chunked: validatedData.chunked,
+      chunkSize: validatedData.chunkSize,
+      chunkOverlap: validatedData.chunkOverlap,
+      models: validatedData.models,
+      noCache: validatedData.noCache,
+      workspaceId: req.auth.workspaceId
+    };
+
+    // 2a. Queue as a background job when requested
+    if (validatedData.async) {
+      const job = enqueueJob('analyze', {
+        content: validatedData.content,
+        contentType: validatedData.contentType,
+        options
+      }, { workspaceId: req.auth.workspaceId });
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    }
+
+    // 2b. Call service layer
     const analysis = await analyzeContent(
       validatedData.content,
-      validatedData.contentType
+      validatedData.contentType,
+      options
     );
 
     // 3. Return success response
@@ -35,7 +108,7 @@ router.post('/analyze', async (req, res) => {
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         error: 'Validation failed',
-        details: error.errors.map(e => ({
+        details: error.issues.map(e => ({
           field: e.path.join('.'),
           message: e.message
         }))
@@ -71,4 +144,103 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/analyze/stream
+ * Analyzes content and streams progress as Server-Sent Events.
+ * Events: "phase" (validating, classifying, classified, cache_hit, calling_model,
+ * fallback_model, retrying, chunking, chunk_complete, chunk_failed, parsing, saved),
+ * "token" (partial model output), then a final "result" or "error" event.
+ */
+router.post('/analyze/stream', async (req, res) => {
+  let validatedData;
+  try {
+    validatedData = AnalyzeStreamRequestSchema.parse(req.body);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    console.error('Analysis stream error:', error);
+    return res.status(500).json({
+      error: 'Analysis failed',
+      message: error.message,
+      retryable: false
+    });
+  }
+
+  // Open the event stream
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Keep idle connections alive through proxies while waiting on the model
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, 15000);
+
+  try {
+    const analysis = await analyzeContent(
+      validatedData.content,
+      validatedData.contentType,
+      {
+        chunked: validatedData.chunked,
+        chunkSize: validatedData.chunkSize,
+        chunkOverlap: validatedData.chunkOverlap,
+        models: validatedData.models,
+        noCache: validatedData.noCache,
+        workspaceId: req.auth.workspaceId,
+        stream: true,
+        onProgress: event => {
+          if (event.phase === 'token') {
+            sendEvent('token', { text: event.text, chunk: event.chunk });
+          } else {
+            sendEvent('phase', event);
+          }
+        }
+      }
+    );
+
+    sendEvent('result', analysis);
+
+  } catch (error) {
+    if (error.code !== 'ANALYSIS_ERROR' && error.code !== 'RATE_LIMIT') {
+      console.error('Streaming analysis error:', error);
+    }
+
+    sendEvent('error', {
+      error: error.code === 'RATE_LIMIT' ? 'Rate limit exceeded' : 'Analysis failed',
+      message: error.message,
+      code: error.code || null,
+      retryable: error.retryable || false,
+      ...(error.retryAfter && { retryAfter: error.retryAfter })
+    });
+
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
 module.exports = router;
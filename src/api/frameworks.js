@@ -0,0 +1,148 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  listFrameworks,
+  getFrameworkRecord,
+  createFramework,
+  updateFramework,
+  deleteFramework
+} = require('../services/frameworkRegistry');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Frameworks are shared by every workspace: any API key can read them, but only
+// the server admin (X-Admin-Key) can change them. The router is mounted before
+// authenticate so admin calls don't also need a workspace API key.
+
+// Validation schemas (framework shape is validated by the registry)
+const CreateFrameworkRequestSchema = z.object({
+  contentType: z.string().min(3, 'Content type must be at least 3 characters').max(50, 'Content type must be less than 50 characters'),
+  name: z.string().min(1, 'Name is required').max(255),
+  description: z.string().optional(),
+  framework: z.record(z.string(), z.unknown())
+});
+
+const UpdateFrameworkRequestSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  description: z.string().nullable().optional(),
+  framework: z.record(z.string(), z.unknown()).optional()
+});
+
+// Map registry error codes to HTTP statuses
+const ERROR_STATUS = {
+  INVALID_FRAMEWORK: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+/**
+ * Send an error response for framework routes
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by validation or the registry
+ * @param {string} fallbackMessage - Error label for unexpected errors
+ */
+function handleFrameworkError(res, error, fallbackMessage) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.issues.map(e => ({
+        field: e.path.join('.'),
+        message: e.message
+      }))
+    });
+  }
+
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/frameworks
+ * List registered content types and their frameworks
+ */
+router.get('/frameworks', authenticate, async (req, res) => {
+  try {
+    res.json({ frameworks: listFrameworks() });
+  } catch (error) {
+    handleFrameworkError(res, error, 'Failed to retrieve frameworks');
+  }
+});
+
+/**
+ * GET /api/frameworks/:contentType
+ * Get a single framework
+ */
+router.get('/frameworks/:contentType', authenticate, async (req, res) => {
+  try {
+    const framework = getFrameworkRecord(req.params.contentType);
+
+    if (!framework) {
+      return res.status(404).json({
+        error: 'Framework not found',
+        message: `No framework registered for content type "${req.params.contentType}"`
+      });
+    }
+
+    res.json(framework);
+  } catch (error) {
+    handleFrameworkError(res, error, 'Failed to retrieve framework');
+  }
+});
+
+/**
+ * POST /api/frameworks
+ * Register a new content type and extraction framework (requires X-Admin-Key)
+ */
+router.post('/frameworks', requireAdmin, async (req, res) => {
+  try {
+    const validatedData = CreateFrameworkRequestSchema.parse(req.body);
+    const framework = createFramework(validatedData);
+    res.status(201).json(framework);
+  } catch (error) {
+    handleFrameworkError(res, error, 'Failed to create framework');
+  }
+});
+
+/**
+ * PUT /api/frameworks/:contentType
+ * Update a custom framework (requires X-Admin-Key)
+ */
+router.put('/frameworks/:contentType', requireAdmin, async (req, res) => {
+  try {
+    const validatedData = UpdateFrameworkRequestSchema.parse(req.body);
+    const framework = updateFramework(req.params.contentType, validatedData);
+    res.json(framework);
+  } catch (error) {
+    handleFrameworkError(res, error, 'Failed to update framework');
+  }
+});
+
+/**
+ * DELETE /api/frameworks/:contentType
+ * Delete a custom framework that is not in use (requires X-Admin-Key)
+ */
+router.delete('/frameworks/:contentType', requireAdmin, async (req, res) => {
+  try {
+    deleteFramework(req.params.contentType);
+    res.json({
+      message: 'Framework deleted successfully',
+      deletedFramework: { contentType: req.params.contentType }
+    });
+  } catch (error) {
+    handleFrameworkError(res, error, 'Failed to delete framework');
+  }
+});
+
+module.exports = router;
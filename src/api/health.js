@@ -1,5 +1,6 @@
 const express = require('express');
 const dbConnection = require('../db/database');
+const { getProviderName, isProviderConfigured } = require('../utils/llmProviders');
 
 const router = express.Router();
 
@@ -29,8 +30,9 @@ router.get('/health', async (req, res) => {
       health.errors.push('Database connection failed');
     }
 
-    // Check Claude API key
-    if (!process.env.CLAUDE_API_KEY) {
+    // Check the LLM provider (the Anthropic provider needs an API key)
+    health.llmProvider = getProviderName();
+    if (!isProviderConfigured()) {
       health.claudeApi = 'unavailable';
       health.status = 'unhealthy';
       health.errors = health.errors || [];
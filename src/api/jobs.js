@@ -0,0 +1,32 @@
+const express = require('express');
+const { getJob } = require('../services/jobQueue');
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ * Get status, progress, result and error of a background job
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = getJob(req.params.id, req.auth.workspaceId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The specified job does not exist'
+      });
+    }
+
+    res.json(job);
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { getModelConfig } = require('../utils/modelConfig');
+const { getProviderName } = require('../utils/llmProviders');
+
+const router = express.Router();
+
+/**
+ * GET /api/models
+ * Effective model chain for each operation and where it is configured
+ */
+router.get('/models', async (req, res) => {
+  try {
+    res.json({
+      provider: getProviderName(),
+      ...getModelConfig()
+    });
+  } catch (error) {
+    console.error('Get models error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve model configuration',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
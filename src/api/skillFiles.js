@@ -0,0 +1,191 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  listSkillFiles,
+  getSkillFile,
+  saveSkillFiles,
+  deleteSkillFile
+} = require('../services/skillFiles');
+
+const router = express.Router();
+
+// Validation schemas
+const UploadFilesRequestSchema = z.object({
+  files: z.array(z.object({
+    path: z.string().min(1).max(255),
+    content: z.string(),
+    encoding: z.enum(['utf8', 'base64']).default('utf8')
+  })).min(1, 'At least one file is required').max(50),
+  changeNotes: z.string().max(1000).optional()
+});
+
+// Map skill file error codes to HTTP statuses
+const ERROR_STATUS = {
+  INVALID_FILE: 400,
+  NOT_FOUND: 404,
+  TOO_LARGE: 413
+};
+
+/**
+ * Send an error response for skill file routes
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by validation or the skill files service
+ * @param {string} fallbackMessage - Error label for unexpected errors
+ */
+function handleSkillFileError(res, error, fallbackMessage) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.issues.map(e => ({
+        field: e.path.join('.'),
+        message: e.message
+      }))
+    });
+  }
+
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      error: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+/**
+ * Parse the skill ID route parameter, sending a 400 when it is not a number
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {number|null} Skill ID
+ */
+function parseSkillId(req, res) {
+  const skillId = parseInt(req.params.id);
+
+  if (isNaN(skillId)) {
+    res.status(400).json({
+      error: 'Invalid skill ID',
+      message: 'Skill ID must be a number'
+    });
+    return null;
+  }
+
+  return skillId;
+}
+
+/**
+ * GET /api/skills/:id/files
+ * List a skill's scripts/ and assets/ files
+ */
+router.get('/skills/:id/files', async (req, res) => {
+  try {
+    const skillId = parseSkillId(req, res);
+    if (skillId === null) return;
+
+    const files = listSkillFiles(req.auth.workspaceId, skillId);
+
+    if (!files) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        message: 'The specified skill does not exist'
+      });
+    }
+
+    res.json({ skillId, files });
+  } catch (error) {
+    handleSkillFileError(res, error, 'Failed to retrieve skill files');
+  }
+});
+
+/**
+ * GET /api/skills/:id/files/<path>
+ * Download a single file
+ */
+router.get('/skills/:id/files/*', async (req, res) => {
+  try {
+    const skillId = parseSkillId(req, res);
+    if (skillId === null) return;
+
+    const file = getSkillFile(req.auth.workspaceId, skillId, req.params[0]);
+
+    if (!file) {
+      return res.status(404).json({
+        error: 'File not found',
+        message: 'The specified skill or file does not exist'
+      });
+    }
+
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.path.split('/').pop()}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    handleSkillFileError(res, error, 'Failed to download skill file');
+  }
+});
+
+/**
+ * POST /api/skills/:id/files
+ * Add or replace files, saved as a new skill version. Send JSON
+ * { files: [{ path, content, encoding }] }, or a single file as the raw body
+ * (Content-Type: application/octet-stream) with ?path=scripts/run.sh
+ */
+router.post('/skills/:id/files', express.raw({ type: 'application/octet-stream', limit: '5mb' }), async (req, res) => {
+  try {
+    const skillId = parseSkillId(req, res);
+    if (skillId === null) return;
+
+    let uploads;
+    let changeNotes;
+
+    if (Buffer.isBuffer(req.body)) {
+      if (!req.query.path) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [{ field: 'path', message: 'The "path" query parameter is required for raw uploads' }]
+        });
+      }
+
+      uploads = [{ path: String(req.query.path), content: req.body }];
+      changeNotes = req.query.changeNotes ? String(req.query.changeNotes) : undefined;
+    } else {
+      const validatedData = UploadFilesRequestSchema.parse(req.body);
+      uploads = validatedData.files;
+      changeNotes = validatedData.changeNotes;
+    }
+
+    const result = saveSkillFiles(req.auth.workspaceId, skillId, uploads, changeNotes);
+    res.status(201).json(result);
+  } catch (error) {
+    handleSkillFileError(res, error, 'Failed to upload skill files');
+  }
+});
+
+/**
+ * DELETE /api/skills/:id/files/<path>
+ * Delete a file, saved as a new skill version
+ */
+router.delete('/skills/:id/files/*', async (req, res) => {
+  try {
+    const skillId = parseSkillId(req, res);
+    if (skillId === null) return;
+
+    const result = deleteSkillFile(
+      req.auth.workspaceId,
+      skillId,
+      req.params[0],
+      req.query.changeNotes ? String(req.query.changeNotes) : undefined
+    );
+
+    res.json({
+      ...result,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    handleSkillFileError(res, error, 'Failed to delete skill file');
+  }
+});
+
+module.exports = router;
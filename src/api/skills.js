@@ -1,7 +1,35 @@
 const express = require('express');
 const { z } = require('zod');
-const { generateSkill } = require('../services/skillGeneration');
+const {
+  generateSkill,
+  loadAnalysisForGeneration,
+  summarizeSkillPackage
+} = require('../services/skillGeneration');
+const {
+  updateSkill,
+  listSkillVersions,
+  getSkillVersion,
+  diffSkillVersions,
+  rollbackSkill
+} = require('../services/skillVersions');
+const {
+  skillExists,
+  recordSkillUsage,
+  getSkillUsageSummary,
+  roundRating,
+  USAGE_INTERVALS
+} = require('../services/skillUsage');
+const { refineSkill } = require('../services/skillRefinement');
+const { importSkillFromZip, importSkillFromGitHub } = require('../services/skillImport');
+const { describeFile } = require('../services/skillFiles');
+const { supportsHelperScripts, SCRIPT_SKILL_TYPES } = require('../services/scriptGeneration');
+const { lintSkill } = require('../services/skillLinter');
+const { enqueueJob } = require('../services/jobQueue');
+const { isKnownContentType } = require('../services/frameworkRegistry');
+const { getReviewRequirement, getConfidenceThreshold } = require('../services/contentAnalysis');
+const { ModelChainSchema } = require('../utils/modelConfig');
 const dbConnection = require('../db/database');
+const { hasAdminKey } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -9,22 +37,107 @@ const router = express.Router();
 const GenerateSkillRequestSchema = z.object({
   analysisId: z.string().uuid('Invalid analysis ID format'),
   skillName: z.string().min(3, 'Skill name must be at least 3 characters').max(50, 'Skill name must be less than 50 characters'),
-  skillType: z.enum(['copywriting', 'process', 'technical']),
+  skillType: z.string().refine(isKnownContentType, 'Skill type must be a registered content type (see /api/frameworks)'),
   description: z.string().optional(),
-  tags: z.array(z.string()).optional()
+  tags: z.array(z.string()).optional(),
+  templateId: z.number().int().positive().optional(),
+  templateVersion: z.number().int().positive().optional(),
+  generateScripts: z.boolean().optional(),
+  models: ModelChainSchema.optional(),
+  allowLowConfidence: z.boolean().optional(),
+  async: z.boolean().optional()
+}).refine(data => !data.generateScripts || supportsHelperScripts(data.skillType), {
+  message: `Helper scripts can only be generated for ${SCRIPT_SKILL_TYPES.join(' and ')} skills`,
+  path: ['generateScripts']
 });
 
 const UpdateSkillRequestSchema = z.object({
   name: z.string().min(3).max(50).optional(),
   description: z.string().optional(),
   mainContent: z.string().min(100, 'Content must be at least 100 characters').optional(),
-  references: z.record(z.string()).optional(),
-  tags: z.array(z.string()).optional()
+  references: z.record(z.string(), z.string()).optional(),
+  tags: z.array(z.string()).optional(),
+  changeNotes: z.string().max(1000).optional()
 });
 
+const LintSkillRequestSchema = z.object({
+  mainContent: z.string().optional(),
+  references: z.record(z.string(), z.string()).optional()
+});
+
+const RollbackSkillRequestSchema = z.object({
+  version: z.number().int().positive(),
+  changeNotes: z.string().max(1000).optional()
+});
+
+const RecordUsageRequestSchema = z.object({
+  usageContext: z.string().max(2000).optional(),
+  rating: z.number().int().min(1, 'Rating must be between 1 and 5').max(5, 'Rating must be between 1 and 5').optional(),
+  improvementNotes: z.string().max(5000).optional()
+});
+
+const UsageQuerySchema = z.object({
+  interval: z.enum(Object.keys(USAGE_INTERVALS)).default('day'),
+  since: z.string().date('since must be a date (YYYY-MM-DD)').optional()
+});
+
+const RefineSkillRequestSchema = z.object({
+  notes: z.array(z.string().min(1).max(5000)).max(50).optional(),
+  changeNotes: z.string().max(1000).optional(),
+  models: ModelChainSchema.optional(),
+  async: z.boolean().optional().default(false)
+});
+
+// Map refinement error codes to HTTP statuses
+const REFINEMENT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  NO_FEEDBACK: 400,
+  INVALID_RESPONSE: 502,
+  INVALID_PACKAGE: 422,
+  INVALID_FRONTMATTER: 422
+};
+
+const ImportSkillOptionsSchema = z.object({
+  skillName: z.string().min(3).max(50).optional(),
+  skillType: z.string().optional(),
+  description: z.string().max(1024).optional(),
+  tags: z.array(z.string()).optional(),
+  path: z.string().max(255).optional(),
+  allowInvalid: z.boolean().optional()
+});
+
+const ImportGitHubRequestSchema = ImportSkillOptionsSchema.extend({
+  github: z.string().regex(/^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/, 'github must be "owner/repo"'),
+  ref: z.string().max(255).optional(),
+  githubToken: z.string().optional()
+});
+
+// Map import error codes to HTTP statuses
+const IMPORT_ERROR_STATUS = {
+  INVALID_ARCHIVE: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INVALID_SKILL: 422,
+  GITHUB_ERROR: 502
+};
+
+// ORDER BY clauses for GET /api/skills?sort=
+const SKILL_SORT_ORDERS = {
+  created: 'skills.created_at DESC',
+  rating: 'average_rating IS NULL, average_rating DESC, rating_count DESC, skills.created_at DESC',
+  popularity: 'use_count DESC, skills.created_at DESC'
+};
+
+// Map skill version error codes to HTTP statuses
+const VERSION_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
 /**
  * POST /api/generate-skill
- * Generate skill from analysis
+ * Generate skill from analysis.
+ * With "async": true, returns 202 and a job ID to poll at /api/jobs/:id
  */
 router.post('/generate-skill', async (req, res) => {
   try {
@@ -32,54 +145,74 @@ router.post('/generate-skill', async (req, res) => {
     const validatedData = GenerateSkillRequestSchema.parse(req.body);
 
     // 2. Get analysis data from database
-    const db = dbConnection.getConnection();
-    const analysis = db.prepare(`
-      SELECT analysis_result, content_type, confidence, created_at
-      FROM content_analyses 
-      WHERE id = ?
-    `).get(validatedData.analysisId);
+    const analysisData = loadAnalysisForGeneration(validatedData.analysisId, req.auth.workspaceId);
 
-    if (!analysis) {
+    if (!analysisData) {
       return res.status(404).json({
         error: 'Analysis not found',
         message: 'The specified analysis ID does not exist'
       });
     }
 
-    // 3. Reconstruct analysis data
-    const analysisData = {
-      analysisId: validatedData.analysisId,
-      contentType: analysis.content_type,
-      extractedData: JSON.parse(analysis.analysis_result),
-      confidence: analysis.confidence,
-      timestamp: analysis.created_at
-    };
+    // Low-confidence or flagged analyses need a human review first unless explicitly overridden
+    const reviewRequirement = validatedData.allowLowConfidence ? null : getReviewRequirement(analysisData);
+    if (reviewRequirement) {
+      return res.status(422).json({
+        error: 'Analysis needs review',
+        message: `${reviewRequirement} ` +
+          'Review it with PATCH /api/analyses/:id or set "allowLowConfidence": true to generate anyway.',
+        confidence: analysisData.confidence,
+        confidenceThreshold: getConfidenceThreshold(),
+        requiresReview: analysisData.requiresReview
+      });
+    }
+
+    // 3a. Queue as a background job when requested
+    if (validatedData.async) {
+      const job = enqueueJob('generate-skill', {
+        analysisId: validatedData.analysisId,
+        skillName: validatedData.skillName,
+        skillType: validatedData.skillType,
+        description: validatedData.description,
+        tags: validatedData.tags,
+        templateId: validatedData.templateId,
+        templateVersion: validatedData.templateVersion,
+        generateScripts: validatedData.generateScripts,
+        models: validatedData.models
+      }, { workspaceId: req.auth.workspaceId });
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    }
 
-    // 4. Generate skill
+    // 3b. Generate skill
     const skillPackage = await generateSkill(
       analysisData,
       validatedData.skillName,
       validatedData.skillType,
       validatedData.description,
-      validatedData.tags
+      validatedData.tags,
+      {
+        workspaceId: req.auth.workspaceId,
+        templateId: validatedData.templateId,
+        templateVersion: validatedData.templateVersion,
+        generateScripts: validatedData.generateScripts,
+        models: validatedData.models
+      }
     );
 
-    // 5. Return success response
-    res.status(201).json({
-      skillId: skillPackage.skillId,
-      skillName: skillPackage.skillName,
-      version: skillPackage.version,
-      downloadUrl: skillPackage.downloadUrl,
-      createdAt: skillPackage.createdAt,
-      metadata: skillPackage.metadata
-    });
+    // 4. Return success response
+    res.status(201).json(summarizeSkillPackage(skillPackage));
 
   } catch (error) {
     // Handle validation errors
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         error: 'Validation failed',
-        details: error.errors.map(e => ({
+        details: error.issues.map(e => ({
           field: e.path.join('.'),
           message: e.message
         }))
@@ -94,6 +227,13 @@ router.post('/generate-skill', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Template')) {
+      return res.status(error.message.includes('not found') ? 404 : 400).json({
+        error: 'Invalid template',
+        message: error.message
+      });
+    }
+
     console.error('Skill generation error:', error);
 
     res.status(500).json({
@@ -103,21 +243,97 @@ router.post('/generate-skill', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/skills/import
+ * Import an existing skill package. Send either a ZIP archive as the raw body
+ * (Content-Type: application/zip; options as query parameters) or JSON with
+ * { github: "owner/repo", ref, path, ... }.
+ */
+router.post('/skills/import', express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '20mb' }), async (req, res) => {
+  try {
+    let result;
+
+    if (Buffer.isBuffer(req.body)) {
+      const options = ImportSkillOptionsSchema.parse({
+        ...req.query,
+        tags: req.query.tags ? String(req.query.tags).split(',').map(tag => tag.trim()) : undefined,
+        allowInvalid: req.query.allowInvalid === 'true'
+      });
+
+      result = await importSkillFromZip(req.auth.workspaceId, req.body, options);
+    } else {
+      const validatedData = ImportGitHubRequestSchema.parse(req.body);
+      const { github, ...options } = validatedData;
+
+      result = await importSkillFromGitHub(req.auth.workspaceId, github, {
+        ...options,
+        githubToken: options.githubToken || req.headers['x-github-token'],
+        serverToken: process.env.GITHUB_TOKEN
+      });
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return res.status(IMPORT_ERROR_STATUS[error.code]).json({
+        error: 'Skill import failed',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
+    console.error('Skill import error:', error);
+    res.status(500).json({
+      error: 'Skill import failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/skills
- * List all skills with optional filtering
+ * List all skills with optional filtering and sorting (sort=created|rating|popularity)
  */
 router.get('/skills', async (req, res) => {
   try {
     const db = dbConnection.getConnection();
-    const { search, type, limit = 50, offset = 0 } = req.query;
+    const { search, type, sort = 'created', limit = 50, offset = 0 } = req.query;
+
+    if (!SKILL_SORT_ORDERS[sort]) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        message: `sort must be one of: ${Object.keys(SKILL_SORT_ORDERS).join(', ')}`
+      });
+    }
 
     let query = `
-      SELECT id, name, description, skill_type, version, created_at, updated_at, metadata
+      SELECT skills.id, name, description, skill_type, version, skills.created_at, updated_at, metadata,
+             COALESCE(usage.use_count, 0) AS use_count,
+             COALESCE(usage.rating_count, 0) AS rating_count,
+             usage.average_rating
       FROM skills
-      WHERE 1=1
+      LEFT JOIN (
+        SELECT skill_id,
+               COUNT(*) AS use_count,
+               COUNT(feedback_rating) AS rating_count,
+               AVG(feedback_rating) AS average_rating
+        FROM skill_usage
+        GROUP BY skill_id
+      ) usage ON usage.skill_id = skills.id
+      WHERE workspace_id = ?
     `;
-    const params = [];
+    const params = [req.auth.workspaceId];
 
     // Add search filter
     if (search) {
@@ -133,14 +349,14 @@ router.get('/skills', async (req, res) => {
     }
 
     // Add ordering and pagination
-    query += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
+    query += ` ORDER BY ${SKILL_SORT_ORDERS[sort]} LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), parseInt(offset));
 
     const skills = db.prepare(query).all(params);
 
     // Get total count for pagination
-    let countQuery = `SELECT COUNT(*) as total FROM skills WHERE 1=1`;
-    const countParams = [];
+    let countQuery = `SELECT COUNT(*) as total FROM skills WHERE workspace_id = ?`;
+    const countParams = [req.auth.workspaceId];
     
     if (search) {
       countQuery += ` AND (name LIKE ? OR description LIKE ?)`;
@@ -185,6 +401,11 @@ router.get('/skills', async (req, res) => {
             github: metadata.github || undefined
           },
           github: metadata.github || undefined, // Direct access for Entelech Platform
+          usage: {
+            useCount: skill.use_count,
+            ratingCount: skill.rating_count,
+            averageRating: roundRating(skill.average_rating)
+          },
           createdAt: skill.created_at,
           updatedAt: skill.updated_at
         };
@@ -224,10 +445,10 @@ router.get('/skills/:id', async (req, res) => {
 
     const skill = db.prepare(`
       SELECT id, name, description, skill_type, version, main_content, 
-             \`references\`, metadata, created_at, updated_at
+             \`references\`, files, metadata, created_at, updated_at
       FROM skills 
-      WHERE id = ?
-    `).get(skillId);
+      WHERE id = ? AND workspace_id = ?
+    `).get(skillId, req.auth.workspaceId);
 
     if (!skill) {
       return res.status(404).json({
@@ -244,6 +465,7 @@ router.get('/skills/:id', async (req, res) => {
       version: skill.version,
       mainContent: skill.main_content,
       references: JSON.parse(skill.references),
+      files: Object.entries(JSON.parse(skill.files)).map(([filePath, file]) => describeFile(filePath, file)),
       metadata: JSON.parse(skill.metadata),
       createdAt: skill.created_at,
       updatedAt: skill.updated_at
@@ -264,7 +486,6 @@ router.get('/skills/:id', async (req, res) => {
  */
 router.put('/skills/:id', async (req, res) => {
   try {
-    const db = dbConnection.getConnection();
     const skillId = parseInt(req.params.id);
 
     if (isNaN(skillId)) {
@@ -277,89 +498,455 @@ router.put('/skills/:id', async (req, res) => {
     // Validate request
     const validatedData = UpdateSkillRequestSchema.parse(req.body);
 
-    // Check if skill exists
-    const existingSkill = db.prepare('SELECT id, version FROM skills WHERE id = ?').get(skillId);
-    if (!existingSkill) {
+    // Snapshot the current version and save the update as a new one
+    const result = updateSkill(req.auth.workspaceId, skillId, validatedData);
+    const { valid, summary, diagnostics } = lintSkill(req.auth.workspaceId, skillId);
+
+    res.json({
+      id: skillId,
+      version: result.version,
+      lint: { valid, summary, diagnostics },
+      message: 'Skill updated successfully'
+    });
+
+  } catch (error) {
+    // Handle validation errors
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    if (error.code === 'INVALID_FRONTMATTER') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message,
+        details: error.details || [{ field: 'mainContent', message: error.message }]
+      });
+    }
+
+    if (VERSION_ERROR_STATUS[error.code]) {
+      return res.status(VERSION_ERROR_STATUS[error.code]).json({
+        error: error.code === 'NOT_FOUND' ? 'Skill not found' : 'Skill name conflict',
+        message: error.message
+      });
+    }
+
+    console.error('Update skill error:', error);
+    res.status(500).json({
+      error: 'Failed to update skill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/skills/:id/versions
+ * List the version history of a skill
+ */
+router.get('/skills/:id/versions', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+
+    if (isNaN(skillId)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID',
+        message: 'Skill ID must be a number'
+      });
+    }
+
+    const versions = listSkillVersions(req.auth.workspaceId, skillId);
+
+    if (!versions) {
       return res.status(404).json({
         error: 'Skill not found',
         message: 'The specified skill does not exist'
       });
     }
 
-    // Start transaction
-    const updateSkill = db.transaction(() => {
-      // Save current version to history
-      const currentSkill = db.prepare(`
-        SELECT version, main_content, \`references\`, metadata
-        FROM skills WHERE id = ?
-      `).get(skillId);
+    res.json({ skillId, versions });
 
-      db.prepare(`
-        INSERT INTO skill_versions (skill_id, version, main_content, \`references\`, metadata)
-        VALUES (?, ?, ?, ?, ?)
-      `).run(skillId, currentSkill.version, currentSkill.main_content, 
-              currentSkill.references, currentSkill.metadata);
+  } catch (error) {
+    console.error('List skill versions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve skill versions',
+      message: error.message
+    });
+  }
+});
 
-      // Update main skill
-      const updateFields = [];
-      const updateParams = [];
+/**
+ * GET /api/skills/:id/versions/:version
+ * Get the full content of one version of a skill
+ */
+router.get('/skills/:id/versions/:version', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
 
-      if (validatedData.name) {
-        updateFields.push('name = ?');
-        updateParams.push(validatedData.name);
-      }
-      if (validatedData.description) {
-        updateFields.push('description = ?');
-        updateParams.push(validatedData.description);
-      }
-      if (validatedData.mainContent) {
-        updateFields.push('main_content = ?');
-        updateParams.push(validatedData.mainContent);
-      }
-      if (validatedData.references) {
-        updateFields.push('`references` = ?');
-        updateParams.push(JSON.stringify(validatedData.references));
-      }
-      if (validatedData.tags) {
-        const metadata = JSON.parse(currentSkill.metadata);
-        metadata.tags = validatedData.tags;
-        updateFields.push('metadata = ?');
-        updateParams.push(JSON.stringify(metadata));
-      }
+    if (isNaN(skillId) || isNaN(version)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID or version',
+        message: 'Skill ID and version must be numbers'
+      });
+    }
 
-      updateFields.push('version = version + 1');
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      updateParams.push(skillId);
+    const skillVersion = getSkillVersion(req.auth.workspaceId, skillId, version);
 
-      const updateQuery = `UPDATE skills SET ${updateFields.join(', ')} WHERE id = ?`;
-      db.prepare(updateQuery).run(...updateParams);
+    if (!skillVersion) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: 'The specified skill or version does not exist'
+      });
+    }
 
-      return db.prepare('SELECT version FROM skills WHERE id = ?').get(skillId);
+    res.json(skillVersion);
+
+  } catch (error) {
+    console.error('Get skill version error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve skill version',
+      message: error.message
     });
+  }
+});
 
-    const result = updateSkill();
+/**
+ * GET /api/skills/:id/diff?from=1&to=3
+ * Unified diff of SKILL.md and reference files between two versions.
+ * `to` defaults to the current version; `format=patch` returns plain text.
+ */
+router.get('/skills/:id/diff', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+    const from = parseInt(req.query.from);
+
+    if (isNaN(skillId) || isNaN(from)) {
+      return res.status(400).json({
+        error: 'Invalid diff request',
+        message: 'Skill ID and the "from" version must be numbers'
+      });
+    }
+
+    const versions = listSkillVersions(req.auth.workspaceId, skillId);
+
+    if (!versions) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        message: 'The specified skill does not exist'
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : versions[0].version;
+    const diff = diffSkillVersions(req.auth.workspaceId, skillId, from, to);
+
+    if (req.query.format === 'patch') {
+      return res.type('text/x-diff').send(diff.patch);
+    }
+
+    res.json({ skillId, ...diff });
+
+  } catch (error) {
+    if (VERSION_ERROR_STATUS[error.code]) {
+      return res.status(VERSION_ERROR_STATUS[error.code]).json({
+        error: 'Version not found',
+        message: error.message
+      });
+    }
+
+    console.error('Diff skill versions error:', error);
+    res.status(500).json({
+      error: 'Failed to diff skill versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/skills/:id/lint
+ * Lint a skill and return diagnostics with rule ID, severity, file and line.
+ * Pass mainContent and/or references to lint unsaved edits against the stored package.
+ */
+router.post('/skills/:id/lint', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+
+    if (isNaN(skillId)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID',
+        message: 'Skill ID must be a number'
+      });
+    }
+
+    const validatedData = LintSkillRequestSchema.parse(req.body || {});
+    const result = lintSkill(req.auth.workspaceId, skillId, validatedData);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        message: 'The specified skill does not exist'
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    console.error('Lint skill error:', error);
+    res.status(500).json({
+      error: 'Failed to lint skill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/skills/:id/rollback
+ * Restore an earlier version as a new version
+ */
+router.post('/skills/:id/rollback', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+
+    if (isNaN(skillId)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID',
+        message: 'Skill ID must be a number'
+      });
+    }
+
+    const validatedData = RollbackSkillRequestSchema.parse(req.body);
+    const result = rollbackSkill(
+      req.auth.workspaceId,
+      skillId,
+      validatedData.version,
+      validatedData.changeNotes
+    );
 
     res.json({
-      id: skillId,
-      version: result.version,
-      message: 'Skill updated successfully'
+      ...result,
+      message: `Skill rolled back to version ${result.restoredFrom}`
     });
 
   } catch (error) {
-    // Handle validation errors
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         error: 'Validation failed',
-        details: error.errors.map(e => ({
+        details: error.issues.map(e => ({
           field: e.path.join('.'),
           message: e.message
         }))
       });
     }
 
-    console.error('Update skill error:', error);
+    if (error.code === 'INVALID_FRONTMATTER') {
+      return res.status(422).json({
+        error: 'Version cannot be restored',
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    if (VERSION_ERROR_STATUS[error.code]) {
+      return res.status(VERSION_ERROR_STATUS[error.code]).json({
+        error: error.code === 'NOT_FOUND' ? 'Version not found' : 'Rollback not needed',
+        message: error.message
+      });
+    }
+
+    console.error('Rollback skill error:', error);
     res.status(500).json({
-      error: 'Failed to update skill',
+      error: 'Failed to roll back skill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/skills/:id/usage
+ * Record a use of a skill, optionally with a 1-5 rating and improvement notes
+ */
+router.post('/skills/:id/usage', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+
+    if (isNaN(skillId)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID',
+        message: 'Skill ID must be a number'
+      });
+    }
+
+    const validatedData = RecordUsageRequestSchema.parse(req.body);
+
+    if (!skillExists(req.auth.workspaceId, skillId)) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        message: 'The specified skill does not exist'
+      });
+    }
+
+    res.status(201).json(recordSkillUsage(req.auth.workspaceId, skillId, validatedData));
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    console.error('Record skill usage error:', error);
+    res.status(500).json({
+      error: 'Failed to record skill usage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/skills/:id/usage?interval=day|week|month&since=YYYY-MM-DD
+ * Usage and rating aggregates for a skill
+ */
+router.get('/skills/:id/usage', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+
+    if (isNaN(skillId)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID',
+        message: 'Skill ID must be a number'
+      });
+    }
+
+    const options = UsageQuerySchema.parse(req.query);
+
+    if (!skillExists(req.auth.workspaceId, skillId)) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        message: 'The specified skill does not exist'
+      });
+    }
+
+    res.json(getSkillUsageSummary(req.auth.workspaceId, skillId, options));
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    console.error('Get skill usage error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve skill usage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/skills/:id/refine
+ * Revise a skill with Claude from recorded improvement notes (or notes in the
+ * request) and save the result as a new version
+ */
+router.post('/skills/:id/refine', async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.id);
+
+    if (isNaN(skillId)) {
+      return res.status(400).json({
+        error: 'Invalid skill ID',
+        message: 'Skill ID must be a number'
+      });
+    }
+
+    const validatedData = RefineSkillRequestSchema.parse(req.body);
+
+    if (!skillExists(req.auth.workspaceId, skillId)) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        message: 'The specified skill does not exist'
+      });
+    }
+
+    // Queue as a background job when requested
+    if (validatedData.async) {
+      const job = enqueueJob('refine-skill', {
+        skillId,
+        notes: validatedData.notes,
+        changeNotes: validatedData.changeNotes,
+        models: validatedData.models
+      }, { workspaceId: req.auth.workspaceId });
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    }
+
+    const result = await refineSkill(req.auth.workspaceId, skillId, {
+      notes: validatedData.notes,
+      changeNotes: validatedData.changeNotes,
+      models: validatedData.models
+    });
+
+    res.json({
+      ...result,
+      message: `Skill refined to version ${result.version}`
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    if (REFINEMENT_ERROR_STATUS[error.code]) {
+      return res.status(REFINEMENT_ERROR_STATUS[error.code]).json({
+        error: 'Skill refinement failed',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
+    if (error.code === 'RATE_LIMIT') {
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        retryAfter: error.retryAfter || 60,
+        message: error.message
+      });
+    }
+
+    console.error('Refine skill error:', error);
+    res.status(500).json({
+      error: 'Skill refinement failed',
       message: error.message
     });
   }
@@ -382,7 +969,8 @@ router.delete('/skills/:id', async (req, res) => {
     }
 
     // Check if skill exists
-    const skill = db.prepare('SELECT id, name FROM skills WHERE id = ?').get(skillId);
+    const skill = db.prepare('SELECT id, name FROM skills WHERE id = ? AND workspace_id = ?')
+      .get(skillId, req.auth.workspaceId);
     if (!skill) {
       return res.status(404).json({
         error: 'Skill not found',
@@ -426,22 +1014,24 @@ router.post('/skills/:id/publish', async (req, res) => {
       });
     }
 
-    // Get GitHub token from request or environment
-    const githubToken = req.body.githubToken || req.headers['x-github-token'] || process.env.GITHUB_TOKEN;
+    // Publish with the caller's GitHub token; the server's GITHUB_TOKEN is only
+    // used for the server admin (X-Admin-Key)
+    const githubToken = req.body.githubToken || req.headers['x-github-token'] ||
+      (hasAdminKey(req) ? process.env.GITHUB_TOKEN : null);
 
     if (!githubToken) {
       return res.status(401).json({
         error: 'GitHub authentication required',
-        message: 'Please provide a GitHub personal access token. Add it as "githubToken" in the request body or set GITHUB_TOKEN environment variable.'
+        message: 'Please provide a GitHub personal access token as "githubToken" in the request body or in the X-GitHub-Token header.'
       });
     }
 
     // Get skill data
     const skill = db.prepare(`
-      SELECT name, description, main_content, \`references\`, metadata
+      SELECT name, description, main_content, \`references\`, files, metadata
       FROM skills 
-      WHERE id = ?
-    `).get(skillId);
+      WHERE id = ? AND workspace_id = ?
+    `).get(skillId, req.auth.workspaceId);
 
     if (!skill) {
       return res.status(404).json({
@@ -453,7 +1043,8 @@ router.post('/skills/:id/publish', async (req, res) => {
     // Prepare skill files
     const skillFiles = {
       'SKILL.md': skill.main_content,
-      references: JSON.parse(skill.references)
+      references: JSON.parse(skill.references),
+      files: JSON.parse(skill.files)
     };
 
     // Publish to GitHub
@@ -533,10 +1124,10 @@ router.get('/skills/:id/download', async (req, res) => {
 
     // Get skill data
     const skill = db.prepare(`
-      SELECT name, main_content, \`references\`
+      SELECT name, main_content, \`references\`, files
       FROM skills 
-      WHERE id = ?
-    `).get(skillId);
+      WHERE id = ? AND workspace_id = ?
+    `).get(skillId, req.auth.workspaceId);
 
     if (!skill) {
       return res.status(404).json({
@@ -548,7 +1139,8 @@ router.get('/skills/:id/download', async (req, res) => {
     // Create skill files
     const skillFiles = {
       'SKILL.md': skill.main_content,
-      references: JSON.parse(skill.references)
+      references: JSON.parse(skill.references),
+      files: JSON.parse(skill.files)
     };
 
     // Generate ZIP
@@ -0,0 +1,252 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  listTemplates,
+  getTemplate,
+  listTemplateVersions,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../services/templateStore');
+const {
+  loadAnalysisForGeneration,
+  renderSkillPreview,
+  listDroppedSections
+} = require('../services/skillGeneration');
+
+const router = express.Router();
+
+// Validation schemas (Handlebars syntax is validated by the template store)
+const CreateTemplateRequestSchema = z.object({
+  name: z.string().min(3, 'Template name must be at least 3 characters').max(100, 'Template name must be less than 100 characters'),
+  description: z.string().optional(),
+  contentType: z.string().optional(),
+  skillMd: z.string().min(1, 'SKILL.md template is required'),
+  references: z.record(z.string(), z.string()).optional(),
+  includeBuiltInReferences: z.boolean().optional(),
+  changeNotes: z.string().optional()
+});
+
+const UpdateTemplateRequestSchema = z.object({
+  name: z.string().min(3).max(100).optional(),
+  description: z.string().nullable().optional(),
+  contentType: z.string().nullable().optional(),
+  skillMd: z.string().min(1).optional(),
+  references: z.record(z.string(), z.string()).optional(),
+  includeBuiltInReferences: z.boolean().optional(),
+  changeNotes: z.string().optional()
+});
+
+const PreviewTemplateRequestSchema = z.object({
+  analysisId: z.string().uuid('Invalid analysis ID format'),
+  version: z.number().int().positive().optional(),
+  skillName: z.string().min(3).max(50).optional(),
+  skillType: z.string().optional(),
+  description: z.string().optional(),
+  tags: z.array(z.string()).optional()
+});
+
+// Map template store error codes to HTTP statuses
+const ERROR_STATUS = {
+  INVALID_TEMPLATE: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+/**
+ * Send an error response for template routes
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by validation or the template store
+ * @param {string} fallbackMessage - Error label for unexpected errors
+ */
+function handleTemplateError(res, error, fallbackMessage) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.issues.map(e => ({
+        field: e.path.join('.'),
+        message: e.message
+      }))
+    });
+  }
+
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+/**
+ * Parse and check the :id route parameter
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {number|null} Template ID, or null after sending a 400
+ */
+function parseTemplateId(req, res) {
+  const templateId = parseInt(req.params.id);
+
+  if (isNaN(templateId)) {
+    res.status(400).json({
+      error: 'Invalid template ID',
+      message: 'Template ID must be a number'
+    });
+    return null;
+  }
+
+  return templateId;
+}
+
+/**
+ * GET /api/templates
+ * List custom skill templates (optionally ?contentType=)
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    res.json({ templates: listTemplates(req.auth.workspaceId, { contentType: req.query.contentType }) });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to retrieve templates');
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * Get a template at its current version (or ?version=)
+ */
+router.get('/templates/:id', async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req, res);
+    if (templateId === null) return;
+
+    const template = getTemplate(req.auth.workspaceId, templateId, parseInt(req.query.version) || null);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The specified template or version does not exist'
+      });
+    }
+
+    res.json({
+      ...template,
+      versions: listTemplateVersions(templateId)
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to retrieve template');
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a custom skill template
+ */
+router.post('/templates', async (req, res) => {
+  try {
+    const validatedData = CreateTemplateRequestSchema.parse(req.body);
+    res.status(201).json(createTemplate(req.auth.workspaceId, validatedData));
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to create template');
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Update a template; content changes create a new version
+ */
+router.put('/templates/:id', async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req, res);
+    if (templateId === null) return;
+
+    const validatedData = UpdateTemplateRequestSchema.parse(req.body);
+    res.json(updateTemplate(req.auth.workspaceId, templateId, validatedData));
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to update template');
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a template and all its versions
+ */
+router.delete('/templates/:id', async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req, res);
+    if (templateId === null) return;
+
+    if (!deleteTemplate(req.auth.workspaceId, templateId)) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The specified template does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Template deleted successfully',
+      deletedTemplate: { id: templateId }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to delete template');
+  }
+});
+
+/**
+ * POST /api/templates/:id/preview
+ * Render a template against an existing analysis without saving a skill
+ */
+router.post('/templates/:id/preview', async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req, res);
+    if (templateId === null) return;
+
+    const validatedData = PreviewTemplateRequestSchema.parse(req.body);
+
+    const template = getTemplate(req.auth.workspaceId, templateId, validatedData.version);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The specified template or version does not exist'
+      });
+    }
+
+    const analysisData = loadAnalysisForGeneration(validatedData.analysisId, req.auth.workspaceId);
+    if (!analysisData) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'The specified analysis ID does not exist'
+      });
+    }
+
+    let files;
+    const droppedSections = new Set();
+    try {
+      files = renderSkillPreview(analysisData, template, validatedData, droppedSections);
+    } catch (renderError) {
+      return res.status(422).json({
+        error: 'Template render failed',
+        message: renderError.message
+      });
+    }
+
+    res.json({
+      template: {
+        id: template.id,
+        name: template.name,
+        version: template.version
+      },
+      files,
+      droppedSections: listDroppedSections(droppedSections)
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to preview template');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { z } = require('zod');
+const { authenticate, requireRole, hasAdminKey } = require('../middleware/auth');
+const { getUsageCosts } = require('../services/llmUsage');
+
+const router = express.Router();
+
+const UsageCostsQuerySchema = z.object({
+  from: z.string().date('from must be a date (YYYY-MM-DD)').optional(),
+  to: z.string().date('to must be a date (YYYY-MM-DD)').optional(),
+  workspaceId: z.coerce.number().int().positive().optional()
+});
+
+const requireManager = requireRole('owner', 'admin');
+
+/**
+ * Let the server admin (X-Admin-Key) through; everyone else needs an API key
+ * with the owner or admin role and only sees their own workspace
+ */
+function authenticateCostsReader(req, res, next) {
+  if (hasAdminKey(req)) {
+    req.auth = { admin: true };
+    return next();
+  }
+
+  authenticate(req, res, () => requireManager(req, res, next));
+}
+
+/**
+ * GET /api/usage/costs?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Model call tokens and spend by day, content type and workspace. With X-Admin-Key
+ * the report covers every workspace, or the one given as workspaceId.
+ */
+router.get('/usage/costs', authenticateCostsReader, async (req, res) => {
+  try {
+    const query = UsageCostsQuerySchema.parse(req.query);
+
+    if (query.from && query.to && query.from > query.to) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'from', message: 'from must not be after to' }]
+      });
+    }
+
+    if (query.workspaceId && !req.auth.admin && query.workspaceId !== req.auth.workspaceId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Reporting on other workspaces requires X-Admin-Key'
+      });
+    }
+
+    res.json(getUsageCosts({
+      workspaceId: req.auth.admin ? query.workspaceId || null : req.auth.workspaceId,
+      from: query.from,
+      to: query.to
+    }));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    console.error('Get usage costs error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve usage costs',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { z } = require('zod');
+const { authenticate, requireRole, requireAdmin } = require('../middleware/auth');
+const {
+  createWorkspace,
+  getWorkspace,
+  createUser,
+  listUsers,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../services/workspaces');
+
+const router = express.Router();
+
+// Validation schemas
+const CreateWorkspaceRequestSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(255),
+  slug: z.string().regex(/^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/, 'Slug must be 3-50 lowercase letters, numbers and hyphens'),
+  ownerEmail: z.string().email('Owner email must be a valid email address'),
+  ownerName: z.string().max(255).optional()
+});
+
+const CreateUserRequestSchema = z.object({
+  email: z.string().email('Email must be a valid email address'),
+  name: z.string().max(255).optional(),
+  role: z.enum(['owner', 'admin', 'member']).default('member')
+});
+
+const CreateApiKeyRequestSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100),
+  userId: z.number().int().positive().optional()
+});
+
+// Map workspace error codes to HTTP statuses
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+/**
+ * Send an error response for workspace routes
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by validation or the workspace service
+ * @param {string} fallbackMessage - Error label for unexpected errors
+ */
+function handleWorkspaceError(res, error, fallbackMessage) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.issues.map(e => ({
+        field: e.path.join('.'),
+        message: e.message
+      }))
+    });
+  }
+
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      error: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+const requireManager = requireRole('owner', 'admin');
+
+/**
+ * POST /api/workspaces
+ * Create a workspace with an owner and a first API key (requires X-Admin-Key)
+ */
+router.post('/workspaces', requireAdmin, async (req, res) => {
+  try {
+    const validatedData = CreateWorkspaceRequestSchema.parse(req.body);
+    res.status(201).json(createWorkspace(validatedData));
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to create workspace');
+  }
+});
+
+/**
+ * GET /api/workspace
+ * Get the workspace of the current API key
+ */
+router.get('/workspace', authenticate, async (req, res) => {
+  try {
+    res.json({
+      ...getWorkspace(req.auth.workspaceId),
+      role: req.auth.role,
+      userId: req.auth.userId
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to retrieve workspace');
+  }
+});
+
+/**
+ * GET /api/workspace/users
+ * List users of the current workspace
+ */
+router.get('/workspace/users', authenticate, async (req, res) => {
+  try {
+    res.json({ users: listUsers(req.auth.workspaceId) });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to retrieve users');
+  }
+});
+
+/**
+ * POST /api/workspace/users
+ * Add a user to the current workspace
+ */
+router.post('/workspace/users', authenticate, requireManager, async (req, res) => {
+  try {
+    const validatedData = CreateUserRequestSchema.parse(req.body);
+    res.status(201).json(createUser(req.auth.workspaceId, validatedData));
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to create user');
+  }
+});
+
+/**
+ * GET /api/workspace/api-keys
+ * List API keys of the current workspace
+ */
+router.get('/workspace/api-keys', authenticate, requireManager, async (req, res) => {
+  try {
+    res.json({ apiKeys: listApiKeys(req.auth.workspaceId) });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to retrieve API keys');
+  }
+});
+
+/**
+ * POST /api/workspace/api-keys
+ * Issue an API key. The key is only returned in this response.
+ */
+router.post('/workspace/api-keys', authenticate, requireManager, async (req, res) => {
+  try {
+    const validatedData = CreateApiKeyRequestSchema.parse(req.body);
+    res.status(201).json(createApiKey(req.auth.workspaceId, validatedData));
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * DELETE /api/workspace/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/workspace/api-keys/:id', authenticate, requireManager, async (req, res) => {
+  try {
+    const apiKeyId = parseInt(req.params.id);
+
+    if (isNaN(apiKeyId)) {
+      return res.status(400).json({
+        error: 'Invalid API key ID',
+        message: 'API key ID must be a number'
+      });
+    }
+
+    if (!revokeApiKey(req.auth.workspaceId, apiKeyId)) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'The specified API key does not exist or is already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
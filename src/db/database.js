@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { applyMigrations } = require('./migrate');
 
 class DatabaseConnection {
   constructor() {
@@ -51,6 +52,12 @@ class DatabaseConnection {
       } else {
         console.log('Database schema already exists');
       }
+
+      // Apply incremental migrations (src/db/migrations) not yet recorded
+      const applied = applyMigrations(this.db);
+      if (applied.length > 0) {
+        console.log(`Applied migrations: ${applied.join(', ')}`);
+      }
     } catch (error) {
       console.error('Schema initialization failed:', error);
       throw error;
@@ -2,6 +2,65 @@ const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Apply migration files that have not been recorded in schema_migrations yet.
+ * Each file runs in its own transaction with foreign key enforcement disabled,
+ * so migrations can rebuild tables without cascading deletes.
+ * @param {Database} db - Open better-sqlite3 connection
+ * @returns {Array<string>} Names of the migrations that were applied
+ */
+function applyMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT name FROM schema_migrations').all().map(row => row.name)
+  );
+
+  // Get all migration files
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => f.endsWith('.sql'))
+    .sort()
+    .filter(f => !applied.has(f));
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const foreignKeysEnabled = db.pragma('foreign_keys', { simple: true }) === 1;
+  db.pragma('foreign_keys = OFF');
+
+  try {
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      console.log(`Running migration: ${file}`);
+
+      db.transaction(() => {
+        db.exec(sql);
+
+        const violations = db.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Migration ${file} left ${violations.length} foreign key violations`);
+        }
+
+        db.prepare('INSERT INTO schema_migrations (name) VALUES (?)').run(file);
+      })();
+    }
+  } finally {
+    if (foreignKeysEnabled) {
+      db.pragma('foreign_keys = ON');
+    }
+  }
+
+  return pending;
+}
+
 /**
  * Run database migrations
  * @param {string} dbPath - Path to SQLite database file
@@ -16,20 +75,8 @@ function runMigrations(dbPath) {
     // Enable WAL mode for better concurrency
     db.pragma('journal_mode = WAL');
 
-    // Get all migration files
-    const migrationsDir = path.join(__dirname, 'migrations');
-    const files = fs.readdirSync(migrationsDir)
-      .filter(f => f.endsWith('.sql'))
-      .sort();
-
-    console.log(`Found ${files.length} migration files`);
-
-    // Run each migration
-    for (const file of files) {
-      const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
-      console.log(`Running migration: ${file}`);
-      db.exec(sql);
-    }
+    const applied = applyMigrations(db);
+    console.log(`Applied ${applied.length} migration files`);
 
     console.log('All migrations completed successfully');
   } catch (error) {
@@ -65,6 +112,7 @@ function needsInitialization(dbPath) {
 }
 
 module.exports = {
+  applyMigrations,
   runMigrations,
   needsInitialization
 };
@@ -0,0 +1,69 @@
+-- Framework registry: content types and their extraction frameworks live in the database
+-- so new types can be added without a deploy. Built-in frameworks are synced from code.
+
+CREATE TABLE IF NOT EXISTS frameworks (
+  content_type VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  framework JSON NOT NULL,
+  is_built_in INTEGER NOT NULL DEFAULT 0,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Placeholder rows for the built-in types; definitions are filled in by the registry on startup
+INSERT OR IGNORE INTO frameworks (content_type, name, framework, is_built_in) VALUES
+  ('copywriting', 'Copywriting', '{}', 1),
+  ('process', 'Process', '{}', 1),
+  ('technical', 'Technical', '{}', 1);
+
+-- Replace the hardcoded CHECK (... IN ('copywriting', 'process', 'technical')) constraints
+-- with foreign keys to the registry. SQLite cannot drop constraints, so rebuild both tables.
+
+CREATE TABLE skills_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  description TEXT,
+  skill_type VARCHAR(100) NOT NULL REFERENCES frameworks(content_type),
+  version INTEGER DEFAULT 1 NOT NULL,
+  main_content TEXT NOT NULL,
+  `references` JSON NOT NULL DEFAULT '{}',
+  metadata JSON NOT NULL DEFAULT '{}',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+INSERT INTO skills_new (id, name, description, skill_type, version, main_content, `references`, metadata, created_at, updated_at)
+SELECT id, name, description, skill_type, version, main_content, `references`, metadata, created_at, updated_at
+FROM skills;
+
+DROP TABLE skills;
+ALTER TABLE skills_new RENAME TO skills;
+
+CREATE INDEX IF NOT EXISTS idx_skills_type ON skills(skill_type);
+CREATE INDEX IF NOT EXISTS idx_skills_created_at ON skills(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_skills_name ON skills(name);
+
+CREATE TABLE content_analyses_new (
+  id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  skill_id INTEGER,
+  source_content TEXT NOT NULL,
+  content_type VARCHAR(100) NOT NULL REFERENCES frameworks(content_type),
+  analysis_result JSON NOT NULL,
+  confidence REAL CHECK (confidence >= 0 AND confidence <= 1),
+  processing_time REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE SET NULL
+);
+
+INSERT INTO content_analyses_new (id, skill_id, source_content, content_type, analysis_result, confidence, processing_time, created_at)
+SELECT id, skill_id, source_content, content_type, analysis_result, confidence, processing_time, created_at
+FROM content_analyses;
+
+DROP TABLE content_analyses;
+ALTER TABLE content_analyses_new RENAME TO content_analyses;
+
+CREATE INDEX IF NOT EXISTS idx_content_analyses_skill_id ON content_analyses(skill_id);
+CREATE INDEX IF NOT EXISTS idx_content_analyses_created_at ON content_analyses(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_analyses_type ON content_analyses(content_type);
@@ -0,0 +1,29 @@
+-- Custom Handlebars skill templates, versioned so existing skills keep a
+-- reproducible reference to the template revision they were generated from
+
+CREATE TABLE IF NOT EXISTS skill_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  description TEXT,
+  content_type VARCHAR(100) REFERENCES frameworks(content_type),
+  current_version INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_templates_content_type ON skill_templates(content_type);
+
+CREATE TABLE IF NOT EXISTS skill_template_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  template_id INTEGER NOT NULL,
+  version INTEGER NOT NULL,
+  skill_md TEXT NOT NULL,
+  reference_files JSON NOT NULL DEFAULT '{}',
+  include_built_in_references INTEGER NOT NULL DEFAULT 1,
+  change_notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  FOREIGN KEY (template_id) REFERENCES skill_templates(id) ON DELETE CASCADE,
+  UNIQUE(template_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_template_versions_template_id ON skill_template_versions(template_id, version DESC);
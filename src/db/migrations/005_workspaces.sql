@@ -0,0 +1,103 @@
+-- Multi-tenant workspaces with users and API keys.
+-- Existing data is assigned to the default workspace (id 1).
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(100) NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+INSERT OR IGNORE INTO workspaces (id, name, slug) VALUES (1, 'Default', 'default');
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workspace_id INTEGER NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  UNIQUE(workspace_id, email)
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workspace_id INTEGER NOT NULL,
+  user_id INTEGER,
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  last_used_at DATETIME,
+  revoked_at DATETIME,
+  FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_workspace_id ON api_keys(workspace_id);
+
+-- Skill names become unique per workspace instead of globally, which needs a table rebuild
+
+CREATE TABLE skills_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  skill_type VARCHAR(100) NOT NULL REFERENCES frameworks(content_type),
+  version INTEGER DEFAULT 1 NOT NULL,
+  main_content TEXT NOT NULL,
+  `references` JSON NOT NULL DEFAULT '{}',
+  metadata JSON NOT NULL DEFAULT '{}',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  UNIQUE(workspace_id, name)
+);
+
+INSERT INTO skills_new (id, workspace_id, name, description, skill_type, version, main_content, `references`, metadata, created_at, updated_at)
+SELECT id, 1, name, description, skill_type, version, main_content, `references`, metadata, created_at, updated_at
+FROM skills;
+
+DROP TABLE skills;
+ALTER TABLE skills_new RENAME TO skills;
+
+CREATE INDEX IF NOT EXISTS idx_skills_workspace_id ON skills(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_skills_type ON skills(skill_type);
+CREATE INDEX IF NOT EXISTS idx_skills_created_at ON skills(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_skills_name ON skills(name);
+
+-- Template names likewise become unique per workspace
+
+CREATE TABLE skill_templates_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  content_type VARCHAR(100) REFERENCES frameworks(content_type),
+  current_version INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  UNIQUE(workspace_id, name)
+);
+
+INSERT INTO skill_templates_new (id, workspace_id, name, description, content_type, current_version, created_at, updated_at)
+SELECT id, 1, name, description, content_type, current_version, created_at, updated_at
+FROM skill_templates;
+
+DROP TABLE skill_templates;
+ALTER TABLE skill_templates_new RENAME TO skill_templates;
+
+CREATE INDEX IF NOT EXISTS idx_skill_templates_workspace_id ON skill_templates(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_skill_templates_content_type ON skill_templates(content_type);
+
+-- Remaining tenant-owned tables gain a workspace column
+
+ALTER TABLE content_analyses ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE skill_versions ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE skill_usage ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE jobs ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_content_analyses_workspace_id ON content_analyses(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_skill_versions_workspace_id ON skill_versions(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_skill_usage_workspace_id ON skill_usage(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_workspace_id ON jobs(workspace_id);
@@ -0,0 +1,3 @@
+-- Change notes for a skill's current version.
+-- Snapshots in skill_versions carry them along when the skill is updated again.
+ALTER TABLE skills ADD COLUMN change_notes TEXT;
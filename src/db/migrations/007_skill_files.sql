@@ -0,0 +1,11 @@
+-- Script and asset files stored with each skill and each snapshot.
+-- JSON object keyed by package path ("scripts/run.sh", "assets/logo.png"):
+-- { "content": "...", "encoding": "utf8" | "base64", "size": <bytes> }
+ALTER TABLE skills ADD COLUMN files JSON NOT NULL DEFAULT '{}';
+ALTER TABLE skill_versions ADD COLUMN files JSON NOT NULL DEFAULT '{}';
+
+-- Imports previously kept scripts/ and assets/ in metadata.files
+UPDATE skills
+SET files = json_extract(metadata, '$.files'),
+    metadata = json_remove(metadata, '$.files')
+WHERE json_type(metadata, '$.files') = 'object';
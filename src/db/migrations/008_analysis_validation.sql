@@ -0,0 +1,4 @@
+-- Outcome of validating each analysis against its framework schema:
+-- { "coercedFields": [...], "repairAttempted": true, "repairedFields": [...], "discardedFields": [...] }
+-- where each field entry is { "field": "extractedData.core.hook", "message": "..." }
+ALTER TABLE content_analyses ADD COLUMN validation JSON NOT NULL DEFAULT '{}';
@@ -0,0 +1,2 @@
+-- Model that answered each analysis (comma-separated when chunks were answered by different models)
+ALTER TABLE content_analyses ADD COLUMN model VARCHAR(255);
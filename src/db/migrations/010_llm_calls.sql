@@ -0,0 +1,22 @@
+-- One row per model call with the token counts reported by the API.
+-- analysis_id has no foreign key: calls are recorded as they happen, before the
+-- analysis row is saved, and stay counted when the analysis fails.
+CREATE TABLE IF NOT EXISTS llm_calls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  workspace_id INTEGER NOT NULL DEFAULT 1 REFERENCES workspaces(id) ON DELETE CASCADE,
+  operation VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100),
+  analysis_id TEXT,
+  skill_id INTEGER REFERENCES skills(id) ON DELETE SET NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  -- USD at the prices configured when the call was made; NULL when the model has no price
+  cost REAL,
+  duration_ms INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_calls_workspace_created ON llm_calls(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_analysis_id ON llm_calls(analysis_id);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_skill_id ON llm_calls(skill_id);
@@ -0,0 +1,19 @@
+-- Human edits to analyses. Each PATCH /api/analyses/:id records one row per edit
+-- with the value before and after, and marks the analysis as reviewed.
+ALTER TABLE content_analyses ADD COLUMN human_reviewed INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE content_analyses ADD COLUMN reviewed_at DATETIME;
+ALTER TABLE content_analyses ADD COLUMN reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS analysis_edits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  analysis_id TEXT NOT NULL REFERENCES content_analyses(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  op VARCHAR(20) NOT NULL,
+  path TEXT NOT NULL,
+  original_value JSON,
+  edited_value JSON,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_edits_analysis_id ON analysis_edits(analysis_id, id);
@@ -0,0 +1,11 @@
+-- Saved analyses double as the analysis cache: a request for the same content,
+-- content type, framework version and model chain reuses the newest matching row.
+-- Rows saved before this migration have no content_hash and are never matched.
+ALTER TABLE content_analyses ADD COLUMN content_hash VARCHAR(64);
+ALTER TABLE content_analyses ADD COLUMN framework_version INTEGER;
+ALTER TABLE content_analyses ADD COLUMN notes TEXT;
+-- { chunkCount, chunkSize, chunkOverlap, chunkConfidences, failedChunks } for chunked analyses
+ALTER TABLE content_analyses ADD COLUMN chunking JSON;
+
+CREATE INDEX IF NOT EXISTS idx_content_analyses_cache
+  ON content_analyses(workspace_id, content_hash, content_type, framework_version);
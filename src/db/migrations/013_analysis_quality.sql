@@ -0,0 +1,10 @@
+-- Quality report from validateAnalysisQuality, stored with each analysis.
+-- requires_review drives the review queue until a human reviews the analysis.
+ALTER TABLE content_analyses ADD COLUMN quality JSON NOT NULL DEFAULT '{}';
+ALTER TABLE content_analyses ADD COLUMN requires_review INTEGER NOT NULL DEFAULT 0;
+
+-- Analyses saved before quality reports: flag the low-confidence ones
+UPDATE content_analyses SET requires_review = 1 WHERE confidence < 0.8;
+
+CREATE INDEX IF NOT EXISTS idx_content_analyses_review
+  ON content_analyses(workspace_id, requires_review, human_reviewed, confidence);
@@ -0,0 +1,5 @@
+-- Chunked analyses used to store every model that answered a chunk as one
+-- comma-separated string, which the analysis cache never matches. Keep the first.
+UPDATE content_analyses
+SET model = substr(model, 1, instr(model, ',') - 1)
+WHERE model LIKE '%,%';
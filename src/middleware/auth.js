@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { resolveApiKey, DEFAULT_WORKSPACE_ID } = require('../services/workspaces');
+
+/**
+ * Read an API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {object} req - Express request
+ * @returns {string|null} API key
+ */
+function extractApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Authenticate the request and attach req.auth = { workspaceId, userId, apiKeyId, role }.
+ * Without a key, requests fall back to the default workspace as a member unless
+ * AUTH_REQUIRED=true; managing users and API keys always needs a key.
+ */
+function authenticate(req, res, next) {
+  const apiKey = extractApiKey(req);
+
+  if (!apiKey) {
+    if (process.env.AUTH_REQUIRED === 'true') {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Provide an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+      });
+    }
+
+    req.auth = {
+      workspaceId: DEFAULT_WORKSPACE_ID,
+      userId: null,
+      apiKeyId: null,
+      role: 'member',
+      anonymous: true
+    };
+    return next();
+  }
+
+  try {
+    const auth = resolveApiKey(apiKey);
+
+    if (!auth) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown or has been revoked'
+      });
+    }
+
+    req.auth = { ...auth, anonymous: false };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require one of the given workspace roles
+ * @param {...string} roles - Allowed roles
+ * @returns {function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires one of the roles: ${roles.join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Check the server-wide admin key (ADMIN_API_KEY) sent in "X-Admin-Key"
+ * @param {object} req - Express request
+ * @returns {boolean} True when the request carries the admin key
+ */
+function hasAdminKey(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const provided = req.get('x-admin-key') || '';
+
+  return Boolean(adminKey) &&
+    provided.length === adminKey.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(adminKey));
+}
+
+/**
+ * Require the server-wide admin key (ADMIN_API_KEY) in "X-Admin-Key"
+ */
+function requireAdmin(req, res, next) {
+  if (!hasAdminKey(req)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: process.env.ADMIN_API_KEY ? 'Invalid admin key' : 'ADMIN_API_KEY is not configured on this server'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireAdmin,
+  hasAdminKey
+};
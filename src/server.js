@@ -2,11 +2,22 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const dbConnection = require('./db/database');
+const { startJobWorker, stopJobWorker } = require('./services/jobQueue');
+const { authenticate } = require('./middleware/auth');
+const { getProviderName, isProviderConfigured } = require('./utils/llmProviders');
 
 // Import route modules
 const healthRoutes = require('./api/health');
 const analyzeRoutes = require('./api/analyze');
+const analysesRoutes = require('./api/analyses');
 const skillsRoutes = require('./api/skills');
+const jobsRoutes = require('./api/jobs');
+const frameworksRoutes = require('./api/frameworks');
+const templatesRoutes = require('./api/templates');
+const workspacesRoutes = require('./api/workspaces');
+const skillFilesRoutes = require('./api/skillFiles');
+const modelsRoutes = require('./api/models');
+const usageRoutes = require('./api/usage');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -42,8 +53,8 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Admin-Key', 'X-GitHub-Token'],
 };
 
 app.use(cors(corsOptions));
@@ -81,8 +92,9 @@ app.get('/health', async (req, res) => {
       health.errors.push('Database connection failed');
     }
 
-    // Check Claude API key
-    if (!process.env.CLAUDE_API_KEY) {
+    // Check the LLM provider (the Anthropic provider needs an API key)
+    health.llmProvider = getProviderName();
+    if (!isProviderConfigured()) {
       health.claudeApi = 'unavailable';
       health.status = 'unhealthy';
       health.errors = health.errors || [];
@@ -102,10 +114,20 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API routes
+// API routes. Health, workspace, usage and framework routes handle their own access checks;
+// everything mounted after authenticate is scoped to the caller's workspace.
 app.use('/api', healthRoutes);
+app.use('/api', workspacesRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', frameworksRoutes);
+app.use('/api', authenticate);
 app.use('/api', analyzeRoutes);
+app.use('/api', analysesRoutes);
 app.use('/api', skillsRoutes);
+app.use('/api', skillFilesRoutes);
+app.use('/api', jobsRoutes);
+app.use('/api', templatesRoutes);
+app.use('/api', modelsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -115,15 +137,25 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       analyze: '/api/analyze',
+      analyzeStream: '/api/analyze/stream',
+      analyses: '/api/analyses',
+      reviewQueue: '/api/analyses/review-queue',
       skills: '/api/skills',
-      generateSkill: '/api/generate-skill'
+      generateSkill: '/api/generate-skill',
+      jobs: '/api/jobs/:id',
+      frameworks: '/api/frameworks',
+      templates: '/api/templates',
+      models: '/api/models',
+      usageCosts: '/api/usage/costs',
+      workspace: '/api/workspace'
     },
     documentation: 'See API specification for details',
     environment: {
       nodeEnv: process.env.NODE_ENV || 'development',
       port: PORT,
       corsConfigured: !!process.env.FRONTEND_URL,
-      claudeApiConfigured: !!process.env.CLAUDE_API_KEY
+      claudeApiConfigured: isProviderConfigured(),
+      llmProvider: getProviderName()
     }
   });
 });
@@ -138,7 +170,8 @@ app.get('/api/diagnostic', (req, res) => {
     environment: {
       nodeEnv: process.env.NODE_ENV || 'development',
       frontendUrl: process.env.FRONTEND_URL || 'not set',
-      claudeApiConfigured: !!process.env.CLAUDE_API_KEY
+      claudeApiConfigured: isProviderConfigured(),
+      llmProvider: getProviderName()
     },
     cors: {
       allowedOrigins: process.env.NODE_ENV === 'production'
@@ -171,12 +204,53 @@ app.use('*', (req, res) => {
       'GET /',
       'GET /health',
       'POST /api/analyze',
+      'POST /api/analyze/stream',
+      'GET /api/analyses',
+      'GET /api/analyses/review-queue',
+      'GET /api/analyses/:id',
+      'PATCH /api/analyses/:id',
+      'DELETE /api/analyses/:id',
       'POST /api/generate-skill',
       'GET /api/skills',
+      'POST /api/skills/import',
       'GET /api/skills/:id',
       'PUT /api/skills/:id',
+      'GET /api/skills/:id/versions',
+      'GET /api/skills/:id/versions/:version',
+      'GET /api/skills/:id/diff',
+      'POST /api/skills/:id/rollback',
+      'POST /api/skills/:id/usage',
+      'GET /api/skills/:id/usage',
+      'POST /api/skills/:id/refine',
+      'POST /api/skills/:id/lint',
+      'GET /api/skills/:id/files',
+      'GET /api/skills/:id/files/*',
+      'POST /api/skills/:id/files',
+      'DELETE /api/skills/:id/files/*',
       'DELETE /api/skills/:id',
-      'GET /api/skills/:id/download'
+      'POST /api/skills/:id/publish',
+      'GET /api/skills/:id/download',
+      'GET /api/jobs/:id',
+      'GET /api/models',
+      'GET /api/usage/costs',
+      'GET /api/frameworks',
+      'GET /api/frameworks/:contentType',
+      'POST /api/frameworks',
+      'PUT /api/frameworks/:contentType',
+      'DELETE /api/frameworks/:contentType',
+      'GET /api/templates',
+      'GET /api/templates/:id',
+      'POST /api/templates',
+      'PUT /api/templates/:id',
+      'DELETE /api/templates/:id',
+      'POST /api/templates/:id/preview',
+      'POST /api/workspaces',
+      'GET /api/workspace',
+      'GET /api/workspace/users',
+      'POST /api/workspace/users',
+      'GET /api/workspace/api-keys',
+      'POST /api/workspace/api-keys',
+      'DELETE /api/workspace/api-keys/:id'
     ]
   });
 });
@@ -198,12 +272,14 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopJobWorker();
   dbConnection.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopJobWorker();
   dbConnection.close();
   process.exit(0);
 });
@@ -216,6 +292,9 @@ async function startServer() {
     dbConnection.connect();
     console.log('Database initialized');
 
+    // Resume queued and interrupted background jobs
+    startJobWorker();
+
     // Start listening
     // Railway requires binding to 0.0.0.0, not just localhost
     app.listen(PORT, '0.0.0.0', () => {
@@ -224,7 +303,9 @@ async function startServer() {
       console.log(`📚 API docs: http://0.0.0.0:${PORT}/`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       
-      if (!process.env.CLAUDE_API_KEY) {
+      if (getProviderName() !== 'anthropic') {
+        console.log(`🧪 LLM provider: ${getProviderName()}`);
+      } else if (!isProviderConfigured()) {
         console.log('⚠️  Warning: CLAUDE_API_KEY not set - API will not work');
       }
       
@@ -241,7 +322,9 @@ async function startServer() {
   }
 }
 
-// Start the server
-startServer();
+// Start the server when run directly; tests require the app and listen themselves
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
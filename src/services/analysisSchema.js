@@ -0,0 +1,350 @@
+/**
+ * Analysis Schema Service
+ * Derives Zod schemas from extraction frameworks so Claude's analysis output is
+ * checked field by field. Near misses (a number where text was expected, a single
+ * value where a list was expected) are coerced and recorded; anything else is
+ * reported as an issue for the repair pass in contentAnalysis.
+ */
+
+const { z } = require('zod');
+const { parseClaudeResponse } = require('../utils/claudeClient');
+
+// Used when the model leaves out the confidence score or returns one outside 0-1
+const DEFAULT_CONFIDENCE = 0.5;
+
+// Scores between 1 and this are rounding noise and are clamped to 1; whole numbers
+// up to 100 are read as percentages
+const MAX_CLAMPED_CONFIDENCE = 2;
+
+// Tool the model calls to return an analysis as structured input
+const ANALYSIS_TOOL_NAME = 'record_analysis';
+
+// A field group whose only key is MAP_KEY is a free-form map: { "*": "definition with
+// context" } accepts any keys, each with a value described by the "*" descriptor
+const MAP_KEY = '*';
+
+/**
+ * Build the schema for extractedData from a framework definition.
+ * Every section must be present (null when the content has nothing for it);
+ * fields within a section are optional and nullable.
+ * @param {object} framework - Framework definition (sections of field descriptors)
+ * @returns {object} Zod schema
+ */
+function buildFrameworkSchema(framework) {
+  return z.looseObject(
+    mapValues(framework, descriptor => descriptorSchema(descriptor).nullable())
+  );
+}
+
+/**
+ * Build the schema for a complete analysis response
+ * @param {object} framework - Framework definition
+ * @returns {object} Zod schema for { extractedData, confidence, notes }
+ */
+function buildAnalysisResponseSchema(framework) {
+  return z.looseObject({
+    extractedData: buildFrameworkSchema(framework),
+    confidence: z.number().min(0).max(1).describe('Confidence in the analysis quality (0-1)'),
+    notes: z.string().nullable().optional().describe('Any observations about the content')
+  });
+}
+
+/**
+ * Build the tool definition that carries an analysis as structured input.
+ * The input schema is the JSON Schema of the framework's response schema.
+ * @param {object} framework - Framework definition
+ * @param {string} contentType - Type of content
+ * @returns {object} Tool definition ({ name, description, input_schema })
+ */
+function buildAnalysisTool(framework, contentType) {
+  const { $schema, ...inputSchema } = z.toJSONSchema(buildAnalysisResponseSchema(framework));
+
+  return {
+    name: ANALYSIS_TOOL_NAME,
+    description: `Record the structured ${contentType} analysis extracted from the content, following the extraction framework`,
+    input_schema: inputSchema
+  };
+}
+
+/**
+ * Schema for a single field descriptor
+ * @param {string|Array|object} descriptor - Description string, example list or field group
+ * @returns {object} Zod schema
+ */
+function descriptorSchema(descriptor) {
+  if (typeof descriptor === 'string') {
+    return z.string().describe(descriptor);
+  }
+
+  if (Array.isArray(descriptor)) {
+    const item = descriptor[0];
+    return z.array(typeof item === 'string' ? z.string().describe(item) : groupSchema(item));
+  }
+
+  return groupSchema(descriptor);
+}
+
+/**
+ * Schema for a group of fields, or for a free-form map when the group is marked with MAP_KEY
+ * @param {object} group - Field group
+ * @returns {object} Zod schema
+ */
+function groupSchema(group) {
+  if (isMapGroup(group)) {
+    return z.record(z.string(), descriptorSchema(group[MAP_KEY]).nullable());
+  }
+
+  return z.looseObject(
+    mapValues(group, descriptor => descriptorSchema(descriptor).nullable().optional())
+  );
+}
+
+/**
+ * Parse and validate a raw analysis response
+ * @param {string|object} response - Tool input from a tool_use block, or model text to scrape JSON from
+ * @param {object} framework - Framework definition
+ * @returns {object} { value, coercedFields, issues }; value is null when the output is not JSON
+ */
+function parseAnalysisOutput(response, framework) {
+  if (typeof response !== 'string') {
+    return validateAnalysisOutput(response, framework);
+  }
+
+  let parsed;
+
+  try {
+    parsed = parseClaudeResponse(response);
+  } catch (error) {
+    return {
+      value: null,
+      coercedFields: [],
+      issues: [{ field: '', path: [], message: `Response is not valid JSON: ${error.message}` }]
+    };
+  }
+
+  return validateAnalysisOutput(parsed, framework);
+}
+
+/**
+ * Coerce near misses and validate a parsed analysis response against its framework
+ * @param {object} parsed - Parsed response ({ extractedData, confidence, notes })
+ * @param {object} framework - Framework definition
+ * @returns {object} { value, coercedFields, issues }; coercedFields hold { field, message },
+ *   issues also carry the field's path as an array
+ */
+function validateAnalysisOutput(parsed, framework) {
+  if (!isPlainObject(parsed)) {
+    return {
+      value: null,
+      coercedFields: [],
+      issues: [{ field: '', path: [], message: 'Response must be a JSON object' }]
+    };
+  }
+
+  const coercedFields = [];
+  const value = {
+    ...parsed,
+    extractedData: coerceValue(parsed.extractedData, framework, ['extractedData'], coercedFields),
+    confidence: coerceConfidence(parsed.confidence, coercedFields)
+  };
+
+  const result = buildAnalysisResponseSchema(framework).safeParse(value);
+
+  if (result.success) {
+    return { value: result.data, coercedFields, issues: [] };
+  }
+
+  return {
+    value,
+    coercedFields,
+    issues: result.error.issues.map(issue => ({
+      field: issue.path.join('.'),
+      path: issue.path,
+      message: getAtPath(value, issue.path) === undefined
+        ? 'Missing; use null when the content has nothing for it'
+        : issue.message
+    }))
+  };
+}
+
+/**
+ * Find the framework descriptor for a path within extractedData
+ * @param {object} framework - Framework definition
+ * @param {Array<string|number>} path - Section, field and list index keys
+ * @returns {string|Array|object|undefined} Descriptor, or undefined when the path is not part of the framework
+ */
+function getFieldDescriptor(framework, path) {
+  let descriptor = framework;
+
+  for (const key of path) {
+    if (typeof descriptor === 'string') {
+      return undefined;
+    }
+
+    if (Array.isArray(descriptor)) {
+      if (!/^\d+$/.test(String(key))) {
+        return undefined;
+      }
+      descriptor = descriptor[0];
+    } else if (isMapGroup(descriptor)) {
+      descriptor = descriptor[MAP_KEY];
+    } else if (Object.prototype.hasOwnProperty.call(descriptor, key)) {
+      descriptor = descriptor[key];
+    } else {
+      return undefined;
+    }
+  }
+
+  return descriptor;
+}
+
+/**
+ * Null out fields that are still invalid so the rest of the analysis can be used
+ * @param {object} value - Validated response value
+ * @param {Array<object>} issues - Remaining issues from validateAnalysisOutput
+ * @returns {object} Response value with invalid fields set to null and invalid list items removed
+ */
+function discardInvalidFields(value, issues) {
+  const result = structuredClone(value);
+  const lists = new Set();
+
+  for (const issue of issues) {
+    const key = issue.path[issue.path.length - 1];
+    const parent = getAtPath(result, issue.path.slice(0, -1));
+
+    if (parent && typeof parent === 'object') {
+      parent[key] = null;
+      if (Array.isArray(parent)) {
+        lists.add(issue.path.slice(0, -1));
+      }
+    }
+  }
+
+  // Invalid list items are removed rather than left as null entries
+  for (const path of lists) {
+    const list = getAtPath(result, path);
+    const parent = getAtPath(result, path.slice(0, -1));
+    parent[path[path.length - 1]] = list.filter(item => item !== null);
+  }
+
+  return result;
+}
+
+/**
+ * Coerce a value towards the shape of its descriptor, recording each change
+ * @param {*} value - Model output for the field
+ * @param {string|Array|object} descriptor - Field descriptor
+ * @param {Array<string|number>} path - Path of the field
+ * @param {Array<object>} coercedFields - Receives { field, message } for each change
+ * @returns {*} Coerced value
+ */
+function coerceValue(value, descriptor, path, coercedFields) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const record = message => coercedFields.push({ field: path.join('.'), message });
+
+  if (typeof descriptor === 'string') {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      record(`Converted ${typeof value} to text`);
+      return String(value);
+    }
+    if (Array.isArray(value) && value.every(item => typeof item === 'string' || typeof item === 'number')) {
+      record('Joined list into text');
+      return value.join('; ');
+    }
+    return value;
+  }
+
+  if (Array.isArray(descriptor)) {
+    const itemDescriptor = descriptor[0];
+    let items = value;
+
+    if (!Array.isArray(value)) {
+      if (typeof value === 'string' && value.trim() === '') {
+        record('Replaced empty text with null');
+        return null;
+      }
+      record('Wrapped single value in a list');
+      items = [value];
+    }
+
+    return items.map((item, index) => coerceValue(item, itemDescriptor, [...path, index], coercedFields));
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  if (isMapGroup(descriptor)) {
+    return mapValues(value, (entry, key) => coerceValue(entry, descriptor[MAP_KEY], [...path, key], coercedFields));
+  }
+
+  return mapValues(value, (entry, key) => descriptor[key] === undefined
+    ? entry
+    : coerceValue(entry, descriptor[key], [...path, key], coercedFields));
+}
+
+/**
+ * Coerce a confidence score into the 0-1 range
+ * @param {*} value - Model output
+ * @param {Array<object>} coercedFields - Receives { field, message } for each change
+ * @returns {number} Confidence
+ */
+function coerceConfidence(value, coercedFields) {
+  const record = message => coercedFields.push({ field: 'confidence', message });
+  let confidence = value;
+
+  if (typeof confidence === 'string' && /^\d+(\.\d+)?%?$/.test(confidence.trim())) {
+    const text = confidence.trim();
+    confidence = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+    record('Converted text to a number');
+  }
+
+  if (typeof confidence === 'number' && Number.isInteger(confidence) && confidence > 1 && confidence <= 100) {
+    record('Converted percentage to a 0-1 score');
+    return confidence / 100;
+  }
+
+  if (typeof confidence === 'number' && confidence > 1 && confidence < MAX_CLAMPED_CONFIDENCE) {
+    record('Clamped to 1');
+    return 1;
+  }
+
+  if (typeof confidence !== 'number' || isNaN(confidence) || confidence < 0 || confidence > 1) {
+    record(`Missing or out of range; defaulted to ${DEFAULT_CONFIDENCE}`);
+    return DEFAULT_CONFIDENCE;
+  }
+
+  return confidence;
+}
+
+function isMapGroup(group) {
+  return Object.prototype.hasOwnProperty.call(group, MAP_KEY);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value, key)]));
+}
+
+function getAtPath(value, path) {
+  return path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+module.exports = {
+  buildFrameworkSchema,
+  buildAnalysisResponseSchema,
+  buildAnalysisTool,
+  parseAnalysisOutput,
+  validateAnalysisOutput,
+  discardInvalidFields,
+  getFieldDescriptor,
+  DEFAULT_CONFIDENCE,
+  ANALYSIS_TOOL_NAME,
+  MAP_KEY
+};
@@ -0,0 +1,337 @@
+/**
+ * Analysis Store Service
+ * Lists, fetches, edits and deletes the analyses saved by contentAnalysis, and
+ * links each analysis to the skill generated from it
+ */
+
+const dbConnection = require('../db/database');
+const frameworkRegistry = require('./frameworkRegistry');
+const { forgetCachedAnalysis, validateAnalysisQuality } = require('./contentAnalysis');
+const { buildFrameworkSchema, getFieldDescriptor } = require('./analysisSchema');
+const { applyEdit, formatPointer, JsonPointerError } = require('../utils/jsonPointer');
+
+// Characters of source content included in analysis listings
+const CONTENT_PREVIEW_LENGTH = 200;
+
+// Listing orders
+const ANALYSIS_SORT_ORDERS = {
+  created: 'a.created_at DESC, a.rowid DESC',
+  confidence: 'a.confidence ASC, a.created_at ASC'
+};
+
+// Analysis edit errors carry a code the API layer maps to an HTTP status
+class AnalysisEditError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'AnalysisEditError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * List analyses, newest first
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} [filters] - Filters and pagination
+ * @param {string} [filters.contentType] - Content type
+ * @param {number} [filters.minConfidence] - Lowest confidence (0-1), inclusive
+ * @param {number} [filters.maxConfidence] - Highest confidence (0-1), inclusive
+ * @param {string} [filters.from] - First day (YYYY-MM-DD), inclusive
+ * @param {string} [filters.to] - Last day (YYYY-MM-DD), inclusive
+ * @param {number} [filters.skillId] - Only analyses linked to this skill
+ * @param {boolean} [filters.linked] - Only analyses with (true) or without (false) a linked skill
+ * @param {boolean} [filters.needsReview] - Only analyses flagged for review that no human has reviewed yet
+ * @param {string} [filters.sort] - created (newest first, default) or confidence (lowest first)
+ * @param {number} [filters.limit] - Page size
+ * @param {number} [filters.offset] - Rows to skip
+ * @returns {object} { analyses, total }
+ */
+function listAnalyses(workspaceId, filters = {}) {
+  const db = dbConnection.getConnection();
+  const conditions = ['a.workspace_id = ?'];
+  const params = [workspaceId];
+
+  if (filters.contentType) {
+    conditions.push('a.content_type = ?');
+    params.push(filters.contentType);
+  }
+  if (filters.minConfidence !== undefined) {
+    conditions.push('a.confidence >= ?');
+    params.push(filters.minConfidence);
+  }
+  if (filters.maxConfidence !== undefined) {
+    conditions.push('a.confidence <= ?');
+    params.push(filters.maxConfidence);
+  }
+  if (filters.from) {
+    conditions.push('date(a.created_at) >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('date(a.created_at) <= ?');
+    params.push(filters.to);
+  }
+  if (filters.skillId) {
+    conditions.push('a.skill_id = ?');
+    params.push(filters.skillId);
+  }
+  if (filters.linked !== undefined) {
+    conditions.push(filters.linked ? 'a.skill_id IS NOT NULL' : 'a.skill_id IS NULL');
+  }
+  if (filters.needsReview !== undefined) {
+    conditions.push(filters.needsReview
+      ? '(a.requires_review = 1 AND a.human_reviewed = 0)'
+      : '(a.requires_review = 0 OR a.human_reviewed = 1)');
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const rows = db.prepare(`
+    SELECT a.id, a.content_type, a.confidence, a.processing_time, a.model, a.skill_id, a.created_at,
+           a.human_reviewed, a.reviewed_at, a.requires_review, a.quality,
+           substr(a.source_content, 1, ?) AS content_preview,
+           length(a.source_content) AS content_length,
+           s.name AS skill_name
+    FROM content_analyses a
+    LEFT JOIN skills s ON s.id = a.skill_id
+    ${where}
+    ORDER BY ${ANALYSIS_SORT_ORDERS[filters.sort] || ANALYSIS_SORT_ORDERS.created}
+    LIMIT ? OFFSET ?
+  `).all(CONTENT_PREVIEW_LENGTH, ...params, filters.limit || 50, filters.offset || 0);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM content_analyses a ${where}`).get(...params);
+
+  return {
+    analyses: rows.map(row => ({
+      ...formatSummary(row),
+      contentPreview: row.content_preview,
+      contentLength: row.content_length
+    })),
+    total
+  };
+}
+
+/**
+ * Get an analysis with its source content and result
+ * @param {number} workspaceId - Workspace ID
+ * @param {string} analysisId - Analysis ID
+ * @returns {object|null} Analysis, or null if it does not exist
+ */
+function getAnalysis(workspaceId, analysisId) {
+  const db = dbConnection.getConnection();
+  const row = db.prepare(`
+    SELECT a.*, s.name AS skill_name
+    FROM content_analyses a
+    LEFT JOIN skills s ON s.id = a.skill_id
+    WHERE a.id = ? AND a.workspace_id = ?
+  `).get(analysisId, workspaceId);
+
+  if (!row) {
+    return null;
+  }
+
+  const edits = db.prepare(`
+    SELECT id, user_id, op, path, original_value, edited_value, note, created_at
+    FROM analysis_edits
+    WHERE analysis_id = ?
+    ORDER BY id
+  `).all(analysisId);
+
+  return {
+    ...formatSummary(row),
+    reviewedBy: row.reviewed_by,
+    sourceContent: row.source_content,
+    extractedData: JSON.parse(row.analysis_result),
+    validation: JSON.parse(row.validation || '{}'),
+    edits: edits.map(edit => ({
+      id: edit.id,
+      userId: edit.user_id,
+      op: edit.op,
+      path: edit.path,
+      originalValue: parseStoredValue(edit.original_value),
+      editedValue: parseStoredValue(edit.edited_value),
+      note: edit.note,
+      createdAt: edit.created_at
+    }))
+  };
+}
+
+/**
+ * Apply edits to an analysis's extractedData and mark it as human-reviewed,
+ * which takes it out of the review queue. Edits are applied in order and must
+ * target fields of the content type's framework; the edited values are validated
+ * against the framework schema. Each edit is recorded with the value before and
+ * after it. Without edits the analysis is only marked as reviewed.
+ * @param {number} workspaceId - Workspace ID
+ * @param {string} analysisId - Analysis ID
+ * @param {Array<object>} edits - { op: 'add'|'replace'|'remove', path, value } with JSON pointer paths
+ * @param {object} [options] - { userId, note }
+ * @returns {object} Updated analysis (see getAnalysis)
+ * @throws {AnalysisEditError} NOT_FOUND, INVALID_EDIT or VALIDATION_FAILED
+ */
+function editAnalysis(workspaceId, analysisId, edits, options = {}) {
+  const db = dbConnection.getConnection();
+  const row = db.prepare(`
+    SELECT content_type, analysis_result, confidence, validation
+    FROM content_analyses
+    WHERE id = ? AND workspace_id = ?
+  `).get(analysisId, workspaceId);
+
+  if (!row) {
+    throw new AnalysisEditError('The specified analysis ID does not exist', 'NOT_FOUND');
+  }
+
+  const framework = frameworkRegistry.getFramework(row.content_type);
+  if (!framework) {
+    throw new AnalysisEditError(`The ${row.content_type} framework no longer exists`, 'INVALID_EDIT');
+  }
+
+  const extractedData = JSON.parse(row.analysis_result);
+  const applied = [];
+
+  for (const edit of edits) {
+    let result;
+    try {
+      result = applyEdit(extractedData, edit);
+    } catch (error) {
+      if (error instanceof JsonPointerError) {
+        throw new AnalysisEditError(error.message, 'INVALID_EDIT');
+      }
+      throw error;
+    }
+
+    if (getFieldDescriptor(framework, result.path) === undefined) {
+      throw new AnalysisEditError(`${edit.path}: Not a field of the ${row.content_type} framework`, 'INVALID_EDIT');
+    }
+
+    applied.push({ ...edit, ...result });
+  }
+
+  // Only problems in edited fields are reported, so analyses saved before
+  // framework validation can still be corrected one field at a time
+  const validation = buildFrameworkSchema(framework).safeParse(extractedData);
+  const issues = validation.success ? [] : validation.error.issues.filter(issue =>
+    applied.some(edit => isPrefix(edit.path, issue.path) || isPrefix(issue.path, edit.path))
+  );
+
+  if (issues.length > 0) {
+    throw new AnalysisEditError('Edited values do not match the framework', 'VALIDATION_FAILED', issues.map(issue => ({
+      field: formatPointer(issue.path),
+      message: getAtPath(extractedData, issue.path) === undefined
+        ? 'Required; set it to null instead of removing it'
+        : issue.message
+    })));
+  }
+
+  const quality = validateAnalysisQuality({
+    contentType: row.content_type,
+    extractedData,
+    confidence: row.confidence,
+    validation: JSON.parse(row.validation || '{}'),
+    humanReviewed: true
+  });
+
+  const insertEdit = db.prepare(`
+    INSERT INTO analysis_edits (analysis_id, user_id, op, path, original_value, edited_value, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE content_analyses
+      SET analysis_result = ?, quality = ?, requires_review = 0,
+          human_reviewed = 1, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?
+      WHERE id = ?
+    `).run(JSON.stringify(extractedData), JSON.stringify(quality), options.userId || null, analysisId);
+
+    for (const edit of applied) {
+      insertEdit.run(
+        analysisId,
+        options.userId || null,
+        edit.op,
+        formatPointer(edit.path),
+        edit.previous === undefined ? null : JSON.stringify(edit.previous),
+        edit.value === undefined ? null : JSON.stringify(edit.value),
+        options.note || null
+      );
+    }
+  })();
+
+  // Re-analyzing the same content must not return the pre-edit result
+  forgetCachedAnalysis(analysisId);
+
+  return getAnalysis(workspaceId, analysisId);
+}
+
+/**
+ * Delete an analysis. Skills generated from it are kept.
+ * @param {number} workspaceId - Workspace ID
+ * @param {string} analysisId - Analysis ID
+ * @returns {boolean} True if the analysis existed
+ */
+function deleteAnalysis(workspaceId, analysisId) {
+  const db = dbConnection.getConnection();
+  const { changes } = db.prepare('DELETE FROM content_analyses WHERE id = ? AND workspace_id = ?')
+    .run(analysisId, workspaceId);
+
+  if (changes > 0) {
+    forgetCachedAnalysis(analysisId);
+  }
+
+  return changes > 0;
+}
+
+/**
+ * Record the skill most recently generated from an analysis
+ * @param {number} workspaceId - Workspace ID
+ * @param {string} analysisId - Analysis ID
+ * @param {number} skillId - Skill ID
+ */
+function linkAnalysisToSkill(workspaceId, analysisId, skillId) {
+  const db = dbConnection.getConnection();
+  db.prepare('UPDATE content_analyses SET skill_id = ? WHERE id = ? AND workspace_id = ?')
+    .run(skillId, analysisId, workspaceId);
+}
+
+/**
+ * Fields shared by analysis listings and details
+ * @param {object} row - content_analyses row joined with the skill name
+ * @returns {object} Analysis summary
+ */
+function formatSummary(row) {
+  return {
+    id: row.id,
+    contentType: row.content_type,
+    confidence: row.confidence,
+    processingTime: row.processing_time,
+    model: row.model,
+    skill: row.skill_id ? { id: row.skill_id, name: row.skill_name } : null,
+    requiresReview: Boolean(row.requires_review) && !row.human_reviewed,
+    quality: JSON.parse(row.quality || '{}'),
+    humanReviewed: Boolean(row.human_reviewed),
+    reviewedAt: row.reviewed_at,
+    createdAt: row.created_at
+  };
+}
+
+function parseStoredValue(value) {
+  return value === null ? null : JSON.parse(value);
+}
+
+function getAtPath(value, path) {
+  return path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+function isPrefix(prefix, path) {
+  return prefix.length <= path.length && prefix.every((key, index) => String(key) === String(path[index]));
+}
+
+module.exports = {
+  listAnalyses,
+  ANALYSIS_SORT_ORDERS,
+  getAnalysis,
+  editAnalysis,
+  deleteAnalysis,
+  linkAnalysisToSkill,
+  AnalysisEditError
+};
@@ -1,7 +1,6 @@
+const crypto = require('crypto');
 const { 
   callClaudeWithRateLimit, 
-  parseClaudeResponse, 
-  validateAnalysisResponse,
   generateUUID,
   shouldAnalyzeContent,
   logAPICall,
@@ -11,252 +10,238 @@ const {
   ServiceError
 } = require('../utils/claudeClient');
 const dbConnection = require('../db/database');
+const frameworkRegistry = require('./frameworkRegistry');
+const {
+  buildAnalysisTool,
+  parseAnalysisOutput,
+  discardInvalidFields,
+  getFieldDescriptor,
+  ANALYSIS_TOOL_NAME
+} = require('./analysisSchema');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaces');
+const { recordLLMCall } = require('./llmUsage');
+const { classifyContent } = require('./contentClassifier');
+const { getModelChain } = require('../utils/modelConfig');
+const { LRUCache } = require('../utils/lruCache');
 
-// Analysis frameworks for different content types
-const FRAMEWORKS = {
-  copywriting: {
-    // Core Elements
-    core: {
-      bigIdea: "The central unique concept or promise",
-      hook: "Opening that grabs attention",
-      problemPain: "Pain points being addressed",
-      enemyVillain: "What's preventing success/causing pain",
-      promise: "Main benefit or transformation",
-      mechanism: "How the solution works (the 'secret sauce')",
-      proof: "Evidence, testimonials, data, case studies",
-      offer: "What they're getting and at what price",
-      cta: "Call to action and next steps"
-    },
+// Built-in frameworks, kept for callers that predate the framework registry
+const FRAMEWORKS = frameworkRegistry.BUILT_IN_FRAMEWORKS;
 
-    // Style & Voice
-    style: {
-      toneVoice: "Overall communication style (authoritative, friendly, urgent, etc.)",
-      psychologicalTriggers: ["Urgency", "Scarcity", "Social proof", "Authority", "Reciprocity"],
-      emotionalTone: "Primary emotions evoked (fear, hope, excitement, etc.)"
-    },
+// In-memory layer over the analyses saved in content_analyses, which serve as
+// the persistent cache. Bounded by entry count and age.
+const analysisCache = new LRUCache({
+  maxEntries: parseInt(process.env.ANALYSIS_CACHE_SIZE) || 200,
+  ttlMs: (parseInt(process.env.ANALYSIS_CACHE_TTL_MINUTES) || 15) * 60 * 1000
+});
 
-    // Structure & Patterns
-    structure: {
-      sentenceStructure: {
-        averageLength: "Number",
-        patterns: ["Short punchy opens", "Longer explanatory sentences"],
-        variety: "Mix of lengths for rhythm"
-      },
-      copyCadence: "Pacing and rhythm (fast, slow, varied)",
-      paragraphFlow: "How paragraphs build on each other",
-      formattingPatterns: ["Bullet points", "Bold text", "Subheadings", "P.S. sections"],
-      narrativeFlow: "Story structure (Problem-Agitate-Solve, AIDA, etc.)"
-    },
+// Content length limits (characters)
+const MAX_CONTENT_LENGTH = 50000;
+const MAX_CHUNKED_CONTENT_LENGTH = 500000;
 
-    // Language
-    language: {
-      languageStyle: "Direct, conversational, formal, technical, etc.",
-      signaturePhrases: ["Recurring words or phrases that define the voice"],
-      wordChoice: "Specific vocabulary patterns",
-      powerWords: ["Words that trigger emotions or action"]
-    }
-  },
-
-  process: {
-    // Core Workflow
-    workflow: {
-      steps: [
-        {
-          name: "Step name",
-          description: "What happens",
-          duration: "Time required",
-          owner: "Who's responsible"
-        }
-      ],
-      decisionPoints: ["Where choices must be made"],
-      dependencies: ["What must happen before each step"],
-      criticalPath: "Steps that cannot be delayed"
-    },
+// Analyses below this confidence are flagged and block skill generation until
+// reviewed or overridden (ANALYSIS_CONFIDENCE_THRESHOLD overrides the default)
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
 
-    // Resources
-    resources: {
-      toolsRequired: ["Software, equipment, materials needed"],
-      skillsNeeded: ["Competencies required"],
-      peopleInvolved: ["Roles and responsibilities"],
-      documentsNeeded: ["Forms, templates, references"]
-    },
+// Analyses below this confidence are queued for review even without other issues
+const REVIEW_CONFIDENCE = 0.8;
 
-    // Quality & Risk
-    quality: {
-      successMetrics: ["How to measure success"],
-      qualityChecks: ["Validation points in process"],
-      commonPitfalls: ["What usually goes wrong"],
-      troubleshooting: ["How to fix common problems"]
-    },
+// Chunking defaults for long documents
+const DEFAULT_CHUNK_SIZE = 40000;
+const DEFAULT_CHUNK_OVERLAP = 2000;
 
-    // Context
-    context: {
-      when: "Triggers that initiate the process",
-      frequency: "How often it's performed",
-      variations: "Different scenarios or edge cases",
-      dependencies: "What must exist before starting"
-    }
-  },
-
-  technical: {
-    // Core Concepts
-    concepts: {
-      mainConcepts: ["Key ideas being explained"],
-      terminology: {
-        "term": "definition with context"
-      },
-      prerequisites: ["What you need to know first"],
-      difficulty: "Beginner, Intermediate, Advanced"
-    },
+const ANALYSIS_SYSTEM_PROMPT = (contentType) => `You are an expert content analyst specializing in extracting structured knowledge from ${contentType} content.
 
-    // Implementation
-    implementation: {
-      patterns: ["Design patterns or approaches used"],
-      bestPractices: ["Recommended ways to do things"],
-      antiPatterns: ["Common mistakes to avoid"],
-      examples: [
-        {
-          scenario: "Use case",
-          code: "Implementation",
-          explanation: "Why it works"
-        }
-      ]
-    },
+Your role:
+- Extract structured knowledge from content
+- Identify patterns and frameworks
+- Return valid JSON responses
+- Be specific and accurate
 
-    // Architecture
-    architecture: {
-      components: ["System parts and their purposes"],
-      dataFlow: "How information moves",
-      integrations: ["External systems or APIs"],
-      scalability: "Performance considerations"
-    }
-  }
-};
+Guidelines:
+- Quote exact phrases when possible
+- Infer implicit patterns
+- Use null for missing elements
+- Provide confidence scores`;
 
-// Simple in-memory cache for analysis results
-const analysisCache = new Map();
+const REPAIR_SYSTEM_PROMPT = `You are an expert content analyst fixing a structured analysis that did not match its extraction framework.
+
+Your role:
+- Correct only the fields reported as invalid
+- Keep every other value exactly as it was
+- Return valid JSON responses`;
 
 /**
  * Analyze content using Claude API with the appropriate framework
  * @param {string} content - Raw content to analyze
- * @param {string} contentType - Type of content (copywriting, process, technical)
+ * @param {string} contentType - Type of content (copywriting, process, technical), or "auto" to detect it
  * @param {object} options - Additional options
+ * @param {boolean} [options.chunked] - Split long content into overlapping chunks (map-reduce)
+ * @param {number} [options.chunkSize] - Chunk size in characters
+ * @param {number} [options.chunkOverlap] - Overlap between consecutive chunks in characters
+ * @param {boolean} [options.stream] - Stream model output, emitting 'token' progress events
+ * @param {function} [options.onProgress] - Receives phase events ({ phase, ... }) as analysis proceeds
+ * @param {number} [options.workspaceId] - Workspace that owns the analysis
+ * @param {Array<string>} [options.models] - Model chain to use instead of the configured analysis chain
+ * @param {boolean} [options.noCache] - Analyze again even when a cached analysis of the content exists
  * @returns {Promise<object>} Analysis result
  */
 async function analyzeContent(content, contentType, options = {}) {
+  const emit = createProgressEmitter(options.onProgress);
+
   try {
     // 1. Validate inputs
+    emit({ phase: 'validating' });
+
     if (!content || content.length < 10) {
       throw new AnalysisError('Content too short for analysis');
     }
 
-    if (content.length > 50000) {
-      throw new AnalysisError('Content too long (max 50,000 characters)');
+    const maxLength = options.chunked ? MAX_CHUNKED_CONTENT_LENGTH : MAX_CONTENT_LENGTH;
+    if (content.length > maxLength) {
+      throw new AnalysisError(options.chunked
+        ? `Content too long (max ${MAX_CHUNKED_CONTENT_LENGTH.toLocaleString('en-US')} characters with chunking)`
+        : `Content too long (max ${MAX_CONTENT_LENGTH.toLocaleString('en-US')} characters). Set "chunked": true to analyze longer documents.`);
     }
 
-    if (!FRAMEWORKS[contentType]) {
-      throw new AnalysisError(`Unknown content type: ${contentType}. Supported types: ${Object.keys(FRAMEWORKS).join(', ')}`);
+    if (contentType === frameworkRegistry.AUTO_CONTENT_TYPE) {
+      return await analyzeDetectedContent(content, options);
     }
 
-    // 2. Check cache
-    const cacheKey = getCacheKey(content, contentType);
-    if (analysisCache.has(cacheKey)) {
-      console.log('Returning cached analysis');
-      return analysisCache.get(cacheKey);
+    const frameworkRecord = frameworkRegistry.getFrameworkRecord(contentType);
+    if (!frameworkRecord) {
+      throw new AnalysisError(`Unknown content type: ${contentType}. Supported types: ${frameworkRegistry.getContentTypes().join(', ')}`);
     }
+    const framework = frameworkRecord.framework;
 
-    // 3. Check if content is too large for analysis
-    if (!shouldAnalyzeContent(content)) {
-      throw new AnalysisError('Content too large for analysis. Consider breaking it into smaller chunks.');
-    }
+    const workspaceId = options.workspaceId || DEFAULT_WORKSPACE_ID;
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const chunkOverlap = options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP;
+    const useChunking = Boolean(options.chunked) && content.length > chunkSize;
 
-    // 4. Build analysis prompt
-    const framework = FRAMEWORKS[contentType];
-    const systemPrompt = `You are an expert content analyst specializing in extracting structured knowledge from ${contentType} content.
+    // 2. Check cache: recent results in memory, then saved analyses of the same content
+    const cacheLookup = {
+      workspaceId,
+      contentHash: hashContent(content),
+      contentType,
+      frameworkVersion: frameworkRecord.version,
+      models: getModelChain('analysis', options.models),
+      chunking: useChunking ? { chunkSize, chunkOverlap } : null
+    };
+    const cacheKey = getCacheKey(cacheLookup);
 
-Your role:
-- Extract structured knowledge from content
-- Identify patterns and frameworks
-- Return valid JSON responses
-- Be specific and accurate
+    if (!options.noCache) {
+      let source = 'memory';
+      let cached = analysisCache.get(cacheKey);
 
-Guidelines:
-- Quote exact phrases when possible
-- Infer implicit patterns
-- Use null for missing elements
-- Provide confidence scores`;
+      if (!cached) {
+        source = 'database';
+        cached = findSavedAnalysis(cacheLookup);
+        if (cached) {
+          analysisCache.set(cacheKey, cached);
+        }
+      }
 
-    const userPrompt = buildAnalysisPrompt(content, contentType, framework);
+      if (cached) {
+        console.log(`Returning cached analysis ${cached.analysisId} from ${source}`);
+        emit({ phase: 'cache_hit', analysisId: cached.analysisId, source });
+        return { ...cached, cache: { hit: true, source } };
+      }
+    }
+
+    // 3. Check if content is too large for a single analysis call
+    if (!useChunking && !shouldAnalyzeContent(content)) {
+      throw new AnalysisError('Content too large for analysis. Set "chunked": true to split it into smaller chunks.');
+    }
+
+    // 4. Generate analysis ID (UUID format for validation) up front so model calls
+    // can be recorded against it
+    const analysisId = generateUUID();
+    const extractOptions = { ...options, workspaceId, analysisId };
 
-    // 5. Call Claude API
+    // 5. Run framework extraction (single pass or map-reduce over chunks)
     const startTime = Date.now();
 
     try {
-      const responseText = await callClaudeWithRateLimit(userPrompt, {
-        model: "claude-3-5-sonnet",
-        maxTokens: 4096,
-        temperature: 0.3,
-        system: systemPrompt
-      });
+      const extraction = useChunking
+        ? await extractFrameworkChunked(content, contentType, framework, chunkSize, chunkOverlap, extractOptions)
+        : await extractFramework(content, contentType, framework, null, extractOptions);
 
       const processingTime = (Date.now() - startTime) / 1000;
+      const quality = validateAnalysisQuality({
+        contentType,
+        extractedData: extraction.extractedData,
+        confidence: extraction.confidence,
+        validation: extraction.validation
+      });
 
-      // 6. Parse and validate response
-      const parsed = parseClaudeResponse(responseText);
-      const validated = validateAnalysisResponse(parsed);
-
-      // 7. Generate analysis ID (UUID format for validation)
-      const analysisId = generateUUID();
-
-      // 8. Save analysis to database
+      // 6. Save analysis to database
       const db = dbConnection.getConnection();
       try {
         const insertStmt = db.prepare(`
           INSERT INTO content_analyses (
             id, 
+            workspace_id,
             source_content, 
             content_type, 
             analysis_result, 
             confidence, 
-            processing_time
+            processing_time,
+            validation,
+            model,
+            notes,
+            chunking,
+            content_hash,
+            framework_version,
+            quality,
+            requires_review
           )
-          VALUES (?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
         insertStmt.run(
           analysisId,
+          workspaceId,
           content,
           contentType,
-          JSON.stringify(validated.extractedData),
-          validated.confidence,
-          processingTime
+          JSON.stringify(extraction.extractedData),
+          extraction.confidence,
+          processingTime,
+          JSON.stringify(extraction.validation),
+          extraction.model,
+          extraction.notes || null,
+          extraction.chunking ? JSON.stringify(extraction.chunking) : null,
+          cacheLookup.contentHash,
+          cacheLookup.frameworkVersion,
+          JSON.stringify(quality),
+          quality.requiresReview ? 1 : 0
         );
         
         console.log(`✅ Analysis saved to database with ID: ${analysisId}`);
+        emit({ phase: 'saved', analysisId });
       } catch (dbError) {
         console.error('Failed to save analysis to database:', dbError);
         // Continue anyway - analysis result is still valid, just not persisted
       }
 
-      // 9. Build result
+      // 7. Build result
       const result = {
         analysisId,
         contentType,
-        extractedData: validated.extractedData,
-        confidence: validated.confidence,
+        extractedData: extraction.extractedData,
+        confidence: extraction.confidence,
         processingTime,
-        notes: validated.notes || '',
+        notes: extraction.notes || '',
+        model: extraction.model,
+        validation: extraction.validation,
+        quality,
+        ...(extraction.chunking && { chunking: extraction.chunking }),
         timestamp: new Date().toISOString()
       };
 
-      // 10. Cache result (15 minute TTL)
+      // 8. Cache result
       analysisCache.set(cacheKey, result);
-      setTimeout(() => analysisCache.delete(cacheKey), 15 * 60 * 1000);
-
-      // 11. Log successful analysis
-      logAPICall(userPrompt, responseText, processingTime * 1000);
 
-      return result;
+      return { ...result, cache: { hit: false, bypassed: Boolean(options.noCache) } };
 
     } catch (error) {
       const processingTime = (Date.now() - startTime) / 1000;
@@ -275,15 +260,474 @@ Guidelines:
   }
 }
 
+/**
+ * Detect the content type and analyze the content with the detected framework,
+ * or with each framework that scores high for a mixed document
+ * @param {string} content - Raw content to analyze
+ * @param {object} options - analyzeContent options
+ * @returns {Promise<object>} Analysis of the best-scoring type (see analyzeContent) with a
+ *   detection report, plus additionalAnalyses for the other detected types
+ */
+async function analyzeDetectedContent(content, options) {
+  const emit = createProgressEmitter(options.onProgress);
+
+  emit({ phase: 'classifying' });
+  const detection = await classifyContent(content, { workspaceId: options.workspaceId });
+  emit({
+    phase: 'classified',
+    contentTypes: detection.contentTypes,
+    scores: detection.scores.map(({ contentType, score }) => ({ contentType, score }))
+  });
+
+  // Frameworks run one after another so the shared rate limiter is not flooded
+  const analyses = [];
+  const failedContentTypes = [];
+
+  for (const contentType of detection.contentTypes) {
+    try {
+      analyses.push(await analyzeContent(content, contentType, options));
+    } catch (error) {
+      if (error instanceof RateLimitError || detection.contentTypes.length === 1) {
+        throw error;
+      }
+      console.warn(`Analysis as ${contentType} failed: ${error.message}`);
+      failedContentTypes.push({ contentType, error: error.message });
+    }
+  }
+
+  if (analyses.length === 0) {
+    throw new AnalysisError(`Analysis failed for every detected content type (${failedContentTypes[0].error})`);
+  }
+
+  const [primary, ...additionalAnalyses] = analyses;
+
+  return {
+    ...primary,
+    detection: {
+      contentTypes: analyses.map(analysis => analysis.contentType),
+      scores: detection.scores,
+      method: detection.method,
+      model: detection.model,
+      reasoning: detection.reasoning,
+      ...(failedContentTypes.length > 0 && { failedContentTypes })
+    },
+    ...(additionalAnalyses.length > 0 && { additionalAnalyses })
+  };
+}
+
+/**
+ * Run a single framework extraction call against Claude
+ * @param {string} content - Content to analyze
+ * @param {string} contentType - Type of content
+ * @param {object} framework - Analysis framework
+ * @param {object} [chunkInfo] - { index, total } when analyzing one chunk of a larger document
+ * @param {object} [options] - analyzeContent options (stream, onProgress, models) plus the
+ *   workspaceId and analysisId that model calls are recorded against
+ * @returns {Promise<object>} { extractedData, confidence, notes, model, validation }
+ */
+async function extractFramework(content, contentType, framework, chunkInfo = null, options = {}) {
+  const emit = createProgressEmitter(options.onProgress);
+  const chunk = chunkInfo ? { chunk: chunkInfo.index, totalChunks: chunkInfo.total } : {};
+  const userPrompt = buildAnalysisPrompt(content, contentType, framework, chunkInfo);
+  const tool = buildAnalysisTool(framework, contentType);
+  const startTime = Date.now();
+
+  // The framework is passed as the tool's input schema, so the analysis normally
+  // comes back as a tool_use input object; plain text is parsed as a fallback
+  const { content: response, model, usage } = await callClaudeWithRateLimit(userPrompt, {
+    operation: 'analysis',
+    models: options.models,
+    maxTokens: 4096,
+    temperature: 0.3,
+    system: ANALYSIS_SYSTEM_PROMPT(contentType),
+    tools: [tool],
+    toolChoice: { type: 'tool', name: tool.name },
+    stream: Boolean(options.stream),
+    onEvent: event => {
+      switch (event.type) {
+        case 'model_attempt':
+          emit({ phase: 'calling_model', model: event.model, ...chunk });
+          break;
+        case 'model_fallback':
+          emit({ phase: 'fallback_model', failedModel: event.failedModel, ...chunk });
+          break;
+        case 'retry':
+          emit({ phase: 'retrying', attempt: event.attempt, backoffMs: event.backoffMs, ...chunk });
+          break;
+        case 'text':
+          emit({ phase: 'token', text: event.text, ...chunk });
+          break;
+      }
+    }
+  });
+
+  emit({ phase: 'parsing', ...chunk });
+  logAPICall(userPrompt, response, Date.now() - startTime, model);
+  recordAnalysisCall(options, contentType, model, usage, Date.now() - startTime);
+
+  let output = parseAnalysisOutput(response, framework);
+  let repairedFields = [];
+  const repairAttempted = output.issues.length > 0;
+
+  // Repair pass: send the validation errors back to Claude once
+  if (repairAttempted) {
+    emit({ phase: 'repairing', issues: output.issues.length, ...chunk });
+    const repaired = await repairFramework(response, output.issues, contentType, framework, options);
+
+    if (repaired && repaired.value && repaired.issues.length <= output.issues.length) {
+      const remaining = new Set(repaired.issues.map(issue => issue.field));
+      repairedFields = output.issues.filter(issue => !remaining.has(issue.field));
+      output = repaired;
+    }
+  }
+
+  if (!output.value || output.issues.some(issue => issue.path.length < 2)) {
+    const problem = output.issues.find(issue => issue.path.length < 2) || output.issues[0];
+    throw new AnalysisError(`Analysis response does not match the ${contentType} framework: ${formatIssue(problem)}`);
+  }
+
+  // Whatever the repair could not fix is dropped so the rest of the analysis stays usable
+  const validated = discardInvalidFields(output.value, output.issues);
+
+  return {
+    extractedData: validated.extractedData,
+    confidence: validated.confidence,
+    notes: validated.notes || '',
+    model,
+    validation: {
+      structuredOutput: typeof response !== 'string',
+      coercedFields: output.coercedFields,
+      repairAttempted,
+      repairedFields: repairedFields.map(({ field, message }) => ({ field, message })),
+      discardedFields: output.issues.map(({ field, message }) => ({ field, message }))
+    }
+  };
+}
+
+/**
+ * Ask Claude to fix an analysis response that failed framework validation
+ * @param {string|object} response - Original model output (text or tool input)
+ * @param {Array<object>} issues - Validation issues ({ field, message })
+ * @param {string} contentType - Type of content
+ * @param {object} framework - Analysis framework
+ * @param {object} [options] - extractFramework options (models, workspaceId, analysisId)
+ * @returns {Promise<object|null>} Parsed and validated repair (see parseAnalysisOutput), or null if the call failed
+ */
+async function repairFramework(response, issues, contentType, framework, options = {}) {
+  const prompt = buildRepairPrompt(response, issues, framework);
+  const tool = buildAnalysisTool(framework, contentType);
+  const startTime = Date.now();
+
+  try {
+    const { content: repaired, model, usage } = await callClaudeWithRateLimit(prompt, {
+      operation: 'analysis',
+      models: options.models,
+      maxTokens: 4096,
+      temperature: 0,
+      system: REPAIR_SYSTEM_PROMPT,
+      tools: [tool],
+      toolChoice: { type: 'tool', name: tool.name }
+    });
+
+    logAPICall(prompt, repaired, Date.now() - startTime, model);
+    recordAnalysisCall(options, contentType, model, usage, Date.now() - startTime);
+    return parseAnalysisOutput(repaired, framework);
+  } catch (error) {
+    console.warn(`Repair of ${contentType} analysis failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Map-reduce framework extraction for long documents.
+ * Each chunk is analyzed independently, then the partial results are merged.
+ * @param {string} content - Content to analyze
+ * @param {string} contentType - Type of content
+ * @param {object} framework - Analysis framework
+ * @param {number} chunkSize - Chunk size in characters
+ * @param {number} chunkOverlap - Overlap between chunks in characters
+ * @param {object} [options] - extractFramework options
+ * @returns {Promise<object>} { extractedData, confidence, notes, model, validation, chunking }
+ */
+async function extractFrameworkChunked(content, contentType, framework, chunkSize, chunkOverlap, options = {}) {
+  const emit = createProgressEmitter(options.onProgress);
+  const chunks = chunkContent(content, chunkSize, chunkOverlap);
+  console.log(`Analyzing ${content.length} characters in ${chunks.length} chunks`);
+  emit({ phase: 'chunking', totalChunks: chunks.length, chunkSize, chunkOverlap });
+
+  // Map: analyze chunks sequentially so the shared rate limiter is not flooded
+  const partials = [];
+  const failedChunks = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    try {
+      const partial = await extractFramework(chunks[i].text, contentType, framework, {
+        index: i + 1,
+        total: chunks.length
+      }, options);
+      partials.push({ ...partial, index: i, length: chunks[i].text.length });
+      emit({ phase: 'chunk_complete', chunk: i + 1, totalChunks: chunks.length, confidence: partial.confidence });
+    } catch (error) {
+      // Rate limits affect every remaining chunk - give up early
+      if (error instanceof RateLimitError) {
+        throw error;
+      }
+      console.warn(`Chunk ${i + 1}/${chunks.length} failed: ${error.message}`);
+      failedChunks.push({ index: i, error: error.message });
+      emit({ phase: 'chunk_failed', chunk: i + 1, totalChunks: chunks.length, error: error.message });
+    }
+  }
+
+  if (partials.length === 0) {
+    throw new AnalysisError(`Chunked analysis failed: all ${chunks.length} chunks failed (${failedChunks[0]?.error})`);
+  }
+
+  // Reduce: merge partial extractions in document order
+  const extractedData = mergeExtractedData(partials.map(p => p.extractedData), framework);
+
+  if (!isPlainObject(extractedData)) {
+    throw new AnalysisError(`Chunked analysis failed: none of the ${chunks.length} chunks returned framework data`);
+  }
+
+  // Length-weighted confidence, scaled down by the share of content that failed
+  const analyzedLength = partials.reduce((sum, p) => sum + p.length, 0);
+  const totalLength = chunks.reduce((sum, c) => sum + c.text.length, 0);
+  const weightedConfidence = partials.reduce((sum, p) => sum + p.confidence * p.length, 0) / analyzedLength;
+  const confidence = Math.round(weightedConfidence * (analyzedLength / totalLength) * 100) / 100;
+
+  const notes = partials
+    .filter(p => p.notes)
+    .map(p => `[Chunk ${p.index + 1}] ${p.notes}`)
+    .join('\n');
+
+  // Field lists from each chunk, tagged with the chunk they came from
+  const chunkFields = key => partials.flatMap(p =>
+    p.validation[key].map(field => ({ chunk: p.index + 1, ...field }))
+  );
+
+  return {
+    extractedData,
+    confidence,
+    notes,
+    // Fallbacks can answer different chunks with different models; the one that
+    // answered most chunks is stored so the analysis cache can match it by model
+    model: getPrimaryModel(partials),
+    validation: {
+      coercedFields: chunkFields('coercedFields'),
+      repairAttempted: partials.some(p => p.validation.repairAttempted),
+      repairedFields: chunkFields('repairedFields'),
+      discardedFields: chunkFields('discardedFields')
+    },
+    chunking: {
+      chunkCount: chunks.length,
+      chunkSize,
+      chunkOverlap,
+      chunkConfidences: partials.map(p => ({ chunk: p.index + 1, confidence: p.confidence, model: p.model })),
+      failedChunks: failedChunks.map(f => ({ chunk: f.index + 1, error: f.error }))
+    }
+  };
+}
+
+/**
+ * Model that answered the most chunks, the earliest on a tie
+ * @param {Array<object>} partials - Chunk extractions ({ model })
+ * @returns {string} Model ID
+ */
+function getPrimaryModel(partials) {
+  return mostCommon(partials.map(p => p.model));
+}
+
+/**
+ * Drop cached results for an analysis, e.g. after it is deleted, so the same
+ * content is analyzed again instead of returning an ID that no longer exists
+ * @param {string} analysisId - Analysis ID
+ */
+function forgetCachedAnalysis(analysisId) {
+  for (const [key, cached] of analysisCache) {
+    if (cached.analysisId === analysisId) {
+      analysisCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Record the tokens and cost of an analysis model call
+ * @param {object} options - extractFramework options (workspaceId, analysisId)
+ * @param {string} contentType - Type of content
+ * @param {string} model - Model that answered
+ * @param {object} usage - { inputTokens, outputTokens }
+ * @param {number} durationMs - Call duration
+ */
+function recordAnalysisCall(options, contentType, model, usage, durationMs) {
+  recordLLMCall({
+    workspaceId: options.workspaceId,
+    operation: 'analysis',
+    model,
+    usage,
+    durationMs,
+    contentType,
+    analysisId: options.analysisId
+  });
+}
+
+/**
+ * Wrap an optional onProgress callback so listener errors never break analysis
+ * @param {function} [onProgress] - Progress listener
+ * @returns {function} Emitter taking a phase event
+ */
+function createProgressEmitter(onProgress) {
+  if (typeof onProgress !== 'function') {
+    return () => {};
+  }
+
+  return event => {
+    try {
+      onProgress(event);
+    } catch (error) {
+      console.warn('onProgress handler failed:', error.message);
+    }
+  };
+}
+
+/**
+ * Split content into overlapping chunks, preferring paragraph and sentence boundaries
+ * @param {string} content - Content to split
+ * @param {number} chunkSize - Maximum chunk size in characters
+ * @param {number} overlap - Characters shared between consecutive chunks
+ * @returns {Array<object>} Chunks as { text, start, end }
+ */
+function chunkContent(content, chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP) {
+  if (overlap >= chunkSize) {
+    throw new AnalysisError('Chunk overlap must be smaller than chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < content.length) {
+    let end = Math.min(start + chunkSize, content.length);
+
+    if (end < content.length) {
+      // Look for a natural break in the second half of the window
+      const window = content.slice(start + Math.floor(chunkSize / 2), end);
+      const breakOffset = Math.max(
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('. '),
+        window.lastIndexOf('\n')
+      );
+      if (breakOffset !== -1) {
+        end = start + Math.floor(chunkSize / 2) + breakOffset + 1;
+      }
+    }
+
+    chunks.push({ text: content.slice(start, end), start, end });
+
+    if (end >= content.length) {
+      break;
+    }
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Merge partial extractedData objects from several chunks into one framework-shaped result.
+ * Groups are merged key by key and list fields are concatenated without duplicates.
+ * Distinct values of text fields are joined; every other value (numbers, fields outside
+ * the framework, values that do not match their descriptor) keeps the most common answer.
+ * @param {Array<object>} partials - extractedData objects in document order
+ * @param {object} framework - Framework definition the partials were extracted with
+ * @param {Array<string>} [path] - Path of the merged field within extractedData
+ * @returns {object} Merged extractedData
+ */
+function mergeExtractedData(partials, framework, path = []) {
+  const present = partials.filter(value => !isEmptyValue(value));
+
+  if (present.length === 0) {
+    return null;
+  }
+
+  const descriptor = path.length === 0 ? framework : getFieldDescriptor(framework, path);
+
+  if (Array.isArray(descriptor)) {
+    return uniqueValues(present.flatMap(value => Array.isArray(value) ? value : [value]))
+      .filter(value => !isEmptyValue(value));
+  }
+
+  if (isPlainObject(descriptor) && present.every(isPlainObject)) {
+    const keys = [...new Set(present.flatMap(Object.keys))];
+    return Object.fromEntries(
+      keys.map(key => [key, mergeExtractedData(present.map(value => value[key]), framework, [...path, key])])
+    );
+  }
+
+  if (typeof descriptor === 'string' && present.every(value => typeof value === 'string')) {
+    const distinct = uniqueValues(present);
+    return distinct.length === 1 ? distinct[0] : distinct.join('\n\n');
+  }
+
+  return mostCommon(present);
+}
+
+/**
+ * Most frequent value, the earliest on a tie
+ * @param {Array<*>} values - Values in document order
+ * @returns {*} Value
+ */
+function mostCommon(values) {
+  const counts = new Map();
+
+  for (const value of values) {
+    const key = valueKey(value);
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+
+  return [...counts.values()].reduce((best, entry) => entry.count > best.count ? entry : best).value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Values that differ only in case or surrounding whitespace count as the same
+function valueKey(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
+}
+
+function uniqueValues(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = valueKey(value);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
 /**
  * Build analysis prompt from framework
  * @param {string} content - Content to analyze
  * @param {string} contentType - Type of content
  * @param {object} framework - Analysis framework
+ * @param {object} [chunkInfo] - { index, total } when analyzing one chunk of a larger document
  * @returns {string} Formatted prompt
  */
-function buildAnalysisPrompt(content, contentType, framework) {
-  return `You are an expert ${contentType} analyst. Analyze the following content and extract knowledge using this framework.
+function buildAnalysisPrompt(content, contentType, framework, chunkInfo = null) {
+  const chunkNote = chunkInfo
+    ? `\n\nThis is part ${chunkInfo.index} of ${chunkInfo.total} of a longer document. Extract only what appears in this part; other parts are analyzed separately and merged afterwards. Use null for elements not present in this part.`
+    : '';
+
+  return `You are an expert ${contentType} analyst. Analyze the following content and extract knowledge using this framework.${chunkNote}
 
 **CONTENT TO ANALYZE:**
 ${content}
@@ -308,7 +752,7 @@ Return valid JSON matching the framework structure. For each element:
 **CONFIDENCE SCORING:**
 Also provide a confidence score (0-1) for your analysis quality.
 
-Return format:
+Record the analysis with the ${ANALYSIS_TOOL_NAME} tool in this format:
 {
   "extractedData": { /* framework data */ },
   "confidence": 0.95,
@@ -317,33 +761,160 @@ Return format:
 }
 
 /**
- * Get cache key for content analysis
+ * Build the repair prompt for an analysis that failed framework validation
+ * @param {string|object} response - Original model output (text or tool input)
+ * @param {Array<object>} issues - Validation issues ({ field, message })
+ * @param {object} framework - Analysis framework
+ * @returns {string} Formatted prompt
+ */
+function buildRepairPrompt(response, issues, framework) {
+  return `Your previous analysis does not match the extraction framework. Fix the problems below and return the complete corrected analysis.
+
+**PROBLEMS:**
+${issues.map(issue => `- ${formatIssue(issue)}`).join('\n')}
+
+**PREVIOUS RESPONSE:**
+${typeof response === 'string' ? response : JSON.stringify(response, null, 2)}
+
+**EXTRACTION FRAMEWORK:**
+${JSON.stringify(framework, null, 2)}
+
+**RULES:**
+- Text fields are strings, list fields are JSON arrays, and groups are JSON objects, as in the framework
+- Every framework section must be present; use null when the content has nothing for a field
+- Keep every value that is not listed above unchanged
+
+Record the analysis with the ${ANALYSIS_TOOL_NAME} tool in this format:
+{
+  "extractedData": { /* framework data */ },
+  "confidence": 0.95,
+  "notes": "Any observations about the content"
+}`;
+}
+
+/**
+ * Format a validation issue for prompts and error messages
+ * @param {object} issue - { field, message }
+ * @returns {string} e.g. "extractedData.core.hook: Invalid input: expected string, received object"
+ */
+function formatIssue(issue) {
+  return issue.field ? `${issue.field}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Hash content for cache lookups
  * @param {string} content - Content to analyze
- * @param {string} contentType - Type of content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Get the in-memory cache key for an analysis request
+ * @param {object} lookup - { workspaceId, contentHash, contentType, frameworkVersion, models, chunking }
  * @returns {string} Cache key
  */
-function getCacheKey(content, contentType) {
-  const crypto = require('crypto');
-  const hash = crypto.createHash('md5').update(content + contentType).digest('hex');
-  return `${contentType}:${hash}`;
+function getCacheKey(lookup) {
+  const chunking = lookup.chunking ? `${lookup.chunking.chunkSize}:${lookup.chunking.chunkOverlap}` : 'single';
+  return [
+    lookup.workspaceId,
+    lookup.contentType,
+    lookup.frameworkVersion,
+    lookup.contentHash,
+    chunking,
+    lookup.models.join(',')
+  ].join('|');
+}
+
+/**
+ * Find the newest saved analysis that answers an analysis request: same workspace,
+ * content, content type and framework version, made in the same chunking mode by
+ * a model in the request's chain
+ * @param {object} lookup - { workspaceId, contentHash, contentType, frameworkVersion, models, chunking }
+ * @returns {object|null} Analysis result in the shape returned by analyzeContent, or null
+ */
+function findSavedAnalysis(lookup) {
+  const db = dbConnection.getConnection();
+  const chunkingCondition = lookup.chunking
+    ? `AND json_extract(chunking, '$.chunkSize') = ? AND json_extract(chunking, '$.chunkOverlap') = ?`
+    : 'AND chunking IS NULL';
+
+  const row = db.prepare(`
+    SELECT *
+    FROM content_analyses
+    WHERE workspace_id = ? AND content_hash = ? AND content_type = ? AND framework_version = ?
+      AND model IN (${lookup.models.map(() => '?').join(', ')})
+      ${chunkingCondition}
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT 1
+  `).get(
+    lookup.workspaceId,
+    lookup.contentHash,
+    lookup.contentType,
+    lookup.frameworkVersion,
+    ...lookup.models,
+    ...(lookup.chunking ? [lookup.chunking.chunkSize, lookup.chunking.chunkOverlap] : [])
+  );
+
+  if (!row) {
+    return null;
+  }
+
+  const extractedData = JSON.parse(row.analysis_result);
+  const validation = JSON.parse(row.validation || '{}');
+
+  return {
+    analysisId: row.id,
+    contentType: row.content_type,
+    extractedData,
+    confidence: row.confidence,
+    processingTime: row.processing_time,
+    notes: row.notes || '',
+    model: row.model,
+    validation,
+    quality: validateAnalysisQuality({
+      contentType: row.content_type,
+      extractedData,
+      confidence: row.confidence,
+      validation,
+      humanReviewed: Boolean(row.human_reviewed)
+    }),
+    ...(row.chunking && { chunking: JSON.parse(row.chunking) }),
+    // SQLite CURRENT_TIMESTAMP is UTC
+    timestamp: new Date(`${row.created_at.replace(' ', 'T')}Z`).toISOString()
+  };
 }
 
 /**
  * Validate analysis quality
- * @param {object} analysisResult - Analysis result to validate
- * @returns {object} Validation result
+ * @param {object} analysisResult - Analysis result to validate ({ contentType, extractedData,
+ *   confidence, validation, humanReviewed })
+ * @returns {object} { isValid, issues, requiresReview, confidenceThreshold }; reviewed analyses
+ *   never require review
  */
 function validateAnalysisQuality(analysisResult) {
   const issues = [];
+  const confidenceThreshold = getConfidenceThreshold();
 
   // Check confidence threshold
-  if (analysisResult.confidence < 0.7) {
+  if (analysisResult.confidence < confidenceThreshold) {
     issues.push('Low confidence analysis - may need review');
   }
 
+  // Check for fields dropped because they failed framework validation
+  const discarded = analysisResult.validation?.discardedFields?.length || 0;
+  if (discarded > 0) {
+    issues.push(`${discarded} field${discarded === 1 ? '' : 's'} failed framework validation and ${discarded === 1 ? 'was' : 'were'} dropped`);
+  }
+
   // Check for missing critical data
   const extractedData = analysisResult.extractedData;
 
+  if (!isPlainObject(extractedData)) {
+    throw new AnalysisError('Analysis returned no framework data');
+  }
+
   if (analysisResult.contentType === 'copywriting') {
     if (!extractedData.core?.bigIdea) {
       issues.push('Missing big idea - core concept not identified');
@@ -365,23 +936,57 @@ function validateAnalysisQuality(analysisResult) {
   return {
     isValid: issues.length === 0,
     issues,
-    requiresReview: issues.length > 0 || analysisResult.confidence < 0.8
+    requiresReview: !analysisResult.humanReviewed &&
+      (issues.length > 0 || analysisResult.confidence < REVIEW_CONFIDENCE),
+    confidenceThreshold
   };
 }
 
+/**
+ * Confidence below which analyses block skill generation
+ * @returns {number} Threshold (0-1) from ANALYSIS_CONFIDENCE_THRESHOLD, or the default
+ */
+function getConfidenceThreshold() {
+  const configured = parseFloat(process.env.ANALYSIS_CONFIDENCE_THRESHOLD);
+  return configured >= 0 && configured <= 1 ? configured : DEFAULT_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Check whether skill generation from an analysis should wait for a human review:
+ * its confidence is below the threshold or the quality check flagged it
+ * @param {object} analysisData - { confidence, requiresReview, humanReviewed } (see loadAnalysisForGeneration)
+ * @returns {string|null} Why the analysis needs review, or null when it can be used as is
+ */
+function getReviewRequirement(analysisData) {
+  if (analysisData.humanReviewed) {
+    return null;
+  }
+
+  if (analysisData.confidence < getConfidenceThreshold()) {
+    return `Analysis confidence ${analysisData.confidence} is below the ${getConfidenceThreshold()} threshold.`;
+  }
+
+  if (analysisData.requiresReview) {
+    return 'The quality check flagged this analysis for review.';
+  }
+
+  return null;
+}
+
 /**
  * Analyze content with retry logic
  * @param {string} content - Content to analyze
  * @param {string} contentType - Type of content
  * @param {number} maxRetries - Maximum retry attempts
+ * @param {object} options - Options passed through to analyzeContent
  * @returns {Promise<object>} Analysis result
  */
-async function analyzeContentWithRetry(content, contentType, maxRetries = 2) {
+async function analyzeContentWithRetry(content, contentType, maxRetries = 2, options = {}) {
   let lastError;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await analyzeContent(content, contentType);
+      return await analyzeContent(content, contentType, options);
     } catch (error) {
       lastError = error;
 
@@ -434,7 +1039,7 @@ function sleep(ms) {
  * @returns {Array<string>} Available content types
  */
 function getAvailableContentTypes() {
-  return Object.keys(FRAMEWORKS);
+  return frameworkRegistry.getContentTypes();
 }
 
 /**
@@ -443,14 +1048,23 @@ function getAvailableContentTypes() {
  * @returns {object} Framework object
  */
 function getFramework(contentType) {
-  return FRAMEWORKS[contentType];
+  return frameworkRegistry.getFramework(contentType);
 }
 
 module.exports = {
   analyzeContent,
   analyzeContentWithRetry,
+  chunkContent,
+  mergeExtractedData,
   validateAnalysisQuality,
+  getConfidenceThreshold,
+  getReviewRequirement,
+  forgetCachedAnalysis,
   getAvailableContentTypes,
   getFramework,
-  FRAMEWORKS
+  FRAMEWORKS,
+  MAX_CONTENT_LENGTH,
+  MAX_CHUNKED_CONTENT_LENGTH,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP
 };
@@ -0,0 +1,243 @@
+/**
+ * Content Classifier Service
+ * Picks the extraction frameworks for contentType "auto". A short model call
+ * scores the content against every registered content type, and keyword
+ * heuristics for the built-in types are blended in. Mixed documents that score
+ * high for several types are analyzed with each of them.
+ */
+
+const { z } = require('zod');
+const { callClaudeWithRateLimit, logAPICall } = require('../utils/claudeClient');
+const frameworkRegistry = require('./frameworkRegistry');
+const { recordLLMCall } = require('./llmUsage');
+
+// Tool the model calls to return its scores
+const CLASSIFICATION_TOOL_NAME = 'record_content_type_scores';
+
+// Characters of content sent to the model; longer content is sampled from the
+// start, middle and end so sections late in a mixed document are seen
+const CLASSIFICATION_SAMPLE_LENGTH = 6000;
+
+// Weight of the model score when a type also has heuristics
+const MODEL_WEIGHT = 0.7;
+
+// Types scoring at least this much are analyzed too, up to MAX_DETECTED_TYPES
+const MIXED_CONTENT_THRESHOLD = 0.6;
+const MAX_DETECTED_TYPES = 3;
+
+// Keyword hits per 100 words at which a heuristic score reaches 1
+const HEURISTIC_SATURATION = 4;
+
+// Signals for the built-in content types
+const CONTENT_TYPE_HEURISTICS = {
+  copywriting: [
+    /\b(?:headline|offer|call to action|cta|discount|limited time|guarantee[ds]?|testimonials?|bonus|subscribe|sign up|buy now|order now|free trial)\b/gi,
+    /\b(?:you|your|you're)\b/gi,
+    /!/g
+  ],
+  process: [
+    /\bstep\s+\d+\b/gi,
+    /\b(?:first|then|next|finally|afterwards)\b/gi,
+    /\b(?:procedure|workflow|checklist|approval|approve|responsible|sop|sign-off|hand-?off|escalate)\b/gi,
+    /^\s*\d+[.)]\s+/gm
+  ],
+  technical: [
+    /```|`[^`\n]+`/g,
+    /\b(?:api|function|install|npm|pip|config(?:uration)?|server|database|endpoint|deploy|http|json|sdk|cli|library|module)\b/gi,
+    /\w+\([^)]*\)|=>|\$\s+\w+/g
+  ]
+};
+
+const CLASSIFICATION_SYSTEM_PROMPT = `You are an expert content analyst who identifies what kind of content a document is.
+
+Your role:
+- Score how well the content fits each content type on a 0-1 scale
+- Score each type independently: a document mixing several kinds of content can score high for more than one
+- Base the scores on the content itself, not on its topic alone`;
+
+/**
+ * Classify content against the registered content types
+ * @param {string} content - Content to classify
+ * @param {object} [options] - { workspaceId } recorded with the model call
+ * @returns {Promise<object>} { contentTypes, scores, method, model, reasoning } where contentTypes
+ *   lists the types to analyze, best first, and scores holds { contentType, score, modelScore,
+ *   heuristicScore } for every registered type, highest first
+ */
+async function classifyContent(content, options = {}) {
+  const frameworks = frameworkRegistry.listFrameworks();
+  const heuristicScores = scoreHeuristics(content);
+
+  let modelResult = null;
+  try {
+    modelResult = await scoreWithModel(content, frameworks, options);
+  } catch (error) {
+    console.warn(`Content type classification call failed, using heuristics only: ${error.message}`);
+  }
+
+  const scores = frameworks.map(({ contentType }) => {
+    const modelScore = modelResult ? modelResult.scores[contentType] ?? 0 : null;
+    const heuristicScore = heuristicScores[contentType] ?? null;
+
+    let score;
+    if (modelScore === null) {
+      score = heuristicScore ?? 0;
+    } else if (heuristicScore === null) {
+      score = modelScore;
+    } else {
+      score = MODEL_WEIGHT * modelScore + (1 - MODEL_WEIGHT) * heuristicScore;
+    }
+
+    return { contentType, score: round(score), modelScore, heuristicScore };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, ...others] = scores;
+  const contentTypes = [
+    best.contentType,
+    ...others.filter(entry => entry.score >= MIXED_CONTENT_THRESHOLD).map(entry => entry.contentType)
+  ].slice(0, MAX_DETECTED_TYPES);
+
+  return {
+    contentTypes,
+    scores,
+    method: modelResult ? 'model' : 'heuristics',
+    model: modelResult ? modelResult.model : null,
+    reasoning: modelResult ? modelResult.reasoning : null
+  };
+}
+
+/**
+ * Ask the model to score the content against each content type
+ * @param {string} content - Content to classify
+ * @param {Array<object>} frameworks - Registered frameworks (see frameworkRegistry.listFrameworks)
+ * @param {object} options - { workspaceId }
+ * @returns {Promise<object>} { scores: { [contentType]: number }, reasoning, model }
+ */
+async function scoreWithModel(content, frameworks, options) {
+  const tool = buildClassificationTool(frameworks);
+  const prompt = buildClassificationPrompt(sampleContent(content), frameworks);
+  const startTime = Date.now();
+
+  const { content: response, model, usage } = await callClaudeWithRateLimit(prompt, {
+    operation: 'classification',
+    maxTokens: 1024,
+    temperature: 0,
+    system: CLASSIFICATION_SYSTEM_PROMPT,
+    tools: [tool],
+    toolChoice: { type: 'tool', name: tool.name }
+  });
+
+  logAPICall(prompt, response, Date.now() - startTime, model);
+  recordLLMCall({
+    workspaceId: options.workspaceId,
+    operation: 'classification',
+    model,
+    usage,
+    durationMs: Date.now() - startTime
+  });
+
+  if (typeof response === 'string') {
+    throw new Error('Model did not return content type scores');
+  }
+
+  const scores = {};
+  for (const { contentType } of frameworks) {
+    const score = Number(response.scores?.[contentType]);
+    scores[contentType] = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0;
+  }
+
+  return {
+    scores,
+    reasoning: typeof response.reasoning === 'string' ? response.reasoning : null,
+    model
+  };
+}
+
+/**
+ * Score the content against the built-in types with keyword heuristics
+ * @param {string} content - Content to classify
+ * @returns {object} Scores (0-1) by content type, for types that have heuristics
+ */
+function scoreHeuristics(content) {
+  const words = Math.max(1, content.split(/\s+/).filter(Boolean).length);
+
+  return Object.fromEntries(Object.entries(CONTENT_TYPE_HEURISTICS).map(([contentType, patterns]) => {
+    const hits = patterns.reduce((sum, pattern) => sum + (content.match(pattern) || []).length, 0);
+    const perHundredWords = (hits / words) * 100;
+    return [contentType, round(Math.min(1, perHundredWords / HEURISTIC_SATURATION))];
+  }));
+}
+
+/**
+ * Build the tool definition whose input carries a score per content type
+ * @param {Array<object>} frameworks - Registered frameworks
+ * @returns {object} Tool definition ({ name, description, input_schema })
+ */
+function buildClassificationTool(frameworks) {
+  const schema = z.object({
+    scores: z.object(Object.fromEntries(frameworks.map(framework => [
+      framework.contentType,
+      z.number().min(0).max(1).describe(`How well the content fits: ${framework.name}${framework.description ? ` - ${framework.description}` : ''}`)
+    ]))),
+    reasoning: z.string().describe('One or two sentences explaining the scores')
+  });
+  const { $schema, ...inputSchema } = z.toJSONSchema(schema);
+
+  return {
+    name: CLASSIFICATION_TOOL_NAME,
+    description: 'Record how well the content fits each content type',
+    input_schema: inputSchema
+  };
+}
+
+/**
+ * Build the classification prompt
+ * @param {string} sample - Content sample
+ * @param {Array<object>} frameworks - Registered frameworks
+ * @returns {string} Prompt
+ */
+function buildClassificationPrompt(sample, frameworks) {
+  const types = frameworks
+    .map(framework => `- ${framework.contentType}: ${framework.name}${framework.description ? ` - ${framework.description}` : ''}`)
+    .join('\n');
+
+  return `Score how well this content fits each content type.
+
+CONTENT TYPES:
+${types}
+
+CONTENT:
+${sample}
+
+Record the scores with the ${CLASSIFICATION_TOOL_NAME} tool.`;
+}
+
+/**
+ * Take the start, middle and end of long content
+ * @param {string} content - Content to classify
+ * @returns {string} Sample of at most CLASSIFICATION_SAMPLE_LENGTH characters plus separators
+ */
+function sampleContent(content) {
+  if (content.length <= CLASSIFICATION_SAMPLE_LENGTH) {
+    return content;
+  }
+
+  const part = Math.floor(CLASSIFICATION_SAMPLE_LENGTH / 3);
+  const middle = Math.floor((content.length - part) / 2);
+
+  return [
+    content.slice(0, part),
+    content.slice(middle, middle + part),
+    content.slice(-part)
+  ].join('\n\n[...]\n\n');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  classifyContent,
+  scoreHeuristics,
+  MIXED_CONTENT_THRESHOLD,
+  MAX_DETECTED_TYPES
+};
@@ -0,0 +1,455 @@
+/**
+ * Framework Registry
+ * Content types and their extraction frameworks, stored in the frameworks table
+ */
+
+const { z } = require('zod');
+const dbConnection = require('../db/database');
+const { MAP_KEY } = require('./analysisSchema');
+
+// Built-in analysis frameworks. These are synced into the frameworks table on first
+// access and cannot be modified through the API.
+const BUILT_IN_FRAMEWORKS = {
+  copywriting: {
+    // Core Elements
+    core: {
+      bigIdea: "The central unique concept or promise",
+      hook: "Opening that grabs attention",
+      problemPain: "Pain points being addressed",
+      enemyVillain: "What's preventing success/causing pain",
+      promise: "Main benefit or transformation",
+      mechanism: "How the solution works (the 'secret sauce')",
+      proof: "Evidence, testimonials, data, case studies",
+      offer: "What they're getting and at what price",
+      cta: "Call to action and next steps"
+    },
+
+    // Style & Voice
+    style: {
+      toneVoice: "Overall communication style (authoritative, friendly, urgent, etc.)",
+      psychologicalTriggers: ["Urgency", "Scarcity", "Social proof", "Authority", "Reciprocity"],
+      emotionalTone: "Primary emotions evoked (fear, hope, excitement, etc.)"
+    },
+
+    // Structure & Patterns
+    structure: {
+      sentenceStructure: {
+        averageLength: "Number",
+        patterns: ["Short punchy opens", "Longer explanatory sentences"],
+        variety: "Mix of lengths for rhythm"
+      },
+      copyCadence: "Pacing and rhythm (fast, slow, varied)",
+      paragraphFlow: "How paragraphs build on each other",
+      formattingPatterns: ["Bullet points", "Bold text", "Subheadings", "P.S. sections"],
+      narrativeFlow: "Story structure (Problem-Agitate-Solve, AIDA, etc.)"
+    },
+
+    // Language
+    language: {
+      languageStyle: "Direct, conversational, formal, technical, etc.",
+      signaturePhrases: ["Recurring words or phrases that define the voice"],
+      wordChoice: "Specific vocabulary patterns",
+      powerWords: ["Words that trigger emotions or action"]
+    }
+  },
+
+  process: {
+    // Core Workflow
+    workflow: {
+      steps: [
+        {
+          name: "Step name",
+          description: "What happens",
+          duration: "Time required",
+          owner: "Who's responsible"
+        }
+      ],
+      decisionPoints: ["Where choices must be made"],
+      dependencies: ["What must happen before each step"],
+      criticalPath: "Steps that cannot be delayed"
+    },
+
+    // Resources
+    resources: {
+      toolsRequired: ["Software, equipment, materials needed"],
+      skillsNeeded: ["Competencies required"],
+      peopleInvolved: ["Roles and responsibilities"],
+      documentsNeeded: ["Forms, templates, references"]
+    },
+
+    // Quality & Risk
+    quality: {
+      successMetrics: ["How to measure success"],
+      qualityChecks: ["Validation points in process"],
+      commonPitfalls: ["What usually goes wrong"],
+      troubleshooting: ["How to fix common problems"]
+    },
+
+    // Context
+    context: {
+      when: "Triggers that initiate the process",
+      frequency: "How often it's performed",
+      variations: "Different scenarios or edge cases",
+      dependencies: "What must exist before starting"
+    }
+  },
+
+  technical: {
+    // Core Concepts
+    concepts: {
+      mainConcepts: ["Key ideas being explained"],
+      terminology: {
+        "*": "Definition of the term, with context"
+      },
+      prerequisites: ["What you need to know first"],
+      difficulty: "Beginner, Intermediate, Advanced"
+    },
+
+    // Implementation
+    implementation: {
+      patterns: ["Design patterns or approaches used"],
+      bestPractices: ["Recommended ways to do things"],
+      antiPatterns: ["Common mistakes to avoid"],
+      examples: [
+        {
+          scenario: "Use case",
+          code: "Implementation",
+          explanation: "Why it works"
+        }
+      ]
+    },
+
+    // Architecture
+    architecture: {
+      components: ["System parts and their purposes"],
+      dataFlow: "How information moves",
+      integrations: ["External systems or APIs"],
+      scalability: "Performance considerations"
+    }
+  }
+};
+
+
+// Display metadata for the built-in frameworks
+const BUILT_IN_METADATA = {
+  copywriting: {
+    name: 'Copywriting',
+    description: 'Sales pages, emails, ads and other persuasive copy'
+  },
+  process: {
+    name: 'Process',
+    description: 'Workflows, SOPs and operational procedures'
+  },
+  technical: {
+    name: 'Technical',
+    description: 'Technical documentation, tutorials and architecture guides'
+  }
+};
+
+const FIELD_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const CONTENT_TYPE_PATTERN = /^[a-z][a-z0-9-]{1,48}[a-z0-9]$/;
+const MAX_FRAMEWORK_DEPTH = 4;
+
+// Reserved for automatic detection in POST /api/analyze
+const AUTO_CONTENT_TYPE = 'auto';
+
+// A field descriptor is a description string, a list (of descriptions or field
+// groups describing each item) or a nested group of fields. A group whose only
+// field is "*" is a map with free-form keys (e.g. terms and their definitions)
+const FieldDescriptorSchema = z.lazy(() => z.union([
+  z.string().min(1, 'Field description must not be empty'),
+  z.array(z.union([z.string().min(1), FieldGroupSchema])).min(1, 'List fields need at least one example item'),
+  FieldGroupSchema
+]));
+
+const FieldGroupSchema = z.record(
+  z.string().refine(
+    key => key === MAP_KEY || FIELD_KEY_PATTERN.test(key),
+    `Field names must be alphanumeric identifiers, or "${MAP_KEY}" for a map`
+  ),
+  FieldDescriptorSchema
+).refine(group => Object.keys(group).length > 0, 'Field groups must define at least one field')
+  .refine(group => !(MAP_KEY in group) || Object.keys(group).length === 1, `"${MAP_KEY}" must be the only field of a map`);
+
+// Frameworks are grouped into sections, each a group of fields
+const FrameworkDefinitionSchema = z.record(
+  z.string().regex(FIELD_KEY_PATTERN, 'Section names must be alphanumeric identifiers'),
+  FieldGroupSchema
+).refine(framework => Object.keys(framework).length > 0, 'Framework must define at least one section')
+  .refine(framework => getDepth(framework) <= MAX_FRAMEWORK_DEPTH, `Framework must not be nested deeper than ${MAX_FRAMEWORK_DEPTH} levels`);
+
+// Registry errors carry a code the API layer maps to an HTTP status
+class FrameworkRegistryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FrameworkRegistryError';
+    this.code = code;
+  }
+}
+
+let builtInsSynced = false;
+
+/**
+ * Write the built-in framework definitions into the frameworks table,
+ * bumping their version when the definition in code has changed
+ */
+function ensureBuiltInFrameworks() {
+  if (builtInsSynced) {
+    return;
+  }
+
+  const db = dbConnection.getConnection();
+  const existing = db.prepare('SELECT framework FROM frameworks WHERE content_type = ?');
+  const insert = db.prepare(`
+    INSERT INTO frameworks (content_type, name, description, framework, is_built_in)
+    VALUES (?, ?, ?, ?, 1)
+  `);
+  const update = db.prepare(`
+    UPDATE frameworks
+    SET name = ?, description = ?, framework = ?, is_built_in = 1,
+        version = version + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE content_type = ?
+  `);
+
+  db.transaction(() => {
+    for (const [contentType, framework] of Object.entries(BUILT_IN_FRAMEWORKS)) {
+      const { name, description } = BUILT_IN_METADATA[contentType];
+      const definition = JSON.stringify(framework);
+      const row = existing.get(contentType);
+
+      if (!row) {
+        insert.run(contentType, name, description, definition);
+      } else if (row.framework !== definition) {
+        update.run(name, description, definition, contentType);
+      }
+    }
+  })();
+
+  builtInsSynced = true;
+}
+
+/**
+ * List all registered frameworks
+ * @returns {Array<object>} Formatted frameworks
+ */
+function listFrameworks() {
+  ensureBuiltInFrameworks();
+  const db = dbConnection.getConnection();
+  return db.prepare('SELECT * FROM frameworks ORDER BY is_built_in DESC, content_type')
+    .all()
+    .map(formatFramework);
+}
+
+/**
+ * Get a registered framework record
+ * @param {string} contentType - Content type
+ * @returns {object|null} Formatted framework, or null if not registered
+ */
+function getFrameworkRecord(contentType) {
+  ensureBuiltInFrameworks();
+  const db = dbConnection.getConnection();
+  const row = db.prepare('SELECT * FROM frameworks WHERE content_type = ?').get(contentType);
+  return row ? formatFramework(row) : null;
+}
+
+/**
+ * Get the extraction framework definition for a content type
+ * @param {string} contentType - Content type
+ * @returns {object|null} Framework definition
+ */
+function getFramework(contentType) {
+  const record = getFrameworkRecord(contentType);
+  return record ? record.framework : null;
+}
+
+/**
+ * Get all registered content types
+ * @returns {Array<string>} Content types
+ */
+function getContentTypes() {
+  ensureBuiltInFrameworks();
+  const db = dbConnection.getConnection();
+  return db.prepare('SELECT content_type FROM frameworks ORDER BY is_built_in DESC, content_type')
+    .all()
+    .map(row => row.content_type);
+}
+
+/**
+ * Check whether a content type is registered
+ * @param {string} contentType - Content type
+ * @returns {boolean} Whether it exists
+ */
+function isKnownContentType(contentType) {
+  return getContentTypes().includes(contentType);
+}
+
+/**
+ * Register a new content type and its framework
+ * @param {object} data - { contentType, name, description, framework }
+ * @returns {object} Formatted framework
+ */
+function createFramework({ contentType, name, description, framework }) {
+  ensureBuiltInFrameworks();
+
+  if (!CONTENT_TYPE_PATTERN.test(contentType)) {
+    throw new FrameworkRegistryError(
+      'Content type must be 3-50 lowercase letters, numbers and hyphens',
+      'INVALID_FRAMEWORK'
+    );
+  }
+
+  if (contentType === AUTO_CONTENT_TYPE) {
+    throw new FrameworkRegistryError(`"${AUTO_CONTENT_TYPE}" is reserved for automatic content type detection`, 'INVALID_FRAMEWORK');
+  }
+
+  validateFrameworkDefinition(framework);
+
+  if (getFrameworkRecord(contentType)) {
+    throw new FrameworkRegistryError(`Framework for content type "${contentType}" already exists`, 'CONFLICT');
+  }
+
+  const db = dbConnection.getConnection();
+  db.prepare(`
+    INSERT INTO frameworks (content_type, name, description, framework)
+    VALUES (?, ?, ?, ?)
+  `).run(contentType, name, description || null, JSON.stringify(framework));
+
+  return getFrameworkRecord(contentType);
+}
+
+/**
+ * Update a custom framework. Changing the definition bumps its version.
+ * @param {string} contentType - Content type
+ * @param {object} changes - { name, description, framework }
+ * @returns {object} Formatted framework
+ */
+function updateFramework(contentType, changes) {
+  const existing = getFrameworkRecord(contentType);
+
+  if (!existing) {
+    throw new FrameworkRegistryError(`Unknown content type: ${contentType}`, 'NOT_FOUND');
+  }
+
+  if (existing.isBuiltIn) {
+    throw new FrameworkRegistryError('Built-in frameworks cannot be modified', 'FORBIDDEN');
+  }
+
+  if (changes.framework) {
+    validateFrameworkDefinition(changes.framework);
+  }
+
+  const definitionChanged = changes.framework &&
+    JSON.stringify(changes.framework) !== JSON.stringify(existing.framework);
+
+  const db = dbConnection.getConnection();
+  db.prepare(`
+    UPDATE frameworks
+    SET name = ?, description = ?, framework = ?,
+        version = version + ?, updated_at = CURRENT_TIMESTAMP
+    WHERE content_type = ?
+  `).run(
+    changes.name ?? existing.name,
+    changes.description !== undefined ? changes.description : existing.description,
+    JSON.stringify(changes.framework || existing.framework),
+    definitionChanged ? 1 : 0,
+    contentType
+  );
+
+  return getFrameworkRecord(contentType);
+}
+
+/**
+ * Delete a custom framework that no skill or analysis uses
+ * @param {string} contentType - Content type
+ */
+function deleteFramework(contentType) {
+  const existing = getFrameworkRecord(contentType);
+
+  if (!existing) {
+    throw new FrameworkRegistryError(`Unknown content type: ${contentType}`, 'NOT_FOUND');
+  }
+
+  if (existing.isBuiltIn) {
+    throw new FrameworkRegistryError('Built-in frameworks cannot be deleted', 'FORBIDDEN');
+  }
+
+  const db = dbConnection.getConnection();
+  const { skills } = db.prepare('SELECT COUNT(*) as skills FROM skills WHERE skill_type = ?').get(contentType);
+  const { analyses } = db.prepare('SELECT COUNT(*) as analyses FROM content_analyses WHERE content_type = ?').get(contentType);
+
+  if (skills > 0 || analyses > 0) {
+    throw new FrameworkRegistryError(
+      `Framework is in use by ${skills} skill(s) and ${analyses} analysis record(s)`,
+      'CONFLICT'
+    );
+  }
+
+  db.prepare('DELETE FROM frameworks WHERE content_type = ?').run(contentType);
+}
+
+/**
+ * Validate a framework definition
+ * @param {object} framework - Framework definition
+ * @throws {FrameworkRegistryError} With the validation issues in .details
+ */
+function validateFrameworkDefinition(framework) {
+  const result = FrameworkDefinitionSchema.safeParse(framework);
+
+  if (!result.success) {
+    const error = new FrameworkRegistryError('Invalid framework definition', 'INVALID_FRAMEWORK');
+    error.details = result.error.issues.map(issue => ({
+      field: ['framework', ...issue.path].join('.'),
+      message: issue.message
+    }));
+    throw error;
+  }
+}
+
+/**
+ * Nesting depth of a framework definition
+ * @param {*} value - Framework node
+ * @returns {number} Depth
+ */
+function getDepth(value) {
+  if (Array.isArray(value)) {
+    return Math.max(0, ...value.map(getDepth));
+  }
+  if (value && typeof value === 'object') {
+    return 1 + Math.max(0, ...Object.values(value).map(getDepth));
+  }
+  return 0;
+}
+
+/**
+ * Convert a frameworks row into its API representation
+ * @param {object} row - Database row
+ * @returns {object} Formatted framework
+ */
+function formatFramework(row) {
+  return {
+    contentType: row.content_type,
+    name: row.name,
+    description: row.description,
+    framework: JSON.parse(row.framework),
+    isBuiltIn: row.is_built_in === 1,
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  listFrameworks,
+  getFramework,
+  getFrameworkRecord,
+  getContentTypes,
+  isKnownContentType,
+  createFramework,
+  updateFramework,
+  deleteFramework,
+  validateFrameworkDefinition,
+  ensureBuiltInFrameworks,
+  FrameworkRegistryError,
+  BUILT_IN_FRAMEWORKS,
+  AUTO_CONTENT_TYPE
+};
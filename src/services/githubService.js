@@ -3,6 +3,9 @@
  * Handles publishing skills to GitHub repositories
  */
 
+// Largest repository archive downloadRepositoryArchive will buffer
+const MAX_ARCHIVE_SIZE = 20 * 1024 * 1024; // 20MB
+
 /**
  * Create a new GitHub repository
  * @param {string} token - GitHub personal access token
@@ -56,7 +59,7 @@ async function createRepository(token, repoName, description, isPrivate = false)
  * @param {string} owner - Repository owner (username)
  * @param {string} repo - Repository name
  * @param {string} path - File path in repository
- * @param {string} content - File content (base64 encoded)
+ * @param {string|Buffer} content - File content (text, or a Buffer for binary files)
  * @param {string} message - Commit message
  * @param {string} branch - Branch name (default: main)
  * @returns {Promise<object>} Commit data
@@ -86,7 +89,7 @@ async function createOrUpdateFile(token, owner, repo, path, content, message, br
     }
 
     // Encode content to base64
-    const contentBuffer = Buffer.from(content, 'utf8');
+    const contentBuffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
     const encodedContent = contentBuffer.toString('base64');
 
     const response = await fetch(
@@ -124,7 +127,7 @@ async function createOrUpdateFile(token, owner, repo, path, content, message, br
  * @param {string} token - GitHub personal access token
  * @param {string} skillName - Name of the skill (used for repo name)
  * @param {string} description - Skill description
- * @param {object} skillFiles - Skill files { 'SKILL.md': content, references: {...} }
+ * @param {object} skillFiles - Skill files { 'SKILL.md': content, references: {...}, files: {...} }
  * @param {boolean} isPrivate - Whether repository should be private
  * @param {string} owner - GitHub username/org (optional, defaults to token owner)
  * @returns {Promise<object>} Repository URL and metadata
@@ -171,7 +174,7 @@ openskills install ${owner}/${repoName}
 Or manually:
 
 1. Clone this repository
-2. Copy the skill folder to \`.claude/skills/${skillName}/`
+2. Copy the skill folder to \`.claude/skills/${skillName}/\`
 3. Add to your \`AGENTS.md\` file
 
 ## Usage
@@ -223,26 +226,37 @@ This skill follows the SKILL.md format and is compatible with:
       );
     }
 
-    // Create empty scripts/ and assets/ directories (by adding .gitkeep files)
-    await createOrUpdateFile(
-      token,
-      owner,
-      repoName,
-      'scripts/.gitkeep',
-      '',
-      'Add scripts directory',
-      'main'
-    ).catch(() => {}); // Ignore errors
+    // Add script and asset files
+    const packageFiles = Object.entries(skillFiles.files || {});
 
-    await createOrUpdateFile(
-      token,
-      owner,
-      repoName,
-      'assets/.gitkeep',
-      '',
-      'Add assets directory',
-      'main'
-    ).catch(() => {}); // Ignore errors
+    for (const [filePath, file] of packageFiles) {
+      await createOrUpdateFile(
+        token,
+        owner,
+        repoName,
+        filePath,
+        Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8'),
+        `Add ${filePath}`,
+        'main'
+      );
+    }
+
+    // Keep empty scripts/ and assets/ directories (by adding .gitkeep files)
+    for (const directory of ['scripts', 'assets']) {
+      if (packageFiles.some(([filePath]) => filePath.startsWith(`${directory}/`))) {
+        continue;
+      }
+
+      await createOrUpdateFile(
+        token,
+        owner,
+        repoName,
+        `${directory}/.gitkeep`,
+        '',
+        `Add ${directory} directory`,
+        'main'
+      ).catch(() => {}); // Ignore errors
+    }
 
     return {
       success: true,
@@ -257,9 +271,90 @@ This skill follows the SKILL.md format and is compatible with:
   }
 }
 
+/**
+ * Get a repository's metadata
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} token - GitHub personal access token (optional, required for private repos)
+ * @returns {Promise<object|null>} Repository data, or null if it does not exist or is not accessible
+ */
+async function getRepository(owner, repo, token = null) {
+  const response = await fetch(`https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`, {
+    headers: {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Skills-Factory-Backend',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    }
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Download a repository snapshot as a ZIP archive
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit (optional, defaults to the default branch)
+ * @param {string} token - GitHub personal access token (optional, required for private repos)
+ * @returns {Promise<Buffer>} ZIP archive. Entries are nested under a single top-level folder.
+ * @throws {Error} When the archive is larger than MAX_ARCHIVE_SIZE
+ */
+async function downloadRepositoryArchive(owner, repo, ref = null, token = null) {
+  const url = `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/zipball` +
+    (ref ? `/${encodeURIComponent(ref)}` : '');
+
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Skills-Factory-Backend',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    }
+  });
+
+  if (response.status === 404) {
+    throw new Error(`Repository ${owner}/${repo}${ref ? `@${ref}` : ''} not found or not accessible`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  const tooLarge = () => new Error(`Repository archive exceeds ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB`);
+
+  if (Number(response.headers.get('content-length')) > MAX_ARCHIVE_SIZE) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  // Read with a running cap: zipballs are usually sent without a Content-Length
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_ARCHIVE_SIZE) {
+      throw tooLarge(); // leaving the loop cancels the download
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
 module.exports = {
   createRepository,
   createOrUpdateFile,
-  publishSkillToGitHub
+  publishSkillToGitHub,
+  getRepository,
+  downloadRepositoryArchive,
+  MAX_ARCHIVE_SIZE
 };
 
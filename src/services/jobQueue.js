@@ -0,0 +1,342 @@
+/**
+ * Job Queue Service
+ * Persistent SQLite-backed queue for long-running analysis and skill generation work
+ */
+
+const dbConnection = require('../db/database');
+const { generateUUID } = require('../utils/claudeClient');
+const { analyzeContent } = require('./contentAnalysis');
+const {
+  generateSkill,
+  loadAnalysisForGeneration,
+  summarizeSkillPackage
+} = require('./skillGeneration');
+const { refineSkill } = require('./skillRefinement');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaces');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+
+// Job handlers by type. Each receives the job payload and a context with
+// workspaceId and updateProgress(progress, message) and returns a
+// JSON-serializable result.
+const JOB_HANDLERS = {
+  analyze: async (payload, context) => {
+    context.updateProgress(5, 'Validating content');
+
+    const analysis = await analyzeContent(payload.content, payload.contentType, {
+      ...payload.options,
+      workspaceId: context.workspaceId,
+      onProgress: event => {
+        switch (event.phase) {
+          case 'classifying':
+            context.updateProgress(10, 'Detecting content type');
+            break;
+          case 'calling_model':
+            if (!event.chunk) {
+              context.updateProgress(20, `Calling ${event.model}`);
+            }
+            break;
+          case 'chunk_complete':
+          case 'chunk_failed':
+            context.updateProgress(
+              20 + (70 * event.chunk) / event.totalChunks,
+              `Analyzed chunk ${event.chunk} of ${event.totalChunks}`
+            );
+            break;
+          case 'parsing':
+            if (!event.chunk) {
+              context.updateProgress(85, 'Parsing analysis');
+            }
+            break;
+          case 'saved':
+            context.updateProgress(95, 'Analysis saved');
+            break;
+        }
+      }
+    });
+
+    context.updateProgress(100, 'Analysis complete');
+    return analysis;
+  },
+
+  'generate-skill': async (payload, context) => {
+    context.updateProgress(10, 'Loading analysis');
+
+    const analysisData = loadAnalysisForGeneration(payload.analysisId, context.workspaceId);
+    if (!analysisData) {
+      throw new Error('Analysis not found');
+    }
+
+    context.updateProgress(30, 'Generating skill files');
+
+    const skillPackage = await generateSkill(
+      analysisData,
+      payload.skillName,
+      payload.skillType,
+      payload.description,
+      payload.tags,
+      {
+        workspaceId: context.workspaceId,
+        templateId: payload.templateId,
+        templateVersion: payload.templateVersion,
+        generateScripts: payload.generateScripts,
+        models: payload.models
+      }
+    );
+
+    context.updateProgress(100, 'Skill generated');
+    return summarizeSkillPackage(skillPackage);
+  },
+
+  'refine-skill': async (payload, context) => {
+    context.updateProgress(10, 'Refining skill from feedback');
+
+    const result = await refineSkill(context.workspaceId, payload.skillId, {
+      notes: payload.notes,
+      changeNotes: payload.changeNotes,
+      models: payload.models
+    });
+
+    context.updateProgress(100, 'Skill refined');
+    return result;
+  }
+};
+
+// Worker state
+let pollTimer = null;
+let activeJobs = 0;
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (key of JOB_HANDLERS)
+ * @param {object} payload - Job input
+ * @param {object} options - { workspaceId, maxAttempts }
+ * @returns {object} Formatted job
+ */
+function enqueueJob(type, payload, options = {}) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const db = dbConnection.getConnection();
+  const jobId = generateUUID();
+  const workspaceId = options.workspaceId || DEFAULT_WORKSPACE_ID;
+
+  db.prepare(`
+    INSERT INTO jobs (id, workspace_id, type, payload, max_attempts)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(jobId, workspaceId, type, JSON.stringify(payload), options.maxAttempts || 2);
+
+  // Pick the job up without waiting for the next poll
+  setImmediate(processQueue);
+
+  return getJob(jobId, workspaceId);
+}
+
+/**
+ * Get job by ID
+ * @param {string} jobId - Job ID
+ * @param {number} [workspaceId] - Workspace the job must belong to
+ * @returns {object|null} Formatted job, or null if not found
+ */
+function getJob(jobId, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const db = dbConnection.getConnection();
+  const row = db.prepare('SELECT * FROM jobs WHERE id = ? AND workspace_id = ?').get(jobId, workspaceId);
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Convert a jobs row into its API representation
+ * @param {object} row - Database row
+ * @returns {object} Formatted job
+ */
+function formatJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    progress: row.progress,
+    progressMessage: row.progress_message,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error ? JSON.parse(row.error) : null,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Atomically claim the next runnable job
+ * @returns {object|null} Claimed jobs row
+ */
+function claimNextJob() {
+  const db = dbConnection.getConnection();
+  return db.prepare(`
+    UPDATE jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        started_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP
+      ORDER BY created_at
+      LIMIT 1
+    )
+    RETURNING *
+  `).get();
+}
+
+/**
+ * Run a claimed job and record its outcome
+ * @param {object} row - Claimed jobs row
+ */
+async function runJob(row) {
+  const db = dbConnection.getConnection();
+
+  const context = {
+    workspaceId: row.workspace_id,
+    updateProgress(progress, message) {
+      db.prepare(`
+        UPDATE jobs
+        SET progress = ?, progress_message = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(Math.max(0, Math.min(100, Math.round(progress))), message || null, row.id);
+    }
+  };
+
+  try {
+    const result = await JOB_HANDLERS[row.type](JSON.parse(row.payload), context);
+
+    db.prepare(`
+      UPDATE jobs
+      SET status = 'completed', progress = 100, result = ?, error = NULL,
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(JSON.stringify(result ?? null), row.id);
+
+    console.log(`✅ Job ${row.id} (${row.type}) completed`);
+
+  } catch (error) {
+    const jobError = {
+      message: error.message,
+      code: error.code || null,
+      retryable: error.retryable || false
+    };
+
+    // Requeue transient failures with exponential backoff
+    if (error.retryable && row.attempts < row.max_attempts) {
+      const backoffSeconds = Math.pow(2, row.attempts) * 15;
+      db.prepare(`
+        UPDATE jobs
+        SET status = 'queued', error = ?, run_after = datetime('now', ?),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(JSON.stringify(jobError), `+${backoffSeconds} seconds`, row.id);
+
+      console.warn(`⚠️ Job ${row.id} (${row.type}) failed, retrying in ${backoffSeconds}s: ${error.message}`);
+      return;
+    }
+
+    db.prepare(`
+      UPDATE jobs
+      SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(JSON.stringify(jobError), row.id);
+
+    console.error(`Job ${row.id} (${row.type}) failed:`, error.message);
+  }
+}
+
+/**
+ * Start as many queued jobs as the concurrency limit allows
+ */
+function processQueue() {
+  if (!pollTimer) {
+    return;
+  }
+
+  while (activeJobs < JOB_CONCURRENCY) {
+    let row;
+    try {
+      row = claimNextJob();
+    } catch (error) {
+      console.error('Failed to claim job:', error);
+      return;
+    }
+
+    if (!row) {
+      return;
+    }
+
+    activeJobs++;
+    runJob(row)
+      .catch(error => {
+        // The job's row could not be updated; it stays 'running' and is requeued on restart
+        console.error(`Job ${row.id} (${row.type}) could not be recorded:`, error);
+      })
+      .finally(() => {
+        activeJobs--;
+        setImmediate(processQueue);
+      });
+  }
+}
+
+/**
+ * Start the background worker.
+ * Jobs left 'running' by a previous process are requeued first.
+ */
+function startJobWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  const db = dbConnection.getConnection();
+
+  // A job that keeps taking the process down must not be retried forever
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'failed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+        error = json_object('message', 'Job interrupted by server restart', 'code', 'INTERRUPTED', 'retryable', json('false'))
+    WHERE status = 'running' AND attempts >= max_attempts
+  `).run();
+
+  const { changes } = db.prepare(`
+    UPDATE jobs
+    SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `).run();
+
+  if (changes > 0) {
+    console.log(`Requeued ${changes} interrupted job(s)`);
+  }
+
+  pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  setImmediate(processQueue);
+
+  console.log(`Job worker started (concurrency: ${JOB_CONCURRENCY})`);
+}
+
+/**
+ * Stop polling for new jobs. Running jobs are requeued on next start.
+ */
+function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  startJobWorker,
+  stopJobWorker,
+  JOB_HANDLERS
+};
@@ -0,0 +1,166 @@
+/**
+ * LLM Usage Service
+ * Records the tokens and cost of every model call and reports spend
+ */
+
+const dbConnection = require('../db/database');
+const { calculateCost } = require('../utils/modelConfig');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaces');
+
+/**
+ * Record a model call. Recording is best effort: a database error is logged and
+ * never fails the operation that made the call.
+ * @param {object} call - Call details
+ * @param {number} [call.workspaceId] - Workspace the call was made for
+ * @param {string} call.operation - analysis, generation or refinement
+ * @param {string} call.model - Model that answered
+ * @param {object} call.usage - { inputTokens, outputTokens } from callClaudeAPI
+ * @param {number} [call.durationMs] - Call duration
+ * @param {string} [call.contentType] - Content type of the analysis or skill
+ * @param {string} [call.analysisId] - Analysis the call was made for
+ * @param {number} [call.skillId] - Skill the call was made for
+ * @returns {number|null} Call ID, or null if it could not be recorded
+ */
+function recordLLMCall(call) {
+  try {
+    const { inputTokens, outputTokens } = call.usage;
+    const db = dbConnection.getConnection();
+
+    const result = db.prepare(`
+      INSERT INTO llm_calls (
+        workspace_id, operation, model, content_type, analysis_id, skill_id,
+        input_tokens, output_tokens, cost, duration_ms
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      call.workspaceId || DEFAULT_WORKSPACE_ID,
+      call.operation,
+      call.model,
+      call.contentType || null,
+      call.analysisId || null,
+      call.skillId || null,
+      inputTokens,
+      outputTokens,
+      calculateCost(call.model, inputTokens, outputTokens),
+      call.durationMs ?? null
+    );
+
+    return result.lastInsertRowid;
+  } catch (error) {
+    console.error('Failed to record LLM call:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Link recorded calls to a skill saved after the calls were made
+ * @param {Array<number>} callIds - Call IDs (null entries are skipped)
+ * @param {number} skillId - Skill ID
+ */
+function linkCallsToSkill(callIds, skillId) {
+  const ids = callIds.filter(Boolean);
+
+  if (ids.length === 0) {
+    return;
+  }
+
+  const db = dbConnection.getConnection();
+  db.prepare(`UPDATE llm_calls SET skill_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`)
+    .run(skillId, ...ids);
+}
+
+/**
+ * Report token usage and spend
+ * @param {object} options - Report options
+ * @param {number|null} options.workspaceId - Workspace to report on, or null for every workspace
+ * @param {string} [options.from] - First day (YYYY-MM-DD), inclusive
+ * @param {string} [options.to] - Last day (YYYY-MM-DD), inclusive
+ * @returns {object} { from, to, currency, total, byDay, byContentType, byWorkspace }
+ */
+function getUsageCosts({ workspaceId, from, to }) {
+  const db = dbConnection.getConnection();
+  const conditions = [];
+  const params = [];
+
+  if (workspaceId) {
+    conditions.push('c.workspace_id = ?');
+    params.push(workspaceId);
+  }
+  if (from) {
+    conditions.push('date(c.created_at) >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date(c.created_at) <= ?');
+    params.push(to);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const totals = `
+    COUNT(*) as calls,
+    COALESCE(SUM(c.input_tokens), 0) as input_tokens,
+    COALESCE(SUM(c.output_tokens), 0) as output_tokens,
+    COALESCE(SUM(c.cost), 0) as cost,
+    SUM(CASE WHEN c.cost IS NULL THEN 1 ELSE 0 END) as unpriced_calls
+  `;
+
+  const total = db.prepare(`SELECT ${totals} FROM llm_calls c ${where}`).get(...params);
+
+  const byDay = db.prepare(`
+    SELECT date(c.created_at) as day, ${totals}
+    FROM llm_calls c ${where}
+    GROUP BY day
+    ORDER BY day
+  `).all(...params);
+
+  const byContentType = db.prepare(`
+    SELECT c.content_type, ${totals}
+    FROM llm_calls c ${where}
+    GROUP BY c.content_type
+    ORDER BY cost DESC
+  `).all(...params);
+
+  const byWorkspace = db.prepare(`
+    SELECT c.workspace_id, w.name as workspace_name, ${totals}
+    FROM llm_calls c
+    LEFT JOIN workspaces w ON w.id = c.workspace_id
+    ${where}
+    GROUP BY c.workspace_id
+    ORDER BY cost DESC
+  `).all(...params);
+
+  return {
+    from: from || null,
+    to: to || null,
+    currency: 'USD',
+    total: formatTotals(total),
+    byDay: byDay.map(row => ({ date: row.day, ...formatTotals(row) })),
+    byContentType: byContentType.map(row => ({ contentType: row.content_type, ...formatTotals(row) })),
+    byWorkspace: byWorkspace.map(row => ({
+      workspaceId: row.workspace_id,
+      workspaceName: row.workspace_name,
+      ...formatTotals(row)
+    }))
+  };
+}
+
+/**
+ * Convert aggregate columns into report fields
+ * @param {object} row - Row with calls, input_tokens, output_tokens, cost, unpriced_calls
+ * @returns {object} { calls, inputTokens, outputTokens, cost, unpricedCalls }
+ */
+function formatTotals(row) {
+  return {
+    calls: row.calls,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    cost: Math.round(row.cost * 1000000) / 1000000,
+    unpricedCalls: row.unpriced_calls || 0
+  };
+}
+
+module.exports = {
+  recordLLMCall,
+  linkCallsToSkill,
+  getUsageCosts
+};
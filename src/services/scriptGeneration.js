@@ -0,0 +1,358 @@
+/**
+ * Script Generation Service
+ * Asks Claude for runnable helper scripts (checklist runners, code scaffolds)
+ * for technical and process skills, and syntax-checks them before they are saved
+ * to the package's scripts/ folder.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const {
+  callClaudeWithRateLimit,
+  parseClaudeResponse,
+  logAPICall
+} = require('../utils/claudeClient');
+const { encodeFile } = require('./skillFiles');
+const { recordLLMCall } = require('./llmUsage');
+
+// Skill types whose analysis has material for scripts
+const SCRIPT_SKILL_TYPES = ['technical', 'process'];
+
+const MAX_SCRIPTS = 5;
+const MAX_SCRIPT_SIZE = 100 * 1024; // 100KB
+
+const SCRIPT_FILENAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Syntax checks run as child processes, a few at a time
+const SYNTAX_CHECK_TIMEOUT = 10000; // 10s
+const SYNTAX_CHECK_CONCURRENCY = 2;
+
+// Compiles without writing __pycache__ and prints just the syntax error
+const PYTHON_SYNTAX_CHECK = [
+  'import sys',
+  'try:',
+  '    compile(open(sys.argv[1]).read(), "script.py", "exec")',
+  'except SyntaxError as error:',
+  '    sys.exit(f"script.py:{error.lineno}: {error.msg}")'
+].join('\n');
+
+// Supported languages: file extension, how to run the script, and how to check its syntax
+const SCRIPT_LANGUAGES = {
+  bash: {
+    extension: '.sh',
+    runCommand: 'bash',
+    check: file => ['bash', ['-n', file]]
+  },
+  python: {
+    extension: '.py',
+    runCommand: 'python3',
+    check: file => ['python3', ['-c', PYTHON_SYNTAX_CHECK, file]]
+  },
+  javascript: {
+    extension: '.js',
+    runCommand: 'node',
+    check: file => [process.execPath, ['--check', file]]
+  }
+};
+
+const SCRIPTS_SYSTEM_PROMPT = `You are an expert author of helper scripts bundled with Claude skills.
+
+Your role:
+- Write small, self-contained scripts that help apply a skill (checklist runners, scaffolds, validators)
+- Use only the standard library of the chosen language
+- Never perform destructive actions (deleting files, network writes) without an explicit flag
+- Return valid JSON responses`;
+
+/**
+ * Check whether helper scripts can be generated for a skill type
+ * @param {string} skillType - Type of skill
+ * @returns {boolean} True for technical and process skills
+ */
+function supportsHelperScripts(skillType) {
+  return SCRIPT_SKILL_TYPES.includes(skillType);
+}
+
+/**
+ * Generate helper scripts for a skill
+ * @param {object} extractedData - Extracted analysis data
+ * @param {string} skillType - Type of skill (technical or process)
+ * @param {object} context - { skillName, description }
+ * @param {object} [options] - { models, workspaceId, analysisId }; models replaces the configured
+ *   generation chain, workspaceId and analysisId are recorded with the model call
+ * @returns {Promise<object>} { files, scripts, rejected, model, callId } where files is keyed by
+ *   package path and callId identifies the recorded model call
+ */
+async function generateHelperScripts(extractedData, skillType, context = {}, options = {}) {
+  if (!supportsHelperScripts(skillType)) {
+    throw new Error(`Helper scripts are only generated for ${SCRIPT_SKILL_TYPES.join(' and ')} skills`);
+  }
+
+  const prompt = buildScriptsPrompt(extractedData, skillType, context);
+  const startTime = Date.now();
+
+  const { content: responseText, model, usage } = await callClaudeWithRateLimit(prompt, {
+    operation: 'generation',
+    models: options.models,
+    maxTokens: 8192,
+    temperature: 0.2,
+    system: SCRIPTS_SYSTEM_PROMPT
+  });
+
+  logAPICall(prompt, responseText, Date.now() - startTime, model);
+  const callId = recordLLMCall({
+    workspaceId: options.workspaceId,
+    operation: 'generation',
+    model,
+    usage,
+    durationMs: Date.now() - startTime,
+    contentType: skillType,
+    analysisId: options.analysisId
+  });
+
+  let parsed;
+  try {
+    parsed = parseClaudeResponse(responseText);
+  } catch (error) {
+    throw new Error(`Could not parse generated scripts: ${error.message}`);
+  }
+
+  const files = {};
+  const scripts = [];
+  const rejected = [];
+  const candidates = [];
+  const filePaths = new Set();
+
+  for (const script of (Array.isArray(parsed?.scripts) ? parsed.scripts : []).slice(0, MAX_SCRIPTS)) {
+    const problem = checkScript(script, filePaths);
+
+    if (problem) {
+      rejected.push({ filename: script?.filename || null, error: problem });
+      continue;
+    }
+
+    const filePath = `scripts/${script.filename}${SCRIPT_LANGUAGES[script.language].extension}`;
+    filePaths.add(filePath);
+    candidates.push({ script, filePath });
+  }
+
+  const syntaxResults = await mapWithConcurrency(candidates, SYNTAX_CHECK_CONCURRENCY,
+    ({ script }) => validateScriptSyntax(script.content, script.language));
+
+  candidates.forEach(({ script, filePath }, index) => {
+    const syntax = syntaxResults[index];
+
+    if (!syntax.valid) {
+      rejected.push({ filename: script.filename, error: `Syntax check failed: ${syntax.error}` });
+      return;
+    }
+
+    files[filePath] = encodeFile(Buffer.from(script.content, 'utf8'));
+    scripts.push({
+      path: filePath,
+      language: script.language,
+      description: typeof script.description === 'string' ? script.description.trim() : '',
+      usage: `${SCRIPT_LANGUAGES[script.language].runCommand} ${filePath}`,
+      syntaxChecked: syntax.checked
+    });
+  });
+
+  return { files, scripts, rejected, model, callId };
+}
+
+/**
+ * Check the shape of a generated script
+ * @param {object} script - { filename, language, description, content }
+ * @param {Set<string>} filePaths - Package paths of the scripts accepted so far
+ * @returns {string|null} Problem description, or null if the script is usable
+ */
+function checkScript(script, filePaths) {
+  if (!script || typeof script.content !== 'string' || script.content.trim() === '') {
+    return 'Script has no content';
+  }
+
+  if (!SCRIPT_LANGUAGES[script.language]) {
+    return `Unsupported language "${script.language}"`;
+  }
+
+  if (typeof script.filename !== 'string' || !SCRIPT_FILENAME_PATTERN.test(script.filename)) {
+    return 'Filename must be lowercase letters, numbers, hyphens and underscores without an extension';
+  }
+
+  if (filePaths.has(`scripts/${script.filename}${SCRIPT_LANGUAGES[script.language].extension}`)) {
+    return 'Duplicate filename';
+  }
+
+  if (Buffer.byteLength(script.content, 'utf8') > MAX_SCRIPT_SIZE) {
+    return 'Script is larger than 100KB';
+  }
+
+  return null;
+}
+
+/**
+ * Check a script's syntax without running it. When the language's checker is
+ * not installed the script is accepted with checked: false.
+ * @param {string} content - Script source
+ * @param {string} language - bash, python or javascript
+ * @returns {Promise<object>} { valid, checked, error }
+ */
+async function validateScriptSyntax(content, language) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'skill-script-'));
+  const file = path.join(dir, `script${SCRIPT_LANGUAGES[language].extension}`);
+
+  try {
+    await fs.promises.writeFile(file, content);
+
+    const [command, args] = SCRIPT_LANGUAGES[language].check(file);
+    const result = await runCheck(command, args);
+
+    if (result.error) {
+      if (result.error.code === 'ENOENT') {
+        return { valid: true, checked: false, error: null };
+      }
+      return { valid: false, checked: true, error: result.error.message };
+    }
+
+    if (result.status !== 0) {
+      // First lines of the checker's output, without the temporary directory
+      const output = (result.stderr || result.stdout || '')
+        .split(file).join(path.basename(file))
+        .trim()
+        .split('\n')
+        .slice(0, 5)
+        .join('\n');
+      return { valid: false, checked: true, error: output || `Exited with status ${result.status}` };
+    }
+
+    return { valid: true, checked: true, error: null };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run a syntax checker without blocking the event loop
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<object>} { status, stdout, stderr, error } where error is set when the
+ *   checker could not be started or timed out, as with spawnSync
+ */
+function runCheck(command, args) {
+  return new Promise(resolve => {
+    execFile(command, args, { encoding: 'utf8', timeout: SYNTAX_CHECK_TIMEOUT }, (error, stdout, stderr) => {
+      if (!error) {
+        return resolve({ status: 0, stdout, stderr, error: null });
+      }
+
+      if (typeof error.code === 'number') {
+        return resolve({ status: error.code, stdout, stderr, error: null });
+      }
+
+      if (error.killed) {
+        return resolve({ status: null, stdout, stderr, error: new Error(`Syntax check timed out after ${SYNTAX_CHECK_TIMEOUT / 1000}s`) });
+      }
+
+      resolve({ status: null, stdout, stderr, error });
+    });
+  });
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Build the SKILL.md section that tells Claude which scripts are bundled
+ * @param {Array<object>} scripts - Accepted scripts (see generateHelperScripts)
+ * @returns {string} Markdown section, or an empty string when there are no scripts
+ */
+function buildScriptsSection(scripts) {
+  if (scripts.length === 0) {
+    return '';
+  }
+
+  const lines = scripts.map(script =>
+    `- \`${script.path}\`${script.description ? ` - ${script.description}` : ''} (run with \`${script.usage}\`)`
+  );
+
+  return `
+## Scripts
+
+Helper scripts are bundled in the \`scripts/\` folder. Run them instead of rewriting the same steps by hand:
+
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Build the script generation prompt
+ * @param {object} extractedData - Extracted analysis data
+ * @param {string} skillType - Type of skill
+ * @param {object} context - { skillName, description }
+ * @returns {string} Prompt
+ */
+function buildScriptsPrompt(extractedData, skillType, context) {
+  const material = skillType === 'technical'
+    ? {
+      examples: extractedData.implementation?.examples || [],
+      bestPractices: extractedData.implementation?.bestPractices || [],
+      components: extractedData.architecture?.components || []
+    }
+    : {
+      steps: extractedData.workflow?.steps || [],
+      decisionPoints: extractedData.workflow?.decisionPoints || [],
+      qualityChecks: extractedData.quality?.qualityChecks || [],
+      toolsRequired: extractedData.resources?.toolsRequired || []
+    };
+
+  const suggestion = skillType === 'technical'
+    ? 'Turn the code examples into reusable scaffolds or validators.'
+    : 'Turn the workflow steps and quality checks into interactive checklist runners.';
+
+  return `Write helper scripts for the ${skillType} skill "${context.skillName || 'skill'}".
+${context.description ? `\nSkill description: ${context.description}\n` : ''}
+Source material extracted from the original content:
+${JSON.stringify(material, null, 2)}
+
+${suggestion} Write at most ${MAX_SCRIPTS} scripts, each useful on its own.
+
+Return ONLY valid JSON in this format:
+{
+  "scripts": [
+    {
+      "filename": "<lowercase-name-without-extension>",
+      "language": "bash" | "python" | "javascript",
+      "description": "<one sentence: what the script does and when to run it>",
+      "content": "<complete script source>"
+    }
+  ]
+}`;
+}
+
+module.exports = {
+  generateHelperScripts,
+  validateScriptSyntax,
+  buildScriptsSection,
+  supportsHelperScripts,
+  SCRIPT_SKILL_TYPES
+};
@@ -0,0 +1,232 @@
+/**
+ * Skill Files Service
+ * Script and asset files stored with a skill. Every change is saved as a new
+ * skill version through the same snapshot path as content updates.
+ */
+
+const path = require('path');
+const { updateSkill, getSkillRow } = require('./skillVersions');
+
+// Package folders that hold uploaded files
+const FILE_DIRECTORIES = ['scripts', 'assets'];
+
+const PATH_SEGMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_TOTAL_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Content types for downloads by extension
+const MIME_TYPES = {
+  '.sh': 'text/x-shellscript',
+  '.py': 'text/x-python',
+  '.js': 'text/javascript',
+  '.ts': 'text/plain',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.yaml': 'text/yaml',
+  '.yml': 'text/yaml',
+  '.html': 'text/html',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf'
+};
+
+// Skill file errors carry a code the API layer maps to an HTTP status
+class SkillFileError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SkillFileError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check a package path such as "scripts/run.sh" or "assets/img/logo.png"
+ * @param {string} filePath - Path inside the skill package
+ * @returns {string} The path
+ */
+function validateFilePath(filePath) {
+  const segments = String(filePath || '').split('/');
+
+  if (segments.length < 2 || !FILE_DIRECTORIES.includes(segments[0])) {
+    throw new SkillFileError(
+      `File path must start with ${FILE_DIRECTORIES.map(dir => `${dir}/`).join(' or ')}`,
+      'INVALID_FILE'
+    );
+  }
+
+  if (!segments.slice(1).every(segment => PATH_SEGMENT_PATTERN.test(segment))) {
+    throw new SkillFileError(
+      `Invalid file path "${filePath}": use letters, numbers, dots, hyphens and underscores`,
+      'INVALID_FILE'
+    );
+  }
+
+  return filePath;
+}
+
+/**
+ * Describe a stored file without its content
+ * @param {string} filePath - Package path
+ * @param {object} file - { content, encoding, size }
+ * @returns {object} { path, size, encoding, mimeType }
+ */
+function describeFile(filePath, file) {
+  return {
+    path: filePath,
+    size: file.size,
+    encoding: file.encoding,
+    mimeType: getMimeType(filePath)
+  };
+}
+
+/**
+ * Guess a file's content type from its extension
+ * @param {string} filePath - Package path
+ * @returns {string} MIME type
+ */
+function getMimeType(filePath) {
+  return MIME_TYPES[path.posix.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * List a skill's files
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @returns {Array<object>|null} File descriptions, or null if the skill does not exist
+ */
+function listSkillFiles(workspaceId, skillId) {
+  const skill = getSkillRow(workspaceId, skillId);
+
+  if (!skill) {
+    return null;
+  }
+
+  return Object.entries(JSON.parse(skill.files))
+    .map(([filePath, file]) => describeFile(filePath, file))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Get one file's content
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {string} filePath - Package path
+ * @returns {object|null} { path, size, encoding, mimeType, buffer }, or null if not found
+ */
+function getSkillFile(workspaceId, skillId, filePath) {
+  const skill = getSkillRow(workspaceId, skillId);
+  const file = skill ? JSON.parse(skill.files)[filePath] : null;
+
+  if (!file) {
+    return null;
+  }
+
+  return {
+    ...describeFile(filePath, file),
+    buffer: Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8')
+  };
+}
+
+/**
+ * Add or replace files and save the result as a new skill version
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {Array<object>} uploads - [{ path, content, encoding }] where content is a string or Buffer
+ * @param {string} [changeNotes] - Notes for the new version
+ * @returns {object} { id, version, files }
+ */
+function saveSkillFiles(workspaceId, skillId, uploads, changeNotes) {
+  const skill = getSkillRow(workspaceId, skillId);
+
+  if (!skill) {
+    throw new SkillFileError('Skill not found', 'NOT_FOUND');
+  }
+
+  const files = JSON.parse(skill.files);
+
+  for (const upload of uploads) {
+    validateFilePath(upload.path);
+
+    const buffer = Buffer.isBuffer(upload.content)
+      ? upload.content
+      : Buffer.from(upload.content, upload.encoding === 'base64' ? 'base64' : 'utf8');
+
+    if (buffer.length > MAX_FILE_SIZE) {
+      throw new SkillFileError(`${upload.path} is larger than 5MB`, 'TOO_LARGE');
+    }
+
+    files[upload.path] = encodeFile(buffer);
+  }
+
+  const totalSize = Object.values(files).reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > MAX_TOTAL_SIZE) {
+    throw new SkillFileError('Skill files would exceed 20MB in total', 'TOO_LARGE');
+  }
+
+  const result = updateSkill(workspaceId, skillId, {
+    files,
+    changeNotes: changeNotes || `Updated ${uploads.map(upload => upload.path).join(', ')}`
+  });
+
+  return {
+    ...result,
+    files: uploads.map(upload => describeFile(upload.path, files[upload.path]))
+  };
+}
+
+/**
+ * Delete a file and save the result as a new skill version
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {string} filePath - Package path
+ * @param {string} [changeNotes] - Notes for the new version
+ * @returns {object} { id, version }
+ */
+function deleteSkillFile(workspaceId, skillId, filePath, changeNotes) {
+  const skill = getSkillRow(workspaceId, skillId);
+  const files = skill ? JSON.parse(skill.files) : {};
+
+  if (!skill || !files[filePath]) {
+    throw new SkillFileError(skill ? `File ${filePath} not found` : 'Skill not found', 'NOT_FOUND');
+  }
+
+  delete files[filePath];
+
+  return updateSkill(workspaceId, skillId, {
+    files,
+    changeNotes: changeNotes || `Deleted ${filePath}`
+  });
+}
+
+/**
+ * Store a file as UTF-8 text when it decodes cleanly, base64 otherwise
+ * @param {Buffer} buffer - File content
+ * @returns {object} { content, encoding, size }
+ */
+function encodeFile(buffer) {
+  const text = buffer.toString('utf8');
+  const isText = !text.includes('\u0000') && !text.includes('\uFFFD');
+
+  return {
+    content: isText ? text : buffer.toString('base64'),
+    encoding: isText ? 'utf8' : 'base64',
+    size: buffer.length
+  };
+}
+
+module.exports = {
+  listSkillFiles,
+  getSkillFile,
+  saveSkillFiles,
+  deleteSkillFile,
+  validateFilePath,
+  describeFile,
+  encodeFile,
+  FILE_DIRECTORIES,
+  SkillFileError
+};
@@ -1,6 +1,16 @@
 const Handlebars = require('handlebars');
 const JSZip = require('jszip');
 const dbConnection = require('../db/database');
+const frameworkRegistry = require('./frameworkRegistry');
+const templateStore = require('./templateStore');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaces');
+const { generateHelperScripts, buildScriptsSection } = require('./scriptGeneration');
+const { linkCallsToSkill } = require('./llmUsage');
+const { linkAnalysisToSkill } = require('./analysisStore');
+const { MAP_KEY } = require('./analysisSchema');
+const { parseFrontmatter, validateFrontmatter, serializeFrontmatter } = require('../utils/frontmatter');
+const { formatSkillName, checkSkillNameFormat } = require('../utils/skillName');
+const { lintSkillPackage } = require('./skillLinter');
 
 // Skill templates for different content types
 const TEMPLATES = {
@@ -10,112 +20,130 @@ const TEMPLATES = {
 ## Description
 {{description}}
 
+{{#section "core"}}
 ## Core Copywriting Framework
 
+{{#section "core.bigIdea"}}
 ### Big Idea
-{{extractedData.core.bigIdea}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.hook"}}
 ### Hook Patterns
-{{extractedData.core.hook}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.problemPain"}}
 ### Problem/Pain Points
-{{extractedData.core.problemPain}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.enemyVillain"}}
 ### Enemy/Villain
-{{extractedData.core.enemyVillain}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.promise"}}
 ### Promise
-{{extractedData.core.promise}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.mechanism"}}
 ### Mechanism
-{{extractedData.core.mechanism}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.proof"}}
 ### Proof Elements
-{{#if extractedData.core.proof}}
-{{#each extractedData.core.proof}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.core.proof}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.offer"}}
 ### Offer Structure
-{{extractedData.core.offer}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "core.cta"}}
 ### Call to Action
-{{extractedData.core.cta}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "style"}}
 ## Style Guide
 
+{{#section "style.toneVoice"}}
 ### Tone & Voice
-{{extractedData.style.toneVoice}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "style.psychologicalTriggers"}}
 ### Psychological Triggers
-{{#if extractedData.style.psychologicalTriggers}}
-{{#each extractedData.style.psychologicalTriggers}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.style.psychologicalTriggers}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "style.emotionalTone"}}
 ### Emotional Tone
-{{extractedData.style.emotionalTone}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "structure"}}
 ## Structure & Patterns
 
+{{#section "structure.sentenceStructure"}}
 ### Sentence Structure
-**Average Length:** {{extractedData.structure.sentenceStructure.averageLength}} words
+{{#section "structure.sentenceStructure.averageLength"}}
+**Average Length:** {{renderInline this}} words
+{{/section}}
 
+{{#section "structure.sentenceStructure.patterns"}}
 **Patterns:**
-{{#if extractedData.structure.sentenceStructure.patterns}}
-{{#each extractedData.structure.sentenceStructure.patterns}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.structure.sentenceStructure.patterns}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "structure.copyCadence"}}
 ### Copy Cadence
-{{extractedData.structure.copyCadence}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "structure.paragraphFlow"}}
 ### Paragraph Flow
-{{extractedData.structure.paragraphFlow}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "structure.formattingPatterns"}}
 ### Formatting Patterns
-{{#if extractedData.structure.formattingPatterns}}
-{{#each extractedData.structure.formattingPatterns}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.structure.formattingPatterns}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "structure.narrativeFlow"}}
 ### Narrative Flow
-{{extractedData.structure.narrativeFlow}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "language"}}
 ## Language Style
 
+{{#section "language.languageStyle"}}
 ### Language Style
-{{extractedData.language.languageStyle}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "language.signaturePhrases"}}
 ### Signature Phrases
-{{#if extractedData.language.signaturePhrases}}
-{{#each extractedData.language.signaturePhrases}}
-- "{{this}}"
+{{#each (asList this)}}
+- "{{renderInline this}}"
 {{/each}}
-{{else}}
-{{extractedData.language.signaturePhrases}}
-{{/if}}
+{{/section}}
 
+{{#section "language.powerWords"}}
 ### Power Words
-{{#if extractedData.language.powerWords}}
-{{#each extractedData.language.powerWords}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.language.powerWords}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
 ## Usage Instructions
 
@@ -135,69 +163,75 @@ See the \`references/\` folder for:
 
     practicesMd: `# Copywriting Practices
 
+{{#section "structure.sentenceStructure"}}
 ## Sentence Structure
-**Average Length:** {{extractedData.structure.sentenceStructure.averageLength}} words
+{{#section "structure.sentenceStructure.averageLength"}}
+**Average Length:** {{renderInline this}} words
+{{/section}}
 
+{{#section "structure.sentenceStructure.patterns"}}
 **Patterns:**
-{{#if extractedData.structure.sentenceStructure.patterns}}
-{{#each extractedData.structure.sentenceStructure.patterns}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.structure.sentenceStructure.patterns}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
-**Variety:** {{extractedData.structure.sentenceStructure.variety}}
+{{#section "structure.sentenceStructure.variety"}}
+**Variety:** {{renderInline this}}
+{{/section}}
+{{/section}}
 
+{{#section "structure.copyCadence"}}
 ## Copy Cadence
-{{extractedData.structure.copyCadence}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "structure.formattingPatterns"}}
 ## Formatting Patterns
-{{#if extractedData.structure.formattingPatterns}}
-{{#each extractedData.structure.formattingPatterns}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.structure.formattingPatterns}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "structure.narrativeFlow"}}
 ## Narrative Flow
-{{extractedData.structure.narrativeFlow}}`,
+{{renderValue this}}
+{{/section}}`,
 
     structureMd: `# Copy Structure & Flow
 
+{{#section "language.languageStyle"}}
 ## Language Style
-{{extractedData.language.languageStyle}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "language.signaturePhrases"}}
 ## Signature Phrases
-{{#if extractedData.language.signaturePhrases}}
-{{#each extractedData.language.signaturePhrases}}
-- "{{this}}"
+{{#each (asList this)}}
+- "{{renderInline this}}"
 {{/each}}
-{{else}}
-{{extractedData.language.signaturePhrases}}
-{{/if}}
+{{/section}}
 
+{{#section "language.powerWords"}}
 ## Power Words
-{{#if extractedData.language.powerWords}}
-{{#each extractedData.language.powerWords}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.language.powerWords}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "structure.paragraphFlow"}}
 ## Paragraph Flow
-{{extractedData.structure.paragraphFlow}}`,
+{{renderValue this}}
+{{/section}}`,
 
     examplesMd: `# Example Analysis
 
 ## Original Content Sample
 This skill was extracted from content with the following characteristics:
 
-**Tone:** {{extractedData.style.toneVoice}}
-**Flow:** {{extractedData.structure.narrativeFlow}}
-**Key Hook:** {{extractedData.core.hook}}
+{{#section "style.toneVoice"}}
+**Tone:** {{renderInline this}}
+{{/section}}
+{{#section "structure.narrativeFlow"}}
+**Flow:** {{renderInline this}}
+{{/section}}
+{{#section "core.hook"}}
+**Key Hook:** {{renderInline this}}
+{{/section}}
 
 ## Application Example
 
@@ -214,142 +248,116 @@ When applying this skill, mirror these patterns:
 ## Description
 {{description}}
 
+{{#section "workflow"}}
 ## Workflow Overview
 
+{{#section "workflow.steps"}}
 ### Process Steps
-{{#if extractedData.workflow.steps}}
-{{#each extractedData.workflow.steps}}
-#### {{name}}
-- **Description:** {{description}}
-- **Duration:** {{duration}}
-- **Owner:** {{owner}}
-{{/each}}
+{{#each (asList this)}}
+{{#if (isObject this)}}
+#### {{#if name}}{{renderInline name}}{{else}}Untitled step{{/if}}
+{{#if description}}
+- **Description:** {{renderInline description}}
+{{/if}}
+{{#if duration}}
+- **Duration:** {{renderInline duration}}
+{{/if}}
+{{#if owner}}
+- **Owner:** {{renderInline owner}}
+{{/if}}
 {{else}}
-{{extractedData.workflow.steps}}
+- {{renderInline this}}
 {{/if}}
+{{/each}}
+{{/section}}
 
+{{#section "workflow.decisionPoints"}}
 ### Decision Points
-{{#if extractedData.workflow.decisionPoints}}
-{{#each extractedData.workflow.decisionPoints}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.workflow.decisionPoints}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "workflow.dependencies"}}
 ### Dependencies
-{{#if extractedData.workflow.dependencies}}
-{{#each extractedData.workflow.dependencies}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.workflow.dependencies}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "workflow.criticalPath"}}
 ### Critical Path
-{{extractedData.workflow.criticalPath}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "resources"}}
 ## Resources Required
 
+{{#section "resources.toolsRequired"}}
 ### Tools Required
-{{#if extractedData.resources.toolsRequired}}
-{{#each extractedData.resources.toolsRequired}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.resources.toolsRequired}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "resources.skillsNeeded"}}
 ### Skills Needed
-{{#if extractedData.resources.skillsNeeded}}
-{{#each extractedData.resources.skillsNeeded}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.resources.skillsNeeded}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "resources.peopleInvolved"}}
 ### People Involved
-{{#if extractedData.resources.peopleInvolved}}
-{{#each extractedData.resources.peopleInvolved}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.resources.peopleInvolved}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "resources.documentsNeeded"}}
 ### Documents Needed
-{{#if extractedData.resources.documentsNeeded}}
-{{#each extractedData.resources.documentsNeeded}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.resources.documentsNeeded}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "quality"}}
 ## Quality & Risk Management
 
+{{#section "quality.successMetrics"}}
 ### Success Metrics
-{{#if extractedData.quality.successMetrics}}
-{{#each extractedData.quality.successMetrics}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.quality.successMetrics}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "quality.qualityChecks"}}
 ### Quality Checks
-{{#if extractedData.quality.qualityChecks}}
-{{#each extractedData.quality.qualityChecks}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.quality.qualityChecks}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "quality.commonPitfalls"}}
 ### Common Pitfalls
-{{#if extractedData.quality.commonPitfalls}}
-{{#each extractedData.quality.commonPitfalls}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.quality.commonPitfalls}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "quality.troubleshooting"}}
 ### Troubleshooting
-{{#if extractedData.quality.troubleshooting}}
-{{#each extractedData.quality.troubleshooting}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.quality.troubleshooting}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "context"}}
 ## Context
 
+{{#section "context.when"}}
 ### When to Use
-{{extractedData.context.when}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "context.frequency"}}
 ### Frequency
-{{extractedData.context.frequency}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "context.variations"}}
 ### Variations
-{{#if extractedData.context.variations}}
-{{#each extractedData.context.variations}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.context.variations}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "context.dependencies"}}
 ### Dependencies
-{{#if extractedData.context.dependencies}}
-{{#each extractedData.context.dependencies}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.context.dependencies}}
-{{/if}}`,
+{{renderValue this}}
+{{/section}}
+{{/section}}`,
 
     practicesMd: `# Process Practices
 
@@ -364,31 +372,25 @@ Be aware of common pitfalls and have troubleshooting procedures ready.`,
 
     structureMd: `# Process Structure
 
+{{#section "workflow.dependencies"}}
 ## Step Dependencies
-{{#if extractedData.workflow.dependencies}}
-{{#each extractedData.workflow.dependencies}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.workflow.dependencies}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "workflow.criticalPath"}}
 ## Critical Path
-{{extractedData.workflow.criticalPath}}`,
+{{renderValue this}}
+{{/section}}`,
 
     examplesMd: `# Process Examples
 
 ## Typical Execution
 This process skill was extracted from content describing a proven workflow.
 
+{{#section "context.variations"}}
 ## Variations
-{{#if extractedData.context.variations}}
-{{#each extractedData.context.variations}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.context.variations}}
-{{/if}}`
+{{renderValue this}}
+{{/section}}`
   },
 
   technical: {
@@ -397,158 +399,359 @@ This process skill was extracted from content describing a proven workflow.
 ## Description
 {{description}}
 
+{{#section "concepts"}}
 ## Core Concepts
 
+{{#section "concepts.mainConcepts"}}
 ### Main Concepts
-{{#if extractedData.concepts.mainConcepts}}
-{{#each extractedData.concepts.mainConcepts}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.concepts.mainConcepts}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "concepts.terminology"}}
 ### Key Terminology
-{{#if extractedData.concepts.terminology}}
-{{#each extractedData.concepts.terminology}}
-- **{{@key}}:** {{this}}
+{{#if (isObject this)}}
+{{#each this}}
+- **{{@key}}:** {{renderInline this}}
 {{/each}}
 {{else}}
-{{extractedData.concepts.terminology}}
+{{renderValue this}}
 {{/if}}
+{{/section}}
 
+{{#section "concepts.prerequisites"}}
 ### Prerequisites
-{{#if extractedData.concepts.prerequisites}}
-{{#each extractedData.concepts.prerequisites}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.concepts.prerequisites}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "concepts.difficulty"}}
 ### Difficulty Level
-{{extractedData.concepts.difficulty}}
+{{renderValue this}}
+{{/section}}
+{{/section}}
 
+{{#section "implementation"}}
 ## Implementation
 
+{{#section "implementation.patterns"}}
 ### Design Patterns
-{{#if extractedData.implementation.patterns}}
-{{#each extractedData.implementation.patterns}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.implementation.patterns}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "implementation.bestPractices"}}
 ### Best Practices
-{{#if extractedData.implementation.bestPractices}}
-{{#each extractedData.implementation.bestPractices}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.implementation.bestPractices}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "implementation.antiPatterns"}}
 ### Anti-Patterns
-{{#if extractedData.implementation.antiPatterns}}
-{{#each extractedData.implementation.antiPatterns}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.implementation.antiPatterns}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "implementation.examples"}}
 ### Examples
-{{#if extractedData.implementation.examples}}
-{{#each extractedData.implementation.examples}}
-#### {{scenario}}
+{{#each (asList this)}}
+{{#if (isObject this)}}
+#### {{#if scenario}}{{renderInline scenario}}{{else}}Example{{/if}}
+{{#if code}}
 \`\`\`
-{{code}}
+{{{renderInline code}}}
 \`\`\`
-**Explanation:** {{explanation}}
-{{/each}}
+{{/if}}
+{{#if explanation}}
+**Explanation:** {{renderInline explanation}}
+{{/if}}
 {{else}}
-{{extractedData.implementation.examples}}
+- {{renderInline this}}
 {{/if}}
+{{/each}}
+{{/section}}
+{{/section}}
 
+{{#section "architecture"}}
 ## Architecture
 
+{{#section "architecture.components"}}
 ### Components
-{{#if extractedData.architecture.components}}
-{{#each extractedData.architecture.components}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.architecture.components}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "architecture.dataFlow"}}
 ### Data Flow
-{{extractedData.architecture.dataFlow}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "architecture.integrations"}}
 ### Integrations
-{{#if extractedData.architecture.integrations}}
-{{#each extractedData.architecture.integrations}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.architecture.integrations}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "architecture.scalability"}}
 ### Scalability Considerations
-{{extractedData.architecture.scalability}}`,
+{{renderValue this}}
+{{/section}}
+{{/section}}`,
 
     practicesMd: `# Technical Practices
 
 ## Implementation Guidelines
 Follow the best practices and avoid the anti-patterns identified in the analysis.
 
+{{#section "implementation.examples"}}
 ## Code Examples
-{{#if extractedData.implementation.examples}}
-{{#each extractedData.implementation.examples}}
-### {{scenario}}
+{{#each (asList this)}}
+{{#if (isObject this)}}
+### {{#if scenario}}{{renderInline scenario}}{{else}}Example{{/if}}
+{{#if code}}
 \`\`\`
-{{code}}
+{{{renderInline code}}}
 \`\`\`
-{{explanation}}
-{{/each}}
+{{/if}}
+{{#if explanation}}
+{{renderInline explanation}}
+{{/if}}
 {{else}}
-{{extractedData.implementation.examples}}
-{{/if}}`,
+- {{renderInline this}}
+{{/if}}
+{{/each}}
+{{/section}}`,
 
     structureMd: `# Technical Structure
 
+{{#section "architecture.components"}}
 ## Architecture Components
-{{#if extractedData.architecture.components}}
-{{#each extractedData.architecture.components}}
-- {{this}}
-{{/each}}
-{{else}}
-{{extractedData.architecture.components}}
-{{/if}}
+{{renderValue this}}
+{{/section}}
 
+{{#section "architecture.dataFlow"}}
 ## Data Flow
-{{extractedData.architecture.dataFlow}}`,
+{{renderValue this}}
+{{/section}}`,
 
     examplesMd: `# Technical Examples
 
+{{#section "implementation.examples"}}
 ## Implementation Examples
-{{#if extractedData.implementation.examples}}
-{{#each extractedData.implementation.examples}}
-### {{scenario}}
+{{#each (asList this)}}
+{{#if (isObject this)}}
+### {{#if scenario}}{{renderInline scenario}}{{else}}Example{{/if}}
+{{#if code}}
 \`\`\`
-{{code}}
+{{{renderInline code}}}
 \`\`\`
-**Why it works:** {{explanation}}
-{{/each}}
+{{/if}}
+{{#if explanation}}
+**Why it works:** {{renderInline explanation}}
+{{/if}}
 {{else}}
-{{extractedData.implementation.examples}}
-{{/if}}`
+- {{renderInline this}}
+{{/if}}
+{{/each}}
+{{/section}}`
   }
 };
 
+// Template for content types registered through the framework registry.
+// Renders every framework section and field generically.
+const GENERIC_TEMPLATE = {
+  skillMd: `# {{skillName}} Skill
+
+## Description
+{{description}}
+
+{{#each extractedData}}
+{{#section @key}}
+## {{humanize @key}}
+
+{{#if (isObject this)}}
+{{#each this}}
+{{#section (keyPath @../key @key)}}
+### {{humanize @key}}
+{{renderValue this}}
+{{/section}}
+
+{{/each}}
+{{else}}
+{{renderValue this}}
+{{/if}}
+{{/section}}
+{{/each}}`,
+
+  frameworkMd: `# Extraction Framework
+
+This skill was extracted with the **{{contentType}}** framework. Each section below
+describes what the corresponding part of SKILL.md captures.
+
+{{#each framework}}
+## {{humanize @key}}
+
+{{#each this}}
+- **{{humanize @key}}:** {{renderInline this}}
+{{/each}}
+
+{{/each}}`
+};
+
 // Register Handlebars helpers
 Handlebars.registerHelper('eq', (a, b) => a === b);
 Handlebars.registerHelper('join', (arr, sep) => Array.isArray(arr) ? arr.join(sep || ', ') : arr);
+Handlebars.registerHelper('humanize', key => humanizeKey(String(key)));
+Handlebars.registerHelper('renderValue', value => renderValue(value));
+Handlebars.registerHelper('renderInline', value => renderInline(value));
+Handlebars.registerHelper('asList', value => Array.isArray(value) ? value.filter(item => !isEmptyValue(item)) : [value]);
+Handlebars.registerHelper('isObject', value => isPlainObject(value));
+Handlebars.registerHelper('keyPath', (...args) => args.slice(0, -1).join('.'));
+
+// {{#section "path"}}...{{/section}} renders its block with the extracted value at
+// `path` (e.g. "core.hook") as context, or omits it when the value is empty. Omitted
+// paths are added to the droppedSections Set passed to renderTemplate.
+Handlebars.registerHelper('section', function (path, options) {
+  const value = getValueAtPath(options.data.root?.extractedData, String(path));
+
+  if (isEmptyValue(value)) {
+    options.data.droppedSections?.add(String(path));
+    return options.inverse(this);
+  }
+
+  return options.fn(value);
+});
+
+/**
+ * Render a skill template
+ * @param {string} source - Handlebars source
+ * @param {object} context - Template data
+ * @param {Set<string>} [droppedSections] - Collects framework paths omitted because they were empty
+ * @returns {string} Rendered markdown
+ */
+function renderTemplate(source, context, droppedSections = new Set()) {
+  const rendered = Handlebars.compile(source)(context, { data: { droppedSections } });
+
+  // Omitted sections leave runs of blank lines behind
+  return rendered.replace(/\n{3,}/g, '\n\n').trimEnd();
+}
+
+/**
+ * List dropped framework sections, leaving out those inside an already dropped section
+ * @param {Set<string>} droppedSections - Paths collected while rendering
+ * @returns {Array<string>} Dotted paths, e.g. ["core.offer", "style"]
+ */
+function listDroppedSections(droppedSections) {
+  const paths = [...droppedSections];
+  return paths.filter(path => !paths.some(other => path.startsWith(`${other}.`)));
+}
+
+/**
+ * Read a dotted path ("structure.sentenceStructure.patterns") from extracted data
+ * @param {object} data - Extracted data
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined when any part of the path is missing
+ */
+function getValueAtPath(data, path) {
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+/**
+ * Check whether an extracted value has nothing worth rendering: null, blank or
+ * placeholder strings ("null", "undefined", "N/A"), and arrays or objects made
+ * only of such values
+ * @param {*} value - Extracted value
+ * @returns {boolean} True when the value is empty
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+
+  if (typeof value === 'string') {
+    return ['', 'null', 'undefined', 'n/a'].includes(value.trim().toLowerCase());
+  }
+
+  if (Array.isArray(value)) {
+    return value.every(isEmptyValue);
+  }
+
+  if (typeof value === 'object') {
+    return Object.values(value).every(isEmptyValue);
+  }
+
+  return false;
+}
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Turn a camelCase framework key into a heading ("problemPain" -> "Problem Pain").
+ * The map marker "*" reads as "Each entry".
+ * @param {string} key - Framework key
+ * @returns {string} Human-readable label
+ */
+function humanizeKey(key) {
+  if (key === MAP_KEY) {
+    return 'Each entry';
+  }
+
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Render an extracted value of any shape as markdown text
+ * @param {*} value - Extracted value
+ * @returns {string} Markdown
+ */
+function renderValue(value) {
+  if (isEmptyValue(value)) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => !isEmptyValue(item))
+      .map(item => `- ${renderInline(item)}`)
+      .join('\n');
+  }
+
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, item]) => !isEmptyValue(item))
+      .map(([key, item]) => `- **${humanizeKey(key)}:** ${renderInline(item)}`)
+      .join('\n');
+  }
+
+  return String(value);
+}
+
+/**
+ * Render a value on a single line (list items)
+ * @param {*} value - Extracted value
+ * @returns {string} Inline text
+ */
+function renderInline(value) {
+  if (isEmptyValue(value)) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.filter(item => !isEmptyValue(item)).map(renderInline).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, item]) => !isEmptyValue(item))
+      .map(([key, item]) => `${humanizeKey(key)}: ${renderInline(item)}`)
+      .join('; ');
+  }
+
+  return String(value);
+}
 
 /**
  * Generate skill package from analysis data
@@ -557,53 +760,82 @@ Handlebars.registerHelper('join', (arr, sep) => Array.isArray(arr) ? arr.join(se
  * @param {string} skillType - Type of skill (copywriting, process, technical)
  * @param {string} description - Description of the skill
  * @param {Array<string>} tags - Tags for the skill
+ * @param {object} options - { workspaceId, templateId, templateVersion, generateScripts, models }
  * @returns {Promise<object>} Complete skill package
  */
-async function generateSkill(analysisData, skillName, skillType, description, tags = []) {
+async function generateSkill(analysisData, skillName, skillType, description, tags = [], options = {}) {
   try {
+    const workspaceId = options.workspaceId || DEFAULT_WORKSPACE_ID;
+
     // 1. Validate inputs
-    validateSkillName(skillName);
+    validateSkillName(skillName, workspaceId);
     validateSkillType(skillType);
 
     if (!analysisData || !analysisData.extractedData) {
       throw new Error('Invalid analysis data provided');
     }
 
-    // 2. Prepare template data
-    const templateData = {
-      skillName: formatSkillName(skillName),
-      description: description || generateDescription(analysisData, skillType),
-      extractedData: analysisData.extractedData,
-      contentType: skillType,
-      tags: tags || []
-    };
+    const customTemplate = options.templateId
+      ? resolveCustomTemplate(workspaceId, options.templateId, options.templateVersion, skillType)
+      : null;
 
-    // 3. Generate skill files from templates
-    const skillFiles = generateSkillFiles(skillType, templateData);
+    // 2. Prepare template data
+    const templateData = buildTemplateData(analysisData, skillName, skillType, description, tags);
+
+    // 3. Generate skill files from templates; empty framework sections are left out
+    const droppedSections = new Set();
+    const skillFiles = generateSkillFiles(skillType, templateData, customTemplate, droppedSections);
+
+    // 3b. Optionally generate helper scripts, referenced from SKILL.md
+    const llmCallIds = [];
+    const scripts = options.generateScripts
+      ? await addHelperScripts(skillFiles, analysisData.extractedData, skillType, templateData, {
+        models: options.models,
+        workspaceId,
+        analysisId: analysisData.analysisId
+      }, llmCallIds)
+      : null;
+    const scriptSize = Object.values(skillFiles.files || {}).reduce((sum, file) => sum + file.size, 0);
 
     // 4. Calculate metadata
     const metadata = {
       tags: tags || [],
-      fileCount: 1 + Object.keys(skillFiles.references).length,
-      totalSize: calculateTotalSize(skillFiles),
+      fileCount: 1 + Object.keys(skillFiles.references).length + Object.keys(skillFiles.files || {}).length,
+      totalSize: calculateTotalSize(skillFiles) + scriptSize,
       extractedFrom: {
         analysisId: analysisData.analysisId,
         contentType: analysisData.contentType,
         analysisDate: analysisData.timestamp,
-        confidence: analysisData.confidence
-      }
+        confidence: analysisData.confidence,
+        ...(analysisData.humanReviewed && { humanReviewed: true })
+      },
+      ...(customTemplate && {
+        template: {
+          id: customTemplate.id,
+          name: customTemplate.name,
+          version: customTemplate.version
+        }
+      }),
+      droppedSections: listDroppedSections(droppedSections),
+      ...(scripts && { scripts })
     };
 
     // 5. Save to database
     const skillId = await saveSkillToDatabase({
+      workspace_id: workspaceId,
       name: templateData.skillName,
       description: templateData.description,
       skill_type: skillType,
       version: 1,
       main_content: skillFiles['SKILL.md'],
       references: JSON.stringify(skillFiles.references),
+      files: JSON.stringify(skillFiles.files || {}),
       metadata: JSON.stringify(metadata)
     });
+    linkCallsToSkill(llmCallIds, skillId);
+    if (analysisData.analysisId) {
+      linkAnalysisToSkill(workspaceId, analysisData.analysisId, skillId);
+    }
 
     // 6. Create ZIP file
     const zipBuffer = await createSkillZip(skillFiles, templateData.skillName);
@@ -625,6 +857,161 @@ async function generateSkill(analysisData, skillName, skillType, description, ta
   }
 }
 
+/**
+ * Generate helper scripts into skillFiles.files and list them in SKILL.md.
+ * Script generation is best effort: a failure is reported in the returned
+ * summary and the skill is generated without scripts.
+ * @param {object} skillFiles - Generated files (modified in place)
+ * @param {object} extractedData - Extracted analysis data
+ * @param {string} skillType - Type of skill
+ * @param {object} templateData - Template data (skillName, description)
+ * @param {object} [options] - generateHelperScripts options (models, workspaceId, analysisId)
+ * @param {Array<number>} [callIds] - Collects the IDs of recorded model calls
+ * @returns {Promise<object>} { generated, rejected, model, error } for the skill metadata
+ */
+async function addHelperScripts(skillFiles, extractedData, skillType, templateData, options = {}, callIds = []) {
+  try {
+    const result = await generateHelperScripts(extractedData, skillType, {
+      skillName: templateData.skillName,
+      description: templateData.description
+    }, options);
+    callIds.push(result.callId);
+
+    skillFiles.files = result.files;
+    skillFiles['SKILL.md'] += buildScriptsSection(result.scripts);
+
+    return {
+      generated: result.scripts,
+      rejected: result.rejected,
+      model: result.model,
+      error: null
+    };
+  } catch (error) {
+    console.warn('Helper script generation failed:', error.message);
+    return { generated: [], rejected: [], model: null, error: error.message };
+  }
+}
+
+/**
+ * Render skill files for an analysis without saving anything
+ * @param {object} analysisData - Analysis data (see loadAnalysisForGeneration)
+ * @param {object} template - Custom template (see templateStore.getTemplate)
+ * @param {object} options - { skillName, skillType, description, tags }
+ * @param {Set<string>} [droppedSections] - Collects framework sections omitted because they were empty
+ * @returns {object} Generated files
+ */
+function renderSkillPreview(analysisData, template, options = {}, droppedSections = new Set()) {
+  const skillType = options.skillType || analysisData.contentType;
+  checkTemplateContentType(template, skillType);
+
+  const templateData = buildTemplateData(
+    analysisData,
+    options.skillName || `${skillType}-preview`,
+    skillType,
+    options.description,
+    options.tags
+  );
+
+  return generateSkillFiles(skillType, templateData, template, droppedSections);
+}
+
+/**
+ * Build the Handlebars context shared by all skill templates
+ * @param {object} analysisData - Analysis data
+ * @param {string} skillName - Name for the skill
+ * @param {string} skillType - Type of skill
+ * @param {string} description - Description of the skill
+ * @param {Array<string>} tags - Tags for the skill
+ * @returns {object} Template data
+ */
+function buildTemplateData(analysisData, skillName, skillType, description, tags) {
+  return {
+    skillName: formatSkillName(skillName),
+    description: description || generateDescription(analysisData, skillType),
+    extractedData: analysisData.extractedData,
+    contentType: skillType,
+    tags: tags || []
+  };
+}
+
+/**
+ * Load a custom template for generation and check it fits the skill type
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} templateId - Template ID
+ * @param {number} [templateVersion] - Template version (defaults to current)
+ * @param {string} skillType - Type of skill
+ * @returns {object} Template
+ */
+function resolveCustomTemplate(workspaceId, templateId, templateVersion, skillType) {
+  const template = templateStore.getTemplate(workspaceId, templateId, templateVersion);
+
+  if (!template) {
+    throw new Error(templateVersion
+      ? `Template ${templateId} version ${templateVersion} not found`
+      : `Template ${templateId} not found`);
+  }
+
+  checkTemplateContentType(template, skillType);
+  return template;
+}
+
+/**
+ * Ensure a template restricted to one content type is not used for another
+ * @param {object} template - Template
+ * @param {string} skillType - Type of skill
+ */
+function checkTemplateContentType(template, skillType) {
+  if (template.contentType && template.contentType !== skillType) {
+    throw new Error(`Template "${template.name}" is for ${template.contentType} skills, not ${skillType}`);
+  }
+}
+
+/**
+ * Load a stored analysis in the shape expected by generateSkill
+ * @param {string} analysisId - Analysis ID
+ * @param {number} [workspaceId] - Workspace the analysis must belong to
+ * @returns {object|null} Analysis data, or null if it does not exist
+ */
+function loadAnalysisForGeneration(analysisId, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const db = dbConnection.getConnection();
+  const analysis = db.prepare(`
+    SELECT analysis_result, content_type, confidence, requires_review, human_reviewed, created_at
+    FROM content_analyses 
+    WHERE id = ? AND workspace_id = ?
+  `).get(analysisId, workspaceId);
+
+  if (!analysis) {
+    return null;
+  }
+
+  return {
+    analysisId,
+    contentType: analysis.content_type,
+    extractedData: JSON.parse(analysis.analysis_result),
+    confidence: analysis.confidence,
+    requiresReview: Boolean(analysis.requires_review),
+    humanReviewed: Boolean(analysis.human_reviewed),
+    timestamp: analysis.created_at
+  };
+}
+
+/**
+ * Build the API response body for a generated skill package
+ * @param {object} skillPackage - Result of generateSkill
+ * @returns {object} Serializable summary (no ZIP buffer or file contents) with lint results
+ */
+function summarizeSkillPackage(skillPackage) {
+  return {
+    skillId: skillPackage.skillId,
+    skillName: skillPackage.skillName,
+    version: skillPackage.version,
+    downloadUrl: skillPackage.downloadUrl,
+    createdAt: skillPackage.createdAt,
+    metadata: skillPackage.metadata,
+    lint: lintSkillPackage(skillPackage.files)
+  };
+}
+
 /**
  * Generate YAML frontmatter for SKILL.md format
  * @param {string} skillName - Name of the skill
@@ -646,19 +1033,7 @@ function generateSkillFrontmatter(skillName, description, tags, skillType, versi
     format: 'SKILL.md'
   };
 
-  // Convert to YAML format
-  let yaml = '---\n';
-  yaml += `name: ${frontmatter.name}\n`;
-  yaml += `description: ${JSON.stringify(frontmatter.description)}\n`;
-  yaml += `tags: [${frontmatter.tags.map(t => JSON.stringify(t)).join(', ')}]\n`;
-  yaml += `version: ${frontmatter.version}\n`;
-  yaml += `type: ${frontmatter.type}\n`;
-  yaml += `created: ${frontmatter.created}\n`;
-  yaml += `compatible: [${frontmatter.compatible.map(c => JSON.stringify(c)).join(', ')}]\n`;
-  yaml += `format: ${frontmatter.format}\n`;
-  yaml += '---\n\n';
-
-  return yaml;
+  return `${serializeFrontmatter(frontmatter)}\n`;
 }
 
 /**
@@ -694,23 +1069,28 @@ All reference files are bundled with this skill and available in the skill's bas
  * Generate skill files from templates
  * @param {string} skillType - Type of skill
  * @param {object} templateData - Data for template rendering
+ * @param {object} [customTemplate] - Custom template replacing the built-in layout
+ * @param {Set<string>} [droppedSections] - Collects framework sections omitted because they were empty
  * @returns {object} Generated files
  */
-function generateSkillFiles(skillType, templateData) {
-  const templates = TEMPLATES[skillType];
+function generateSkillFiles(skillType, templateData, customTemplate = null, droppedSections = new Set()) {
+  if (customTemplate) {
+    return generateCustomSkillFiles(skillType, templateData, customTemplate, droppedSections);
+  }
 
-  if (!templates) {
-    throw new Error(`No template found for skill type: ${skillType}`);
+  if (!TEMPLATES[skillType]) {
+    return generateGenericSkillFiles(skillType, templateData, droppedSections);
   }
 
+  const templates = TEMPLATES[skillType];
+
   const files = {
     'SKILL.md': null,
     references: {}
   };
 
-  // Compile and render main template
-  const mainTemplate = Handlebars.compile(templates.skillMd);
-  const renderedContent = mainTemplate(templateData);
+  // Render main template
+  const renderedContent = renderTemplate(templates.skillMd, templateData, droppedSections);
 
   // Generate YAML frontmatter
   const frontmatter = generateSkillFrontmatter(
@@ -733,26 +1113,95 @@ function generateSkillFiles(skillType, templateData) {
 
   // Generate reference files
   if (templates.practicesMd) {
-    const practicesTemplate = Handlebars.compile(templates.practicesMd);
-    files.references['practices.md'] = practicesTemplate(templateData);
+    files.references['practices.md'] = renderTemplate(templates.practicesMd, templateData, droppedSections);
   }
 
   if (templates.structureMd) {
-    const structureTemplate = Handlebars.compile(templates.structureMd);
-    files.references['structure.md'] = structureTemplate(templateData);
+    files.references['structure.md'] = renderTemplate(templates.structureMd, templateData, droppedSections);
   }
 
   if (templates.examplesMd) {
-    const examplesTemplate = Handlebars.compile(templates.examplesMd);
-    files.references['examples.md'] = examplesTemplate(templateData);
+    files.references['examples.md'] = renderTemplate(templates.examplesMd, templateData, droppedSections);
   }
 
   return files;
 }
 
+/**
+ * Generate skill files from a custom template.
+ * SKILL.md gets the standard frontmatter unless the template provides its own.
+ * @param {string} skillType - Type of skill
+ * @param {object} templateData - Data for template rendering
+ * @param {object} customTemplate - Template (see templateStore.getTemplate)
+ * @param {Set<string>} [droppedSections] - Collects framework sections omitted because they were empty
+ * @returns {object} Generated files
+ */
+function generateCustomSkillFiles(skillType, templateData, customTemplate, droppedSections = new Set()) {
+  const renderedContent = renderTemplate(customTemplate.skillMd, templateData, droppedSections);
+
+  const skillMd = renderedContent.trimStart().startsWith('---')
+    ? renderedContent
+    : generateSkillFrontmatter(
+      templateData.skillName,
+      templateData.description,
+      templateData.tags || [],
+      skillType,
+      1
+    ) + renderedContent;
+
+  // Custom reference files are added to (and may override) the built-in ones
+  const references = customTemplate.includeBuiltInReferences
+    ? { ...generateSkillFiles(skillType, templateData, null, droppedSections).references }
+    : {};
+
+  for (const [filename, source] of Object.entries(customTemplate.references || {})) {
+    references[filename] = renderTemplate(source, templateData, droppedSections);
+  }
+
+  return {
+    'SKILL.md': skillMd,
+    references
+  };
+}
+
+/**
+ * Generate skill files for a registry-defined content type without a dedicated template
+ * @param {string} skillType - Type of skill
+ * @param {object} templateData - Data for template rendering
+ * @param {Set<string>} [droppedSections] - Collects framework sections omitted because they were empty
+ * @returns {object} Generated files
+ */
+function generateGenericSkillFiles(skillType, templateData, droppedSections = new Set()) {
+  const framework = frameworkRegistry.getFramework(skillType);
+
+  if (!framework) {
+    throw new Error(`No template found for skill type: ${skillType}`);
+  }
+
+  const renderedContent = renderTemplate(GENERIC_TEMPLATE.skillMd, templateData, droppedSections);
+
+  const frontmatter = generateSkillFrontmatter(
+    templateData.skillName,
+    templateData.description,
+    templateData.tags || [],
+    skillType,
+    1
+  );
+
+  return {
+    'SKILL.md': frontmatter + generateInstructions(templateData.extractedData, skillType, renderedContent),
+    references: {
+      'framework.md': renderTemplate(GENERIC_TEMPLATE.frameworkMd, {
+        contentType: skillType,
+        framework
+      })
+    }
+  };
+}
+
 /**
  * Create ZIP file from skill files
- * @param {object} skillFiles - Generated skill files
+ * @param {object} skillFiles - Skill files { 'SKILL.md', references, files }
  * @param {string} skillName - Name of the skill
  * @returns {Promise<Buffer>} ZIP file buffer
  */
@@ -771,10 +1220,14 @@ async function createSkillZip(skillFiles, skillName) {
     }
   }
 
-  // Add empty scripts/ and assets/ folders for full OpenSkills compatibility
+  // Add scripts/ and assets/ files; the folders are always present for full OpenSkills compatibility
   zip.folder('scripts');
   zip.folder('assets');
 
+  for (const [filePath, file] of Object.entries(skillFiles.files || {})) {
+    zip.file(filePath, Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8'));
+  }
+
   // Generate ZIP buffer
   const zipBuffer = await zip.generateAsync({
     type: 'nodebuffer',
@@ -787,42 +1240,37 @@ async function createSkillZip(skillFiles, skillName) {
 
 /**
  * Save skill to database
- * @param {object} skillData - Skill data to save
+ * @param {object} skillData - Skill data to save (files is optional JSON)
  * @returns {Promise<number>} Skill ID
  */
 async function saveSkillToDatabase(skillData) {
   const db = dbConnection.getConnection();
   
   const stmt = db.prepare(`
-    INSERT INTO skills (name, description, skill_type, version, main_content, \`references\`, metadata)
-    VALUES (@name, @description, @skill_type, @version, @main_content, @references, @metadata)
+    INSERT INTO skills (workspace_id, name, description, skill_type, version, main_content, \`references\`, files, metadata)
+    VALUES (@workspace_id, @name, @description, @skill_type, @version, @main_content, @references, @files, @metadata)
   `);
 
-  const result = stmt.run(skillData);
+  const result = stmt.run({ files: '{}', ...skillData });
   return result.lastInsertRowid;
 }
 
 /**
  * Validate skill name
  * @param {string} name - Skill name to validate
+ * @param {number} [workspaceId] - Workspace in which the name must be unique
  */
-function validateSkillName(name) {
-  if (!name || name.length < 3) {
-    throw new Error('Skill name must be at least 3 characters');
-  }
-
-  if (name.length > 50) {
-    throw new Error('Skill name must be less than 50 characters');
+function validateSkillName(name, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const problem = checkSkillNameFormat(name);
+  if (problem) {
+    throw new Error(problem);
   }
 
   const formatted = formatSkillName(name);
-  if (!/^[a-z0-9-]+$/.test(formatted)) {
-    throw new Error('Skill name must contain only lowercase letters, numbers, and hyphens');
-  }
 
   // Check for existing skill with same name
   const db = dbConnection.getConnection();
-  const existing = db.prepare('SELECT id FROM skills WHERE name = ?').get(formatted);
+  const existing = db.prepare('SELECT id FROM skills WHERE name = ? AND workspace_id = ?').get(formatted, workspaceId);
   if (existing) {
     throw new Error('Skill with this name already exists');
   }
@@ -833,25 +1281,12 @@ function validateSkillName(name) {
  * @param {string} skillType - Skill type to validate
  */
 function validateSkillType(skillType) {
-  const validTypes = Object.keys(TEMPLATES);
+  const validTypes = frameworkRegistry.getContentTypes();
   if (!validTypes.includes(skillType)) {
     throw new Error(`Invalid skill type: ${skillType}. Valid types: ${validTypes.join(', ')}`);
   }
 }
 
-/**
- * Format skill name (lowercase with hyphens)
- * @param {string} name - Name to format
- * @returns {string} Formatted name
- */
-function formatSkillName(name) {
-  return name
-    .toLowerCase()
-    .trim()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-}
-
 /**
  * Generate auto description if not provided
  * @param {object} analysisData - Analysis data
@@ -910,9 +1345,9 @@ function validateSkillPackage(skillFiles) {
     issues.push('SKILL.md content seems too short');
   }
 
-  // Check for YAML frontmatter
-  if (skillFiles['SKILL.md'] && !skillFiles['SKILL.md'].includes('---\nname:')) {
-    issues.push('SKILL.md missing YAML frontmatter');
+  // Check the YAML frontmatter and its required keys
+  if (skillFiles['SKILL.md']) {
+    issues.push(...checkSkillFrontmatter(skillFiles['SKILL.md']));
   }
 
   // Check for valid markdown
@@ -939,6 +1374,25 @@ function validateSkillPackage(skillFiles) {
   };
 }
 
+/**
+ * Check a SKILL.md header
+ * @param {string} skillMd - SKILL.md content
+ * @returns {Array<string>} Issues
+ */
+function checkSkillFrontmatter(skillMd) {
+  try {
+    const { data, hasFrontmatter } = parseFrontmatter(skillMd);
+
+    if (!hasFrontmatter) {
+      return ['SKILL.md missing YAML frontmatter'];
+    }
+
+    return validateFrontmatter(data).map(issue => `SKILL.md frontmatter: ${issue.message}`);
+  } catch (error) {
+    return [error.message];
+  }
+}
+
 /**
  * Check if markdown is valid
  * @param {string} content - Markdown content
@@ -956,7 +1410,13 @@ function isValidMarkdown(content) {
 module.exports = {
   generateSkill,
   generateSkillFiles,
+  loadAnalysisForGeneration,
+  summarizeSkillPackage,
+  renderSkillPreview,
+  listDroppedSections,
   createSkillZip,
+  saveSkillToDatabase,
+  calculateTotalSize,
   validateSkillPackage,
   formatSkillName,
   validateSkillName,
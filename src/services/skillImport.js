@@ -0,0 +1,347 @@
+/**
+ * Skill Import Service
+ * Imports existing SKILL.md packages from ZIP archives and GitHub repositories
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { parseFrontmatter, setFrontmatter } = require('../utils/frontmatter');
+const {
+  saveSkillToDatabase,
+  calculateTotalSize,
+  validateSkillPackage,
+  validateSkillName,
+  formatSkillName
+} = require('./skillGeneration');
+const { isKnownContentType } = require('./frameworkRegistry');
+const { encodeFile, validateFilePath } = require('./skillFiles');
+const { getRepository, downloadRepositoryArchive } = require('./githubService');
+
+const MAX_ARCHIVE_ENTRIES = 500;
+const MAX_UNCOMPRESSED_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Package folders loaded next to SKILL.md
+const PACKAGE_DIRECTORIES = ['references', 'scripts', 'assets'];
+
+// Import errors carry a code the API layer maps to an HTTP status
+class SkillImportError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'SkillImportError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Read a skill package out of a ZIP archive.
+ * The shallowest SKILL.md (optionally below `subdirectory`) marks the package root.
+ * @param {Buffer} buffer - ZIP archive
+ * @param {string} [subdirectory] - Folder containing the skill, for archives holding several
+ * @returns {Promise<object>} { root, skillMd, references, files, skipped }
+ */
+async function readSkillArchive(buffer, subdirectory = null) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new SkillImportError(`Invalid ZIP archive: ${error.message}`, 'INVALID_ARCHIVE');
+  }
+
+  const entries = Object.values(zip.files).filter(entry =>
+    !entry.dir &&
+    !entry.name.startsWith('__MACOSX/') &&
+    !path.posix.basename(entry.name).startsWith('.')
+  );
+
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw new SkillImportError(`Archive has more than ${MAX_ARCHIVE_ENTRIES} files`, 'INVALID_ARCHIVE');
+  }
+
+  const wanted = subdirectory ? subdirectory.replace(/^\/+|\/+$/g, '') : null;
+  const skillEntry = entries
+    .filter(entry => path.posix.basename(entry.name) === 'SKILL.md')
+    .filter(entry => {
+      const dir = path.posix.dirname(entry.name);
+      return !wanted || dir === wanted || dir.endsWith(`/${wanted}`);
+    })
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+
+  if (!skillEntry) {
+    throw new SkillImportError(
+      `No SKILL.md found${wanted ? ` in "${wanted}"` : ''} in the archive`,
+      'INVALID_SKILL'
+    );
+  }
+
+  const root = skillEntry.name.slice(0, -'SKILL.md'.length);
+  let totalSize = 0;
+
+  // Entries are inflated as a stream so an archive that expands far beyond its
+  // declared sizes is stopped at the limit instead of being held in memory
+  const readEntry = entry => {
+    const tooLarge = () => new SkillImportError('Archive contents exceed 20MB', 'INVALID_ARCHIVE');
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const stream = entry.internalStream('nodebuffer');
+      let failed = false;
+
+      stream
+        .on('data', chunk => {
+          if (failed) {
+            return;
+          }
+          totalSize += chunk.length;
+          if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+            failed = true;
+            stream.pause();
+            reject(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', error => {
+          failed = true;
+          reject(new SkillImportError(`Invalid ZIP archive: ${error.message}`, 'INVALID_ARCHIVE'));
+        })
+        .on('end', () => {
+          if (!failed) {
+            resolve(Buffer.concat(chunks));
+          }
+        })
+        .resume();
+    });
+  };
+
+  const skillMd = (await readEntry(skillEntry)).toString('utf8');
+  const references = {};
+  const files = {};
+  const skipped = [];
+
+  for (const entry of entries) {
+    if (!entry.name.startsWith(root)) {
+      continue;
+    }
+
+    const relativePath = entry.name.slice(root.length);
+    const segments = relativePath.split('/');
+
+    if (segments.length < 2 || !PACKAGE_DIRECTORIES.includes(segments[0]) || segments.includes('..')) {
+      continue;
+    }
+
+    if (segments[0] !== 'references') {
+      try {
+        validateFilePath(relativePath);
+      } catch (error) {
+        skipped.push(relativePath);
+        continue;
+      }
+    }
+
+    const content = await readEntry(entry);
+
+    if (segments[0] === 'references') {
+      references[segments.slice(1).join('/')] = content.toString('utf8');
+    } else {
+      files[relativePath] = encodeFile(content);
+    }
+  }
+
+  return { root, skillMd, references, files, skipped };
+}
+
+/**
+ * Import a skill package read from an archive
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} skillPackage - Result of readSkillArchive
+ * @param {object} options - Import options
+ * @param {object} options.source - Where the package came from ({ type: 'zip' } or { type: 'github', repository, ref, path })
+ * @param {string} [options.skillName] - Overrides the frontmatter name
+ * @param {string} [options.skillType] - Overrides the frontmatter type
+ * @param {string} [options.description] - Overrides the frontmatter description
+ * @param {Array<string>} [options.tags] - Overrides the frontmatter tags
+ * @param {boolean} [options.allowInvalid] - Import packages that fail validateSkillPackage instead of rejecting them
+ * @returns {Promise<object>} Imported skill summary
+ */
+async function importSkillPackage(workspaceId, skillPackage, options = {}) {
+  let frontmatter;
+  try {
+    frontmatter = parseFrontmatter(skillPackage.skillMd).data;
+  } catch (error) {
+    throw new SkillImportError(error.message, 'INVALID_SKILL', error.details);
+  }
+
+  const folderName = path.posix.basename(skillPackage.root.replace(/\/$/, ''));
+  const skillName = formatSkillName(String(options.skillName || frontmatter.name || folderName || ''));
+
+  try {
+    validateSkillName(skillName, workspaceId);
+  } catch (error) {
+    throw new SkillImportError(error.message, error.message.includes('already exists') ? 'CONFLICT' : 'INVALID_SKILL');
+  }
+
+  const skillType = options.skillType || frontmatter.type;
+  if (!skillType || !isKnownContentType(skillType)) {
+    throw new SkillImportError(
+      skillType
+        ? `Unknown skill type "${skillType}". Pass a registered skillType to import this skill.`
+        : 'SKILL.md frontmatter has no type. Pass skillType to import this skill.',
+      'INVALID_SKILL'
+    );
+  }
+
+  const tags = options.tags || (Array.isArray(frontmatter.tags) ? frontmatter.tags.map(String) : []);
+  const description = options.description || (frontmatter.description ? String(frontmatter.description) : null);
+
+  // Start in sync: the stored frontmatter matches the skill's name, description and tags
+  const skillFiles = {
+    'SKILL.md': setFrontmatter(skillPackage.skillMd, {
+      name: skillName,
+      description: description || undefined,
+      tags: tags.length > 0 ? tags : undefined
+    }),
+    references: skillPackage.references
+  };
+
+  const validation = validateSkillPackage(skillFiles);
+
+  if (!options.allowInvalid && !validation.isValid) {
+    throw new SkillImportError(
+      'Skill package failed validation. Set allowInvalid to import it anyway.',
+      'INVALID_SKILL',
+      validation.issues
+    );
+  }
+
+  const fileSizes = Object.values(skillPackage.files).reduce((sum, file) => sum + file.size, 0);
+  const importedAt = new Date().toISOString();
+
+  const skillId = await saveSkillToDatabase({
+    workspace_id: workspaceId,
+    name: skillName,
+    description,
+    skill_type: skillType,
+    version: 1,
+    main_content: skillFiles['SKILL.md'],
+    references: JSON.stringify(skillPackage.references),
+    files: JSON.stringify(skillPackage.files),
+    metadata: JSON.stringify({
+      tags,
+      fileCount: 1 + Object.keys(skillPackage.references).length + Object.keys(skillPackage.files).length,
+      totalSize: calculateTotalSize(skillFiles) + fileSizes,
+      imported: {
+        ...options.source,
+        importedAt,
+        frontmatter
+      }
+    })
+  });
+
+  return {
+    skillId,
+    skillName,
+    skillType,
+    version: 1,
+    downloadUrl: `/api/skills/${skillId}/download`,
+    source: options.source,
+    files: {
+      references: Object.keys(skillPackage.references),
+      scripts: Object.keys(skillPackage.files).filter(file => file.startsWith('scripts/')),
+      assets: Object.keys(skillPackage.files).filter(file => file.startsWith('assets/')),
+      skipped: skillPackage.skipped || []
+    },
+    validation,
+    importedAt
+  };
+}
+
+/**
+ * Import a skill from an uploaded ZIP archive
+ * @param {number} workspaceId - Workspace ID
+ * @param {Buffer} buffer - ZIP archive
+ * @param {object} options - See importSkillPackage, plus `path` to pick a folder in the archive
+ * @returns {Promise<object>} Imported skill summary
+ */
+async function importSkillFromZip(workspaceId, buffer, options = {}) {
+  const skillPackage = await readSkillArchive(buffer, options.path);
+
+  return importSkillPackage(workspaceId, skillPackage, {
+    ...options,
+    source: { type: 'zip', path: options.path || null }
+  });
+}
+
+/**
+ * Import a skill from a GitHub repository
+ * @param {number} workspaceId - Workspace ID
+ * @param {string} repository - "owner/repo"
+ * @param {object} options - See importSkillPackage, plus ref, path, githubToken (the caller's
+ *   token, used for any repository it can read) and serverToken (used only for public repositories)
+ * @returns {Promise<object>} Imported skill summary
+ */
+async function importSkillFromGitHub(workspaceId, repository, options = {}) {
+  const [owner, repo] = repository.split('/');
+
+  let buffer;
+  try {
+    const token = options.githubToken || await getPublicRepositoryToken(owner, repo, options.serverToken);
+    buffer = await downloadRepositoryArchive(owner, repo, options.ref, token);
+  } catch (error) {
+    if (error instanceof SkillImportError) {
+      throw error;
+    }
+    throw new SkillImportError(
+      error.message,
+      error.message.includes('not found') ? 'NOT_FOUND' : error.message.includes('exceeds') ? 'INVALID_ARCHIVE' : 'GITHUB_ERROR'
+    );
+  }
+
+  const skillPackage = await readSkillArchive(buffer, options.path);
+
+  return importSkillPackage(workspaceId, skillPackage, {
+    ...options,
+    source: {
+      type: 'github',
+      repository,
+      ref: options.ref || null,
+      path: options.path || null
+    }
+  });
+}
+
+/**
+ * Decide whether the server's token may download a repository. It raises the
+ * rate limit for public repositories but must not expose private ones the
+ * server can read to callers who could not.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [serverToken] - Server-wide GitHub token
+ * @returns {Promise<string|null>} The server token for public repositories, otherwise null
+ * @throws {SkillImportError} When the repository is private
+ */
+async function getPublicRepositoryToken(owner, repo, serverToken) {
+  if (!serverToken) {
+    return null;
+  }
+
+  const repository = await getRepository(owner, repo, serverToken);
+
+  if (!repository || repository.private !== false) {
+    throw new SkillImportError(
+      `Repository ${owner}/${repo} not found or not accessible. Send your own token as X-GitHub-Token to import from a private repository.`,
+      'NOT_FOUND'
+    );
+  }
+
+  return serverToken;
+}
+
+module.exports = {
+  readSkillArchive,
+  importSkillPackage,
+  importSkillFromZip,
+  importSkillFromGitHub,
+  SkillImportError
+};
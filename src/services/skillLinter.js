@@ -0,0 +1,254 @@
+/**
+ * Skill Linter Service
+ * Checks a skill package and reports structured diagnostics with a rule ID,
+ * severity, file and line, so editors and CI can point at the exact problem.
+ */
+
+const { parseFrontmatter, validateFrontmatter } = require('../utils/frontmatter');
+const { getSkillRow } = require('./skillVersions');
+
+const MAX_DESCRIPTION_LENGTH = 1024;
+const MAX_SKILL_MD_LINES = 500;
+const MAX_TEXT_FILE_SIZE = 100 * 1024; // 100KB
+const MAX_FILE_SIZE = 1024 * 1024; // 1MB
+
+// Rule IDs and their severities
+const LINT_RULES = {
+  'frontmatter-missing': 'error',
+  'frontmatter-invalid': 'error',
+  'frontmatter-missing-key': 'error',
+  'description-too-long': 'warning',
+  'unrendered-placeholder': 'error',
+  'literal-object': 'error',
+  'literal-null': 'warning',
+  'broken-reference': 'error',
+  'oversize-file': 'warning'
+};
+
+// Package paths mentioned in markdown links or inline code
+const PACKAGE_PATH_PATTERN = /(?:\]\(\.?\/?|`\.?\/?)((?:references|scripts|assets)\/[^\s)`#]+)/g;
+
+// A whole value left empty by Handlebars: "Label: null", "- undefined", "### null"
+const LITERAL_NULL_PATTERN = /^\s*(?:[-*]\s+|#{1,6}\s+|(?:\*\*)?[^:`]{1,60}:(?:\*\*)?\s+)?(null|undefined)\s*$/;
+
+/**
+ * Lint a stored skill
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {object} [overrides] - Unsaved { mainContent, references } to lint in place of the stored ones
+ * @returns {object|null} Lint result (see lintSkillPackage) with skillId and version, or null if the skill does not exist
+ */
+function lintSkill(workspaceId, skillId, overrides = {}) {
+  const skill = getSkillRow(workspaceId, skillId);
+
+  if (!skill) {
+    return null;
+  }
+
+  return {
+    skillId,
+    version: skill.version,
+    ...lintSkillPackage({
+      'SKILL.md': overrides.mainContent || skill.main_content,
+      references: overrides.references || JSON.parse(skill.references),
+      files: JSON.parse(skill.files)
+    })
+  };
+}
+
+/**
+ * Lint a skill package
+ * @param {object} skillFiles - { 'SKILL.md', references, files }
+ * @returns {object} { valid, summary: { errors, warnings }, diagnostics }
+ */
+function lintSkillPackage(skillFiles) {
+  const skillMd = skillFiles['SKILL.md'] || '';
+  const references = skillFiles.references || {};
+  const files = skillFiles.files || {};
+
+  const packagePaths = new Set([
+    ...Object.keys(references).map(name => `references/${name}`),
+    ...Object.keys(files)
+  ]);
+
+  const diagnostics = [
+    ...lintFrontmatter(skillMd),
+    ...lintMarkdown('SKILL.md', skillMd, packagePaths),
+    ...Object.entries(references).flatMap(([name, content]) =>
+      lintMarkdown(`references/${name}`, content, packagePaths)
+    ),
+    ...lintSizes(skillMd, references, files)
+  ];
+
+  const errors = diagnostics.filter(d => d.severity === 'error').length;
+
+  return {
+    valid: errors === 0,
+    summary: {
+      errors,
+      warnings: diagnostics.length - errors
+    },
+    diagnostics
+  };
+}
+
+/**
+ * Check the SKILL.md frontmatter
+ * @param {string} skillMd - SKILL.md content
+ * @returns {Array<object>} Diagnostics
+ */
+function lintFrontmatter(skillMd) {
+  let parsed;
+
+  try {
+    parsed = parseFrontmatter(skillMd);
+  } catch (error) {
+    return [diagnostic('frontmatter-invalid', 'SKILL.md', 1, error.message)];
+  }
+
+  if (!parsed.hasFrontmatter) {
+    return [diagnostic('frontmatter-missing', 'SKILL.md', 1, 'SKILL.md has no YAML frontmatter block')];
+  }
+
+  const diagnostics = validateFrontmatter(parsed.data).map(issue =>
+    diagnostic('frontmatter-missing-key', 'SKILL.md', findKeyLine(skillMd, issue.field), issue.message)
+  );
+
+  const description = parsed.data.description;
+  if (typeof description === 'string' && description.length > MAX_DESCRIPTION_LENGTH) {
+    diagnostics.push(diagnostic(
+      'description-too-long',
+      'SKILL.md',
+      findKeyLine(skillMd, 'description'),
+      `Description is ${description.length} characters; keep it under ${MAX_DESCRIPTION_LENGTH}`
+    ));
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Check a markdown file for rendering leftovers and broken package links
+ * @param {string} file - Package path
+ * @param {string} content - File content
+ * @param {Set<string>} packagePaths - Paths that exist in the package
+ * @returns {Array<object>} Diagnostics
+ */
+function lintMarkdown(file, content, packagePaths) {
+  const diagnostics = [];
+
+  (content || '').split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+
+    if (text.includes('{{')) {
+      diagnostics.push(diagnostic('unrendered-placeholder', file, line, 'Unrendered template placeholder "{{"'));
+    }
+
+    if (text.includes('[object Object]')) {
+      diagnostics.push(diagnostic('literal-object', file, line, 'An object was rendered as "[object Object]"'));
+    }
+
+    const nullMatch = text.match(LITERAL_NULL_PATTERN);
+    if (nullMatch) {
+      diagnostics.push(diagnostic('literal-null', file, line, `A missing value was rendered as "${nullMatch[1]}"`));
+    }
+
+    for (const [, target] of text.matchAll(PACKAGE_PATH_PATTERN)) {
+      if (!packagePaths.has(target)) {
+        diagnostics.push(diagnostic('broken-reference', file, line, `Links to ${target}, which is not in the package`));
+      }
+    }
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Check file sizes and SKILL.md length
+ * @param {string} skillMd - SKILL.md content
+ * @param {object} references - Reference files by name
+ * @param {object} files - Script and asset files by path
+ * @returns {Array<object>} Diagnostics
+ */
+function lintSizes(skillMd, references, files) {
+  const diagnostics = [];
+  const lineCount = skillMd.split(/\r?\n/).length;
+
+  if (lineCount > MAX_SKILL_MD_LINES) {
+    diagnostics.push(diagnostic(
+      'oversize-file',
+      'SKILL.md',
+      null,
+      `SKILL.md has ${lineCount} lines; move detail into references/ to keep it under ${MAX_SKILL_MD_LINES}`
+    ));
+  }
+
+  const textFiles = [['SKILL.md', skillMd], ...Object.entries(references).map(([name, content]) => [`references/${name}`, content])];
+  for (const [file, content] of textFiles) {
+    const size = Buffer.byteLength(content || '', 'utf8');
+    if (size > MAX_TEXT_FILE_SIZE) {
+      diagnostics.push(diagnostic('oversize-file', file, null, `${file} is ${formatSize(size)}; keep text files under ${formatSize(MAX_TEXT_FILE_SIZE)}`));
+    }
+  }
+
+  for (const [file, { size }] of Object.entries(files)) {
+    if (size > MAX_FILE_SIZE) {
+      diagnostics.push(diagnostic('oversize-file', file, null, `${file} is ${formatSize(size)}; keep files under ${formatSize(MAX_FILE_SIZE)}`));
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Build a diagnostic
+ * @param {string} ruleId - Rule ID (see LINT_RULES)
+ * @param {string} file - Package path
+ * @param {number|null} line - 1-based line number, or null for whole-file problems
+ * @param {string} message - Description of the problem
+ * @returns {object} { ruleId, severity, file, line, message }
+ */
+function diagnostic(ruleId, file, line, message) {
+  return {
+    ruleId,
+    severity: LINT_RULES[ruleId],
+    file,
+    line,
+    message
+  };
+}
+
+/**
+ * Find the line of a top-level frontmatter key
+ * @param {string} skillMd - SKILL.md content
+ * @param {string} key - Frontmatter key
+ * @returns {number} 1-based line number (1, the opening "---", when the key is absent)
+ */
+function findKeyLine(skillMd, key) {
+  const lines = skillMd.split(/\r?\n/);
+
+  for (let index = 1; index < lines.length && lines[index].trim() !== '---'; index++) {
+    if (lines[index].startsWith(`${key}:`)) {
+      return index + 1;
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "120KB"
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)}MB`
+    : `${Math.round(bytes / 1024)}KB`;
+}
+
+module.exports = {
+  lintSkill,
+  lintSkillPackage,
+  LINT_RULES
+};
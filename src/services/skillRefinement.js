@@ -0,0 +1,238 @@
+/**
+ * Skill Refinement Service
+ * Turns usage feedback into a revised skill package saved as a new version
+ */
+
+const dbConnection = require('../db/database');
+const {
+  callClaudeWithRateLimit,
+  parseClaudeResponse,
+  logAPICall
+} = require('../utils/claudeClient');
+const { validateSkillPackage } = require('./skillGeneration');
+const { updateSkill, getSkillRow } = require('./skillVersions');
+const { recordLLMCall } = require('./llmUsage');
+
+// Most recent feedback entries included in a refinement prompt
+const MAX_FEEDBACK_ENTRIES = 50;
+
+const REFERENCE_FILENAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const REFINEMENT_SYSTEM_PROMPT = `You are an expert author of Claude skills (SKILL.md packages).
+
+Your role:
+- Revise an existing skill package to address feedback from the people using it
+- Keep what works; change only what the feedback calls for
+- Preserve the YAML frontmatter block at the top of SKILL.md
+- Return valid JSON responses`;
+
+// Refinement errors carry a code the API layer maps to an HTTP status
+class SkillRefinementError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'SkillRefinementError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Refine a skill from feedback and save the result as a new version
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {object} options - Refinement options
+ * @param {Array<string>} [options.notes] - Feedback to apply instead of recorded improvement notes
+ * @param {string} [options.changeNotes] - Notes for the new version (defaults to the model's summary)
+ * @param {Array<string>} [options.models] - Model chain to use instead of the configured refinement chain
+ * @returns {Promise<object>} { id, version, previousVersion, changeNotes, feedbackUsed, model, validation }
+ */
+async function refineSkill(workspaceId, skillId, options = {}) {
+  const skill = getSkillRow(workspaceId, skillId);
+
+  if (!skill) {
+    throw new SkillRefinementError('Skill not found', 'NOT_FOUND');
+  }
+
+  const metadata = JSON.parse(skill.metadata || '{}');
+  const feedback = options.notes && options.notes.length > 0
+    ? options.notes.map(notes => ({ notes }))
+    : loadPendingFeedback(skillId, metadata.refinement);
+
+  if (feedback.length === 0) {
+    throw new SkillRefinementError(
+      'No improvement notes to refine from. Record usage feedback or pass notes in the request.',
+      'NO_FEEDBACK'
+    );
+  }
+
+  const references = JSON.parse(skill.references || '{}');
+  const prompt = buildRefinementPrompt(skill.main_content, references, feedback);
+  const startTime = Date.now();
+
+  const { content: responseText, model, usage } = await callClaudeWithRateLimit(prompt, {
+    operation: 'refinement',
+    models: options.models,
+    maxTokens: 8192,
+    temperature: 0.3,
+    system: REFINEMENT_SYSTEM_PROMPT
+  });
+
+  logAPICall(prompt, responseText, Date.now() - startTime, model);
+  recordLLMCall({
+    workspaceId,
+    operation: 'refinement',
+    model,
+    usage,
+    durationMs: Date.now() - startTime,
+    contentType: skill.skill_type,
+    skillId
+  });
+
+  const refined = parseRefinementResponse(responseText);
+
+  // Reference files the model left out are kept unchanged
+  const refinedReferences = { ...references, ...refined.references };
+  const validation = validateSkillPackage({
+    'SKILL.md': refined.skillMd,
+    references: refinedReferences
+  });
+
+  if (!validation.isValid) {
+    throw new SkillRefinementError('Refined skill package failed validation', 'INVALID_PACKAGE', validation.issues);
+  }
+
+  const changeNotes = options.changeNotes || refined.summary || `Refined from ${feedback.length} feedback notes`;
+  const lastUsageId = feedback.reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+
+  const result = updateSkill(workspaceId, skillId, {
+    // Refinement never renames the skill; the frontmatter keeps the current name
+    name: skill.name,
+    mainContent: refined.skillMd,
+    references: refinedReferences,
+    changeNotes,
+    metadata: {
+      refinement: {
+        refinedAt: new Date().toISOString(),
+        fromVersion: skill.version,
+        feedbackCount: feedback.length,
+        model,
+        // Recorded notes up to this usage entry have been applied
+        lastUsageId: lastUsageId || metadata.refinement?.lastUsageId || 0
+      }
+    }
+  });
+
+  return {
+    ...result,
+    previousVersion: skill.version,
+    changeNotes,
+    feedbackUsed: feedback.length,
+    model,
+    validation
+  };
+}
+
+/**
+ * Load improvement notes recorded since the skill was last refined. At most
+ * MAX_FEEDBACK_ENTRIES are returned, oldest first, so a backlog is worked
+ * through over several refinements without skipping notes.
+ * @param {number} skillId - Skill ID
+ * @param {object} [refinement] - metadata.refinement from the previous refinement
+ * @returns {Array<object>} Feedback entries { id, notes, rating, usageContext }, oldest first
+ */
+function loadPendingFeedback(skillId, refinement) {
+  const db = dbConnection.getConnection();
+
+  return db.prepare(`
+    SELECT id, improvement_notes, feedback_rating, usage_context
+    FROM skill_usage
+    WHERE skill_id = ? AND id > ? AND improvement_notes IS NOT NULL AND TRIM(improvement_notes) != ''
+    ORDER BY id ASC
+    LIMIT ?
+  `).all(skillId, refinement?.lastUsageId || 0, MAX_FEEDBACK_ENTRIES)
+    .map(row => ({
+      id: row.id,
+      notes: row.improvement_notes,
+      rating: row.feedback_rating,
+      usageContext: row.usage_context
+    }));
+}
+
+/**
+ * Build the refinement prompt
+ * @param {string} skillMd - Current SKILL.md
+ * @param {object} references - Current reference files
+ * @param {Array<object>} feedback - Feedback entries
+ * @returns {string} Prompt
+ */
+function buildRefinementPrompt(skillMd, references, feedback) {
+  const referenceSections = Object.entries(references)
+    .map(([filename, content]) => `<reference filename="${filename}">\n${content}\n</reference>`)
+    .join('\n\n');
+
+  const feedbackLines = feedback.map(entry => {
+    const details = [
+      entry.rating ? `rating ${entry.rating}/5` : null,
+      entry.usageContext ? `context: ${entry.usageContext}` : null
+    ].filter(Boolean);
+
+    return `- ${entry.notes}${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+  }).join('\n');
+
+  return `Revise this Claude skill package to address the feedback below.
+
+<skill_md>
+${skillMd}
+</skill_md>
+
+${referenceSections || '(no reference files)'}
+
+Feedback from people using the skill:
+${feedbackLines}
+
+Return ONLY valid JSON in this format:
+{
+  "skillMd": "<the complete revised SKILL.md, including its YAML frontmatter>",
+  "references": { "<filename>": "<complete revised content>" },
+  "summary": "<one or two sentences describing what changed>"
+}
+
+Only include reference files you changed or added; omitted files are kept as they are.`;
+}
+
+/**
+ * Parse and check the model's refinement response
+ * @param {string} responseText - Raw response
+ * @returns {object} { skillMd, references, summary }
+ */
+function parseRefinementResponse(responseText) {
+  let parsed;
+
+  try {
+    parsed = parseClaudeResponse(responseText);
+  } catch (error) {
+    throw new SkillRefinementError(`Could not parse refined skill: ${error.message}`, 'INVALID_RESPONSE');
+  }
+
+  if (!parsed || typeof parsed.skillMd !== 'string' || parsed.skillMd.trim() === '') {
+    throw new SkillRefinementError('Refined skill is missing skillMd', 'INVALID_RESPONSE');
+  }
+
+  const references = {};
+  for (const [filename, content] of Object.entries(parsed.references || {})) {
+    if (typeof content === 'string' && REFERENCE_FILENAME_PATTERN.test(filename)) {
+      references[filename] = content;
+    }
+  }
+
+  return {
+    skillMd: parsed.skillMd,
+    references,
+    summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : null
+  };
+}
+
+module.exports = {
+  refineSkill,
+  SkillRefinementError
+};
@@ -0,0 +1,146 @@
+/**
+ * Skill Usage Service
+ * Records skill uses and feedback ratings, and aggregates them
+ */
+
+const dbConnection = require('../db/database');
+
+// strftime formats that bucket usage over time
+const USAGE_INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m'
+};
+
+const RECENT_FEEDBACK_LIMIT = 10;
+
+/**
+ * Check that a skill exists in a workspace
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @returns {boolean} Whether the skill exists
+ */
+function skillExists(workspaceId, skillId) {
+  const db = dbConnection.getConnection();
+  return !!db.prepare('SELECT id FROM skills WHERE id = ? AND workspace_id = ?').get(skillId, workspaceId);
+}
+
+/**
+ * Record a use of a skill, optionally with a rating and feedback
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {object} usage - { usageContext, rating, improvementNotes }
+ * @returns {object} Recorded usage
+ */
+function recordSkillUsage(workspaceId, skillId, usage) {
+  const db = dbConnection.getConnection();
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO skill_usage (skill_id, workspace_id, usage_context, feedback_rating, improvement_notes)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    skillId,
+    workspaceId,
+    usage.usageContext || null,
+    usage.rating ?? null,
+    usage.improvementNotes || null
+  );
+
+  return formatUsage(db.prepare('SELECT * FROM skill_usage WHERE id = ?').get(lastInsertRowid));
+}
+
+/**
+ * Aggregate usage and ratings for a skill
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {object} options - { interval: 'day'|'week'|'month', since: ISO date }
+ * @returns {object} Totals, rating distribution, usage over time and recent feedback
+ */
+function getSkillUsageSummary(workspaceId, skillId, options = {}) {
+  const db = dbConnection.getConnection();
+  const interval = options.interval || 'day';
+  const since = options.since || '1970-01-01';
+
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS use_count,
+           COUNT(feedback_rating) AS rating_count,
+           AVG(feedback_rating) AS average_rating,
+           MIN(used_at) AS first_used_at,
+           MAX(used_at) AS last_used_at
+    FROM skill_usage
+    WHERE skill_id = ? AND workspace_id = ? AND used_at >= ?
+  `).get(skillId, workspaceId, since);
+
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  db.prepare(`
+    SELECT feedback_rating AS rating, COUNT(*) AS count
+    FROM skill_usage
+    WHERE skill_id = ? AND workspace_id = ? AND used_at >= ? AND feedback_rating IS NOT NULL
+    GROUP BY feedback_rating
+  `).all(skillId, workspaceId, since).forEach(row => {
+    ratingDistribution[row.rating] = row.count;
+  });
+
+  const usageOverTime = db.prepare(`
+    SELECT strftime(?, used_at) AS period,
+           COUNT(*) AS uses,
+           AVG(feedback_rating) AS average_rating
+    FROM skill_usage
+    WHERE skill_id = ? AND workspace_id = ? AND used_at >= ?
+    GROUP BY period
+    ORDER BY period
+  `).all(USAGE_INTERVALS[interval], skillId, workspaceId, since).map(row => ({
+    period: row.period,
+    uses: row.uses,
+    averageRating: roundRating(row.average_rating)
+  }));
+
+  const recentFeedback = db.prepare(`
+    SELECT * FROM skill_usage
+    WHERE skill_id = ? AND workspace_id = ?
+      AND (feedback_rating IS NOT NULL OR improvement_notes IS NOT NULL)
+    ORDER BY used_at DESC, id DESC
+    LIMIT ?
+  `).all(skillId, workspaceId, RECENT_FEEDBACK_LIMIT).map(formatUsage);
+
+  return {
+    skillId,
+    useCount: totals.use_count,
+    ratingCount: totals.rating_count,
+    averageRating: roundRating(totals.average_rating),
+    ratingDistribution,
+    firstUsedAt: totals.first_used_at,
+    lastUsedAt: totals.last_used_at,
+    interval,
+    usageOverTime,
+    recentFeedback
+  };
+}
+
+/**
+ * Round an average rating to two decimals
+ * @param {number|null} value - Average rating
+ * @returns {number|null} Rounded rating, or null when there are no ratings
+ */
+function roundRating(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+function formatUsage(row) {
+  return {
+    id: row.id,
+    skillId: row.skill_id,
+    usageContext: row.usage_context,
+    rating: row.feedback_rating,
+    improvementNotes: row.improvement_notes,
+    usedAt: row.used_at
+  };
+}
+
+module.exports = {
+  skillExists,
+  recordSkillUsage,
+  getSkillUsageSummary,
+  roundRating,
+  USAGE_INTERVALS
+};
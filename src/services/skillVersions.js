@@ -0,0 +1,396 @@
+/**
+ * Skill Version Service
+ * Versioned skill updates, version history, diffs and rollback
+ */
+
+const { createTwoFilesPatch, structuredPatch } = require('diff');
+const dbConnection = require('../db/database');
+const { parseFrontmatter, validateFrontmatter, setFrontmatter } = require('../utils/frontmatter');
+const { formatSkillName, checkSkillNameFormat } = require('../utils/skillName');
+
+// Skill version errors carry a code the API layer maps to an HTTP status
+class SkillVersionError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'SkillVersionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Update a skill, snapshotting its current state into skill_versions first.
+ * Every update produces a new version. Changes to SKILL.md or to the name,
+ * description or tags are kept in sync between the frontmatter and the row
+ * (see syncFrontmatter).
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {object} changes - Any of name, description, mainContent, references, files, tags,
+ *   changeNotes, and metadata (merged into the existing metadata)
+ * @returns {object} { id, version }
+ */
+function updateSkill(workspaceId, skillId, changes) {
+  const db = dbConnection.getConnection();
+  const current = getSkillRow(workspaceId, skillId);
+
+  if (!current) {
+    throw new SkillVersionError('Skill not found', 'NOT_FOUND');
+  }
+
+  changes = { ...changes, ...syncFrontmatter(current, changes) };
+
+  if (changes.name && changes.name !== current.name &&
+      db.prepare('SELECT id FROM skills WHERE name = ? AND workspace_id = ?').get(changes.name, workspaceId)) {
+    throw new SkillVersionError(`Skill with name "${changes.name}" already exists`, 'CONFLICT');
+  }
+
+  return db.transaction(() => {
+    // Save current version to history
+    db.prepare(`
+      INSERT INTO skill_versions (skill_id, workspace_id, version, main_content, \`references\`, files, metadata, change_notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(skillId, workspaceId, current.version, current.main_content,
+      current.references, current.files, current.metadata, current.change_notes);
+
+    const metadata = { ...JSON.parse(current.metadata), ...changes.metadata };
+    if (changes.tags !== undefined) {
+      metadata.tags = changes.tags;
+    }
+
+    db.prepare(`
+      UPDATE skills
+      SET name = ?, description = ?, main_content = ?, \`references\` = ?, files = ?, metadata = ?,
+          change_notes = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      changes.name !== undefined ? changes.name : current.name,
+      changes.description !== undefined ? changes.description : current.description,
+      changes.mainContent !== undefined ? changes.mainContent : current.main_content,
+      changes.references !== undefined ? JSON.stringify(changes.references) : current.references,
+      changes.files !== undefined ? JSON.stringify(changes.files) : current.files,
+      JSON.stringify(metadata),
+      changes.changeNotes || null,
+      skillId
+    );
+
+    return {
+      id: skillId,
+      version: current.version + 1
+    };
+  })();
+}
+
+/**
+ * Reconcile the SKILL.md frontmatter with the skill's name, description and tags.
+ * Values in edited SKILL.md flow to the row; explicit name, description and tags
+ * changes win and are written back into the frontmatter. A new name is formatted
+ * and checked like the names of generated skills, and the frontmatter version is
+ * set to the version the update creates.
+ * @param {object} current - Skills row
+ * @param {object} changes - Changes passed to updateSkill
+ * @returns {object} { name, description, tags, mainContent }, or just { mainContent } when
+ *   only files or references change
+ */
+function syncFrontmatter(current, changes) {
+  const version = current.version + 1;
+
+  if (!['mainContent', 'name', 'description', 'tags'].some(key => changes[key] !== undefined)) {
+    return syncVersionOnly(current.main_content, version);
+  }
+
+  const content = changes.mainContent !== undefined ? changes.mainContent : current.main_content;
+  let frontmatter;
+
+  try {
+    frontmatter = parseFrontmatter(content).data;
+  } catch (error) {
+    throw new SkillVersionError(error.message, 'INVALID_FRONTMATTER', error.details);
+  }
+
+  const fromHeader = changes.mainContent !== undefined ? frontmatter : {};
+  const synced = {
+    name: changes.name !== undefined ? changes.name : fromHeader.name || current.name,
+    description: changes.description !== undefined
+      ? changes.description
+      : fromHeader.description || current.description || `Claude skill for ${current.skill_type} tasks`,
+    tags: changes.tags !== undefined ? changes.tags : fromHeader.tags || JSON.parse(current.metadata).tags
+  };
+
+  if (synced.name !== current.name) {
+    const problem = checkSkillNameFormat(String(synced.name));
+    if (problem) {
+      throw new SkillVersionError(problem, 'INVALID_FRONTMATTER', [
+        { field: changes.name !== undefined ? 'name' : 'mainContent', message: problem }
+      ]);
+    }
+    synced.name = formatSkillName(String(synced.name));
+  }
+
+  const issues = validateFrontmatter({ ...frontmatter, ...synced });
+  if (issues.length > 0) {
+    throw new SkillVersionError('SKILL.md frontmatter is invalid', 'INVALID_FRONTMATTER', issues);
+  }
+
+  return {
+    ...synced,
+    mainContent: setFrontmatter(content, { ...synced, version })
+  };
+}
+
+/**
+ * Set the frontmatter version of an unchanged SKILL.md. Documents without a
+ * readable header are left alone.
+ * @param {string} content - SKILL.md content
+ * @param {number} version - New version
+ * @returns {object} { mainContent }, or {} when the header was left alone
+ */
+function syncVersionOnly(content, version) {
+  try {
+    return parseFrontmatter(content).hasFrontmatter
+      ? { mainContent: setFrontmatter(content, { version }) }
+      : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * List all versions of a skill, including the current one
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @returns {Array<object>|null} Version summaries, newest first, or null if the skill does not exist
+ */
+function listSkillVersions(workspaceId, skillId) {
+  const skill = getSkillRow(workspaceId, skillId);
+
+  if (!skill) {
+    return null;
+  }
+
+  return loadVersionRows(skill)
+    .map(row => ({
+      version: row.version,
+      changeNotes: row.change_notes,
+      createdAt: row.created_at,
+      isCurrent: row.version === skill.version
+    }))
+    .reverse();
+}
+
+/**
+ * Get the full content of one version of a skill
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {number} version - Version number
+ * @returns {object|null} Version, or null if the skill or version does not exist
+ */
+function getSkillVersion(workspaceId, skillId, version) {
+  const skill = getSkillRow(workspaceId, skillId);
+
+  if (!skill) {
+    return null;
+  }
+
+  const row = loadVersionRows(skill).find(r => r.version === version);
+
+  return row ? {
+    skillId,
+    version: row.version,
+    mainContent: row.main_content,
+    references: JSON.parse(row.references),
+    files: JSON.parse(row.files),
+    metadata: JSON.parse(row.metadata),
+    changeNotes: row.change_notes,
+    createdAt: row.created_at,
+    isCurrent: row.version === skill.version
+  } : null;
+}
+
+/**
+ * Unified diff of SKILL.md, reference files and text scripts/assets between two versions.
+ * Binary files are listed without a patch.
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {number} fromVersion - Base version
+ * @param {number} toVersion - Target version
+ * @returns {object} { from, to, files: [{ path, status, additions, deletions, patch }], patch }
+ */
+function diffSkillVersions(workspaceId, skillId, fromVersion, toVersion) {
+  const from = getSkillVersion(workspaceId, skillId, fromVersion);
+  const to = getSkillVersion(workspaceId, skillId, toVersion);
+
+  if (!from || !to) {
+    throw new SkillVersionError(
+      `Version ${!from ? fromVersion : toVersion} not found for this skill`,
+      'NOT_FOUND'
+    );
+  }
+
+  const fromFiles = collectFiles(from);
+  const toFiles = collectFiles(to);
+  const paths = [...new Set([...Object.keys(fromFiles), ...Object.keys(toFiles)])];
+
+  const files = paths
+    .filter(path => JSON.stringify(fromFiles[path]) !== JSON.stringify(toFiles[path]))
+    .map(path => diffFile(path, fromFiles[path], toFiles[path], fromVersion, toVersion));
+
+  return {
+    from: fromVersion,
+    to: toVersion,
+    files,
+    patch: files.map(file => file.patch).join('')
+  };
+}
+
+/**
+ * Restore an earlier version's SKILL.md, references and files as a new version
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @param {number} version - Version to restore
+ * @param {string} [changeNotes] - Notes for the new version
+ * @returns {object} { id, version, restoredFrom }
+ */
+function rollbackSkill(workspaceId, skillId, version, changeNotes) {
+  const target = getSkillVersion(workspaceId, skillId, version);
+
+  if (!target) {
+    throw new SkillVersionError(`Version ${version} not found for this skill`, 'NOT_FOUND');
+  }
+
+  if (target.isCurrent) {
+    throw new SkillVersionError(`Version ${version} is already the current version`, 'CONFLICT');
+  }
+
+  const result = updateSkill(workspaceId, skillId, {
+    mainContent: target.mainContent,
+    references: target.references,
+    files: target.files,
+    tags: target.metadata.tags,
+    changeNotes: changeNotes || `Rolled back to version ${version}`
+  });
+
+  return {
+    ...result,
+    restoredFrom: version
+  };
+}
+
+/**
+ * Get a skill row within a workspace
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} skillId - Skill ID
+ * @returns {object|undefined} Skills row
+ */
+function getSkillRow(workspaceId, skillId) {
+  const db = dbConnection.getConnection();
+  return db.prepare('SELECT * FROM skills WHERE id = ? AND workspace_id = ?').get(skillId, workspaceId);
+}
+
+/**
+ * Load every version of a skill, oldest first. A version's creation time is
+ * when its predecessor was snapshotted (or the skill was created, for the first).
+ * @param {object} skill - Skills row
+ * @returns {Array<object>} Version rows
+ */
+function loadVersionRows(skill) {
+  const db = dbConnection.getConnection();
+  const history = db.prepare(`
+    SELECT version, main_content, \`references\`, files, metadata, change_notes, created_at AS superseded_at
+    FROM skill_versions
+    WHERE skill_id = ?
+    ORDER BY version
+  `).all(skill.id);
+
+  const rows = [
+    ...history,
+    {
+      version: skill.version,
+      main_content: skill.main_content,
+      references: skill.references,
+      files: skill.files,
+      metadata: skill.metadata,
+      change_notes: skill.change_notes
+    }
+  ];
+
+  return rows.map((row, index) => ({
+    ...row,
+    created_at: index === 0 ? skill.created_at : rows[index - 1].superseded_at
+  }));
+}
+
+/**
+ * Flatten a version into { path: content } as laid out in the skill package
+ * @param {object} version - Skill version
+ * @returns {object} File contents by path
+ */
+function collectFiles(version) {
+  const files = { 'SKILL.md': version.mainContent };
+
+  for (const [filename, content] of Object.entries(version.references || {})) {
+    files[`references/${filename}`] = content;
+  }
+
+  // Binary files are compared by content but never diffed line by line
+  for (const [filePath, file] of Object.entries(version.files || {})) {
+    files[filePath] = file.encoding === 'base64' ? { binary: file.content } : file.content;
+  }
+
+  return files;
+}
+
+/**
+ * Diff one file between two versions
+ * @param {string} path - File path in the skill package
+ * @param {string|object|undefined} before - Content in the base version ({ binary } for binary files)
+ * @param {string|object|undefined} after - Content in the target version ({ binary } for binary files)
+ * @param {number} fromVersion - Base version
+ * @param {number} toVersion - Target version
+ * @returns {object} { path, status, additions, deletions, patch }
+ */
+function diffFile(path, before, after, fromVersion, toVersion) {
+  const oldName = before === undefined ? '/dev/null' : `a/${path}`;
+  const newName = after === undefined ? '/dev/null' : `b/${path}`;
+  const headers = [`version ${fromVersion}`, `version ${toVersion}`];
+  const status = before === undefined ? 'added' : after === undefined ? 'removed' : 'modified';
+
+  if (typeof before === 'object' || typeof after === 'object') {
+    return {
+      path,
+      status,
+      binary: true,
+      additions: 0,
+      deletions: 0,
+      patch: `Binary files ${oldName} and ${newName} differ\n`
+    };
+  }
+
+  const { hunks } = structuredPatch(oldName, newName, before || '', after || '', ...headers);
+  let additions = 0;
+  let deletions = 0;
+
+  for (const hunk of hunks) {
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) additions++;
+      if (line.startsWith('-')) deletions++;
+    }
+  }
+
+  return {
+    path,
+    status,
+    additions,
+    deletions,
+    patch: createTwoFilesPatch(oldName, newName, before || '', after || '', ...headers)
+  };
+}
+
+module.exports = {
+  updateSkill,
+  listSkillVersions,
+  getSkillVersion,
+  diffSkillVersions,
+  rollbackSkill,
+  getSkillRow,
+  SkillVersionError
+};
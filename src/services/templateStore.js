@@ -0,0 +1,284 @@
+/**
+ * Template Store
+ * Versioned custom Handlebars templates for SKILL.md and reference files
+ */
+
+const Handlebars = require('handlebars');
+const dbConnection = require('../db/database');
+const frameworkRegistry = require('./frameworkRegistry');
+
+const REFERENCE_FILENAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Template store errors carry a code the API layer maps to an HTTP status
+class TemplateStoreError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TemplateStoreError';
+    this.code = code;
+  }
+}
+
+/**
+ * List a workspace's templates, optionally only those usable for a content type
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} filters - { contentType }
+ * @returns {Array<object>} Template summaries
+ */
+function listTemplates(workspaceId, filters = {}) {
+  const db = dbConnection.getConnection();
+  let query = 'SELECT * FROM skill_templates WHERE workspace_id = ?';
+  const params = [workspaceId];
+
+  if (filters.contentType) {
+    query += ' AND (content_type IS NULL OR content_type = ?)';
+    params.push(filters.contentType);
+  }
+
+  query += ' ORDER BY name';
+
+  return db.prepare(query).all(params).map(formatTemplateSummary);
+}
+
+/**
+ * Get a template at a specific version (defaults to its current version)
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} templateId - Template ID
+ * @param {number} [version] - Template version
+ * @returns {object|null} Template with skillMd and references, or null if not found
+ */
+function getTemplate(workspaceId, templateId, version = null) {
+  const db = dbConnection.getConnection();
+  const template = db.prepare('SELECT * FROM skill_templates WHERE id = ? AND workspace_id = ?')
+    .get(templateId, workspaceId);
+
+  if (!template) {
+    return null;
+  }
+
+  const revision = db.prepare(`
+    SELECT version, skill_md, reference_files, include_built_in_references, change_notes, created_at
+    FROM skill_template_versions
+    WHERE template_id = ? AND version = ?
+  `).get(templateId, version || template.current_version);
+
+  if (!revision) {
+    return null;
+  }
+
+  return {
+    ...formatTemplateSummary(template),
+    version: revision.version,
+    skillMd: revision.skill_md,
+    references: JSON.parse(revision.reference_files),
+    includeBuiltInReferences: revision.include_built_in_references === 1,
+    changeNotes: revision.change_notes,
+    versionCreatedAt: revision.created_at
+  };
+}
+
+/**
+ * List all versions of a template
+ * @param {number} templateId - Template ID
+ * @returns {Array<object>} Version summaries, newest first
+ */
+function listTemplateVersions(templateId) {
+  const db = dbConnection.getConnection();
+  return db.prepare(`
+    SELECT version, change_notes, created_at
+    FROM skill_template_versions
+    WHERE template_id = ?
+    ORDER BY version DESC
+  `).all(templateId).map(row => ({
+    version: row.version,
+    changeNotes: row.change_notes,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Create a template (version 1)
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} data - { name, description, contentType, skillMd, references, includeBuiltInReferences }
+ * @returns {object} Created template
+ */
+function createTemplate(workspaceId, data) {
+  validateTemplateContent(data);
+
+  const db = dbConnection.getConnection();
+
+  if (db.prepare('SELECT id FROM skill_templates WHERE name = ? AND workspace_id = ?').get(data.name, workspaceId)) {
+    throw new TemplateStoreError(`Template "${data.name}" already exists`, 'CONFLICT');
+  }
+
+  const templateId = db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO skill_templates (workspace_id, name, description, content_type)
+      VALUES (?, ?, ?, ?)
+    `).run(workspaceId, data.name, data.description || null, data.contentType || null);
+
+    insertTemplateVersion(lastInsertRowid, 1, data);
+    return lastInsertRowid;
+  })();
+
+  return getTemplate(workspaceId, templateId);
+}
+
+/**
+ * Update a template. Content changes are saved as a new version.
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} templateId - Template ID
+ * @param {object} changes - Any of name, description, contentType, skillMd, references,
+ *   includeBuiltInReferences, changeNotes
+ * @returns {object} Updated template at its new current version
+ */
+function updateTemplate(workspaceId, templateId, changes) {
+  const existing = getTemplate(workspaceId, templateId);
+
+  if (!existing) {
+    throw new TemplateStoreError('Template not found', 'NOT_FOUND');
+  }
+
+  const content = {
+    skillMd: changes.skillMd ?? existing.skillMd,
+    references: changes.references ?? existing.references,
+    includeBuiltInReferences: changes.includeBuiltInReferences ?? existing.includeBuiltInReferences,
+    contentType: changes.contentType !== undefined ? changes.contentType : existing.contentType,
+    changeNotes: changes.changeNotes
+  };
+
+  validateTemplateContent(content);
+
+  const contentChanged = content.skillMd !== existing.skillMd ||
+    JSON.stringify(content.references) !== JSON.stringify(existing.references) ||
+    content.includeBuiltInReferences !== existing.includeBuiltInReferences;
+
+  const db = dbConnection.getConnection();
+
+  if (changes.name && changes.name !== existing.name &&
+      db.prepare('SELECT id FROM skill_templates WHERE name = ? AND workspace_id = ?').get(changes.name, workspaceId)) {
+    throw new TemplateStoreError(`Template "${changes.name}" already exists`, 'CONFLICT');
+  }
+
+  db.transaction(() => {
+    const nextVersion = contentChanged ? existing.currentVersion + 1 : existing.currentVersion;
+
+    if (contentChanged) {
+      insertTemplateVersion(templateId, nextVersion, content);
+    }
+
+    db.prepare(`
+      UPDATE skill_templates
+      SET name = ?, description = ?, content_type = ?, current_version = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      changes.name ?? existing.name,
+      changes.description !== undefined ? changes.description : existing.description,
+      content.contentType || null,
+      nextVersion,
+      templateId
+    );
+  })();
+
+  return getTemplate(workspaceId, templateId);
+}
+
+/**
+ * Delete a template and all its versions
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} templateId - Template ID
+ * @returns {boolean} Whether a template was deleted
+ */
+function deleteTemplate(workspaceId, templateId) {
+  const db = dbConnection.getConnection();
+  const { changes } = db.prepare('DELETE FROM skill_templates WHERE id = ? AND workspace_id = ?')
+    .run(templateId, workspaceId);
+  return changes > 0;
+}
+
+/**
+ * Insert a template version row
+ * @param {number} templateId - Template ID
+ * @param {number} version - Version number
+ * @param {object} content - { skillMd, references, includeBuiltInReferences, changeNotes }
+ */
+function insertTemplateVersion(templateId, version, content) {
+  const db = dbConnection.getConnection();
+  db.prepare(`
+    INSERT INTO skill_template_versions
+      (template_id, version, skill_md, reference_files, include_built_in_references, change_notes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    templateId,
+    version,
+    content.skillMd,
+    JSON.stringify(content.references || {}),
+    content.includeBuiltInReferences === false ? 0 : 1,
+    content.changeNotes || null
+  );
+}
+
+/**
+ * Check that templates compile and reference filenames are safe
+ * @param {object} content - { skillMd, references, contentType }
+ * @throws {TemplateStoreError} With the problems in .details
+ */
+function validateTemplateContent(content) {
+  const details = [];
+
+  if (content.contentType && !frameworkRegistry.isKnownContentType(content.contentType)) {
+    details.push({ field: 'contentType', message: `Unknown content type: ${content.contentType}` });
+  }
+
+  const sources = { skillMd: content.skillMd };
+  for (const [filename, source] of Object.entries(content.references || {})) {
+    if (!REFERENCE_FILENAME_PATTERN.test(filename)) {
+      details.push({
+        field: `references.${filename}`,
+        message: 'Reference filenames may only contain letters, numbers, dots, hyphens and underscores'
+      });
+    }
+    sources[`references.${filename}`] = source;
+  }
+
+  for (const [field, source] of Object.entries(sources)) {
+    try {
+      Handlebars.precompile(source);
+    } catch (error) {
+      details.push({ field, message: `Template does not compile: ${error.message.split('\n')[0]}` });
+    }
+  }
+
+  if (details.length > 0) {
+    const error = new TemplateStoreError('Invalid template', 'INVALID_TEMPLATE');
+    error.details = details;
+    throw error;
+  }
+}
+
+/**
+ * Convert a skill_templates row into its API representation
+ * @param {object} row - Database row
+ * @returns {object} Template summary
+ */
+function formatTemplateSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    contentType: row.content_type,
+    currentVersion: row.current_version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  listTemplateVersions,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  TemplateStoreError
+};
@@ -0,0 +1,224 @@
+/**
+ * Workspace Service
+ * Workspaces, their users and API keys
+ */
+
+const crypto = require('crypto');
+const dbConnection = require('../db/database');
+
+// Workspace that owns pre-existing data and unauthenticated requests when auth is optional
+const DEFAULT_WORKSPACE_ID = 1;
+
+const API_KEY_PREFIX = 'sfk_';
+
+// Workspace errors carry a code the API layer maps to an HTTP status
+class WorkspaceError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Create a workspace with an owner user and a first API key
+ * @param {object} data - { name, slug, ownerEmail, ownerName }
+ * @returns {object} { workspace, user, apiKey } - apiKey.key is only ever returned here
+ */
+function createWorkspace({ name, slug, ownerEmail, ownerName }) {
+  const db = dbConnection.getConnection();
+
+  if (db.prepare('SELECT id FROM workspaces WHERE slug = ?').get(slug)) {
+    throw new WorkspaceError(`Workspace "${slug}" already exists`, 'CONFLICT');
+  }
+
+  return db.transaction(() => {
+    const { lastInsertRowid: workspaceId } = db.prepare(`
+      INSERT INTO workspaces (name, slug) VALUES (?, ?)
+    `).run(name, slug);
+
+    const user = createUser(workspaceId, { email: ownerEmail, name: ownerName, role: 'owner' });
+    const apiKey = createApiKey(workspaceId, { name: 'Default key', userId: user.id });
+
+    return {
+      workspace: getWorkspace(workspaceId),
+      user,
+      apiKey
+    };
+  })();
+}
+
+/**
+ * Get workspace by ID
+ * @param {number} workspaceId - Workspace ID
+ * @returns {object|null} Workspace
+ */
+function getWorkspace(workspaceId) {
+  const db = dbConnection.getConnection();
+  const row = db.prepare('SELECT id, name, slug, created_at FROM workspaces WHERE id = ?').get(workspaceId);
+
+  return row ? {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    createdAt: row.created_at
+  } : null;
+}
+
+/**
+ * Add a user to a workspace
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} data - { email, name, role }
+ * @returns {object} User
+ */
+function createUser(workspaceId, { email, name, role = 'member' }) {
+  const db = dbConnection.getConnection();
+
+  if (db.prepare('SELECT id FROM users WHERE workspace_id = ? AND email = ?').get(workspaceId, email)) {
+    throw new WorkspaceError(`User ${email} already exists in this workspace`, 'CONFLICT');
+  }
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO users (workspace_id, email, name, role) VALUES (?, ?, ?, ?)
+  `).run(workspaceId, email, name || null, role);
+
+  return formatUser(db.prepare('SELECT * FROM users WHERE id = ?').get(lastInsertRowid));
+}
+
+/**
+ * List users of a workspace
+ * @param {number} workspaceId - Workspace ID
+ * @returns {Array<object>} Users
+ */
+function listUsers(workspaceId) {
+  const db = dbConnection.getConnection();
+  return db.prepare('SELECT * FROM users WHERE workspace_id = ? ORDER BY created_at')
+    .all(workspaceId)
+    .map(formatUser);
+}
+
+/**
+ * Issue a new API key
+ * @param {number} workspaceId - Workspace ID
+ * @param {object} data - { name, userId }
+ * @returns {object} API key record including the plaintext key (shown once)
+ */
+function createApiKey(workspaceId, { name, userId = null }) {
+  const db = dbConnection.getConnection();
+
+  if (userId && !db.prepare('SELECT id FROM users WHERE id = ? AND workspace_id = ?').get(userId, workspaceId)) {
+    throw new WorkspaceError('User not found in this workspace', 'NOT_FOUND');
+  }
+
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO api_keys (workspace_id, user_id, name, key_prefix, key_hash)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(workspaceId, userId, name, key.slice(0, API_KEY_PREFIX.length + 6), hashApiKey(key));
+
+  return {
+    ...formatApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(lastInsertRowid)),
+    key
+  };
+}
+
+/**
+ * List API keys of a workspace (never includes the key itself)
+ * @param {number} workspaceId - Workspace ID
+ * @returns {Array<object>} API keys
+ */
+function listApiKeys(workspaceId) {
+  const db = dbConnection.getConnection();
+  return db.prepare('SELECT * FROM api_keys WHERE workspace_id = ? ORDER BY created_at')
+    .all(workspaceId)
+    .map(formatApiKey);
+}
+
+/**
+ * Revoke an API key
+ * @param {number} workspaceId - Workspace ID
+ * @param {number} apiKeyId - API key ID
+ * @returns {boolean} Whether an active key was revoked
+ */
+function revokeApiKey(workspaceId, apiKeyId) {
+  const db = dbConnection.getConnection();
+  const { changes } = db.prepare(`
+    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND workspace_id = ? AND revoked_at IS NULL
+  `).run(apiKeyId, workspaceId);
+  return changes > 0;
+}
+
+/**
+ * Resolve a plaintext API key to its workspace and user
+ * @param {string} apiKey - Plaintext API key
+ * @returns {object|null} { workspaceId, userId, apiKeyId, role }, or null if invalid or revoked
+ */
+function resolveApiKey(apiKey) {
+  const db = dbConnection.getConnection();
+  const row = db.prepare(`
+    SELECT api_keys.id, api_keys.workspace_id, api_keys.user_id, users.role
+    FROM api_keys
+    LEFT JOIN users ON users.id = api_keys.user_id
+    WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL
+  `).get(hashApiKey(apiKey));
+
+  if (!row) {
+    return null;
+  }
+
+  db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+
+  return {
+    workspaceId: row.workspace_id,
+    userId: row.user_id,
+    apiKeyId: row.id,
+    // Keys not tied to a user act as workspace members
+    role: row.role || 'member'
+  };
+}
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    createdAt: row.created_at
+  };
+}
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    userId: row.user_id,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+module.exports = {
+  createWorkspace,
+  getWorkspace,
+  createUser,
+  listUsers,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveApiKey,
+  WorkspaceError,
+  DEFAULT_WORKSPACE_ID
+};
@@ -1,10 +1,6 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const crypto = require('crypto');
-
-// Initialize Claude client
-const client = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-});
+const { getProvider } = require('./llmProviders');
+const { getModelChain } = require('./modelConfig');
 
 // Custom error classes
 class ClaudeAPIError extends Error {
@@ -135,39 +131,113 @@ function validateAnalysisResponse(parsed) {
   return parsed;
 }
 
-// List of model fallbacks (try in order)
-const MODEL_FALLBACKS = [
-  "claude-3-5-sonnet",           // Latest (recommended)
-  "claude-sonnet-4-20250514",   // Newer format
-  "claude-3-5-sonnet-20241022", // Older but stable
-  "claude-3-opus-20240229",     // Alternative
-  "claude-3-sonnet-20240229",   // Older Sonnet
-];
+/**
+ * Send a single message request through the active LLM provider, streaming text deltas when requested
+ * @param {string} model - Model ID
+ * @param {string} prompt - User prompt
+ * @param {object} options - See callClaudeAPI
+ * @returns {Promise<object>} Final message
+ */
+async function createMessage(model, prompt, options) {
+  const params = {
+    model: model,
+    max_tokens: options.maxTokens || 4096,
+    temperature: options.temperature ?? 0.3,
+    system: options.system,
+    messages: [{ role: "user", content: prompt }]
+  };
+
+  if (options.tools) {
+    params.tools = options.tools;
+    params.tool_choice = options.toolChoice || { type: 'auto' };
+  }
+
+  const onText = options.stream
+    ? text => emitEvent(options, { type: 'text', text })
+    : undefined;
+
+  return getProvider().createMessage(params, onText);
+}
 
-// Core API call function with error handling and model fallback
+/**
+ * Get the result of a message: the input of the tool the model called when tools
+ * were offered, otherwise the text
+ * @param {object} response - Message
+ * @param {object} options - See callClaudeAPI
+ * @returns {string|object} Response text, or the tool_use input
+ */
+function getResponseContent(response, options) {
+  if (options.tools) {
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+
+    // A tool call cut off at max_tokens has incomplete input; use the text instead
+    if (toolUse && response.stop_reason !== 'max_tokens') {
+      return toolUse.input;
+    }
+  }
+
+  return response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Forward a progress event to the caller's onEvent hook, if any
+ * @param {object} options - Call options
+ * @param {object} event - Event payload ({ type, ... })
+ */
+function emitEvent(options, event) {
+  if (typeof options.onEvent === 'function') {
+    try {
+      options.onEvent(event);
+    } catch (error) {
+      console.warn('onEvent handler failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Core API call function with error handling and model fallback
+ * @param {string} prompt - User prompt
+ * @param {object} options - Call options
+ * @param {string} [options.operation] - analysis, generation, refinement or classification; selects the configured model chain
+ * @param {Array<string>} [options.models] - Model chain to use instead of the configured one
+ * @param {number} [options.maxTokens] - Maximum output tokens
+ * @param {number} [options.temperature] - Sampling temperature (default 0.3)
+ * @param {string} [options.system] - System prompt
+ * @param {boolean} [options.stream] - Stream the response, emitting 'text' events as tokens arrive
+ * @param {Array<object>} [options.tools] - Tool definitions ({ name, description, input_schema })
+ * @param {object} [options.toolChoice] - Tool choice, e.g. { type: 'tool', name } to force a tool call
+ * @param {function} [options.onEvent] - Receives { type: 'model_attempt' | 'model_fallback' | 'retry' | 'text', ... }
+ * @returns {Promise<object>} { content, model, usage } where content is the response text, or the tool_use
+ *   input when tools are given and the model called one, model is the model that answered and
+ *   usage holds the { inputTokens, outputTokens } reported by the API
+ */
 async function callClaudeAPI(prompt, options = {}) {
-  const modelsToTry = options.model 
-    ? [options.model, ...MODEL_FALLBACKS.filter(m => m !== options.model)]
-    : MODEL_FALLBACKS;
+  const modelsToTry = getModelChain(options.operation, options.models);
   
   let lastError;
   
   for (const model of modelsToTry) {
     try {
-      const response = await client.messages.create({
-        model: model,
-        max_tokens: options.maxTokens || 4096,
-        temperature: options.temperature || 0.3,
-        system: options.system,
-        messages: [{ role: "user", content: prompt }]
-      });
+      emitEvent(options, { type: 'model_attempt', model });
+
+      const response = await createMessage(model, prompt, options);
 
       // Log successful model usage
       if (model !== modelsToTry[0]) {
         console.log(`✅ Using fallback model: ${model} (original: ${modelsToTry[0]} failed)`);
       }
       
-      return response.content[0].text;
+      return {
+        content: getResponseContent(response, options),
+        model,
+        usage: {
+          inputTokens: response.usage?.input_tokens || 0,
+          outputTokens: response.usage?.output_tokens || 0
+        }
+      };
 
     } catch (error) {
       lastError = error;
@@ -175,6 +245,7 @@ async function callClaudeAPI(prompt, options = {}) {
       // If it's a model not found error, try next model
       if (error.status === 404 && error.message?.includes('model')) {
         console.warn(`⚠️ Model ${model} not found, trying next fallback...`);
+        emitEvent(options, { type: 'model_fallback', failedModel: model, error: error.message });
         continue; // Try next model
       }
       
@@ -270,6 +341,7 @@ async function callClaudeWithRetry(prompt, options = {}, maxRetries = 3) {
       );
 
       console.log(`Retry attempt ${attempt}/${maxRetries} after ${backoffMs}ms`);
+      emitEvent(options, { type: 'retry', attempt, maxRetries, backoffMs, error: error.message });
       await sleep(backoffMs);
     }
   }
@@ -284,12 +356,12 @@ async function callClaudeWithRateLimit(prompt, options) {
 }
 
 // Logging utilities
-function logAPICall(prompt, response, duration) {
+function logAPICall(prompt, response, duration, model) {
   console.log({
     timestamp: new Date().toISOString(),
-    model: 'claude-3-5-sonnet',
+    model,
     promptTokens: estimateTokens(prompt),
-    responseTokens: estimateTokens(response),
+    responseTokens: estimateTokens(typeof response === 'string' ? response : JSON.stringify(response)),
     duration,
     success: true
   });
@@ -312,14 +384,13 @@ function shouldAnalyzeContent(content) {
 
   // Warn if content is very large
   if (tokens > 100000) {
-    console.warn(`Large content: ~${tokens} tokens. Consider chunking.`);
+    console.warn(`Large content: ~${tokens} tokens. Consider chunked analysis.`);
   }
 
   return tokens <= 150000; // Stay under 200K limit with room for response
 }
 
 module.exports = {
-  client,
   callClaudeAPI,
   callClaudeWithRetry,
   callClaudeWithRateLimit,
@@ -0,0 +1,173 @@
+/**
+ * SKILL.md frontmatter parsing, validation and serialization
+ * The header between the leading "---" lines is parsed as YAML. Updates go
+ * through the YAML document so comments and key order are preserved.
+ */
+
+const YAML = require('yaml');
+const { z } = require('zod');
+
+const FRONTMATTER_PATTERN = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+// Keys every SKILL.md header must have
+const REQUIRED_FRONTMATTER_KEYS = ['name', 'description'];
+
+// Known keys are type-checked; any other keys are allowed as-is
+const FrontmatterSchema = z.looseObject({
+  name: z.string().trim().min(3, 'Must be at least 3 characters').max(50, 'Must be less than 50 characters'),
+  description: z.string().trim().min(1, 'Must not be empty'),
+  tags: z.array(z.string()).optional(),
+  version: z.number().int().positive().optional(),
+  type: z.string().optional()
+});
+
+// Frontmatter errors carry a code the API layer maps to an HTTP status
+class FrontmatterError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'FrontmatterError';
+    this.code = 'INVALID_FRONTMATTER';
+    this.details = details;
+  }
+}
+
+/**
+ * Split a SKILL.md document into frontmatter data and body
+ * @param {string} content - SKILL.md content
+ * @returns {object} { data, body, hasFrontmatter }
+ * @throws {FrontmatterError} When the header is not a valid YAML mapping
+ */
+function parseFrontmatter(content) {
+  const match = (content || '').match(FRONTMATTER_PATTERN);
+
+  if (!match) {
+    return { data: {}, body: content || '', hasFrontmatter: false };
+  }
+
+  return {
+    data: documentToData(parseDocument(match[1] || '')),
+    body: content.slice(match[0].length),
+    hasFrontmatter: true
+  };
+}
+
+/**
+ * Check frontmatter data against the SKILL.md header schema
+ * @param {object} data - Parsed frontmatter
+ * @returns {Array<object>} Issues as { field, message }; empty when valid
+ */
+function validateFrontmatter(data) {
+  const result = FrontmatterSchema.safeParse(data || {});
+
+  if (result.success) {
+    return [];
+  }
+
+  return result.error.issues.map(issue => ({
+    field: issue.path.join('.'),
+    message: issue.path.length === 1 && (data || {})[issue.path[0]] === undefined
+      ? `Missing required frontmatter key "${issue.path[0]}"`
+      : `${issue.path.join('.')}: ${issue.message}`
+  }));
+}
+
+/**
+ * Serialize frontmatter data as a SKILL.md header block
+ * @param {object} data - Frontmatter data
+ * @returns {string} "---\n<yaml>---\n"
+ */
+function serializeFrontmatter(data) {
+  return `---\n${YAML.stringify(data, { lineWidth: 0 })}---\n`;
+}
+
+/**
+ * Set keys in a SKILL.md header, keeping the body, other keys and comments.
+ * A header is added when the document has none. Undefined values are skipped.
+ * @param {string} content - SKILL.md content
+ * @param {object} values - Keys to set
+ * @returns {string} Updated SKILL.md content
+ */
+function setFrontmatter(content, values) {
+  const entries = Object.entries(values).filter(([, value]) => value !== undefined);
+  const match = (content || '').match(FRONTMATTER_PATTERN);
+
+  if (!match) {
+    return `${serializeFrontmatter(Object.fromEntries(entries))}\n${content || ''}`;
+  }
+
+  const doc = parseDocument(match[1] || '');
+  const data = documentToData(doc);
+  let changed = false;
+
+  for (const [key, value] of entries) {
+    if (JSON.stringify(data[key]) === JSON.stringify(value)) {
+      continue;
+    }
+
+    const existing = doc.get(key, true);
+    changed = true;
+
+    // Update scalars in place to keep their comments
+    if (YAML.isScalar(existing) && (value === null || typeof value !== 'object')) {
+      existing.value = value;
+      continue;
+    }
+
+    // Keep the existing list style ([a, b] or "- a" lines)
+    const node = doc.createNode(value);
+    if (YAML.isCollection(existing) && YAML.isCollection(node)) {
+      node.flow = existing.flow;
+    }
+
+    doc.set(key, node);
+  }
+
+  if (!changed) {
+    return content;
+  }
+
+  return `---\n${doc.toString({ lineWidth: 0, flowCollectionPadding: false })}---\n${content.slice(match[0].length)}`;
+}
+
+/**
+ * Parse a header as a YAML document
+ * @param {string} source - Text between the "---" lines
+ * @returns {object} YAML document
+ */
+function parseDocument(source) {
+  const doc = YAML.parseDocument(source);
+
+  if (doc.errors.length > 0) {
+    // First line of each message, without the source excerpt that follows it
+    const messages = doc.errors.map(error => error.message.split('\n')[0].replace(/:$/, ''));
+
+    throw new FrontmatterError(
+      `SKILL.md frontmatter is not valid YAML: ${messages[0]}`,
+      messages.map(message => ({ field: 'frontmatter', message }))
+    );
+  }
+
+  if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+    throw new FrontmatterError('SKILL.md frontmatter must be a YAML mapping of keys to values');
+  }
+
+  return doc;
+}
+
+/**
+ * Convert a parsed header document to plain data
+ * @param {object} doc - YAML document
+ * @returns {object} Frontmatter data ({} for an empty header)
+ */
+function documentToData(doc) {
+  return doc.toJS() || {};
+}
+
+module.exports = {
+  parseFrontmatter,
+  validateFrontmatter,
+  serializeFrontmatter,
+  setFrontmatter,
+  REQUIRED_FRONTMATTER_KEYS,
+  FrontmatterError
+};
@@ -0,0 +1,143 @@
+/**
+ * JSON Pointer (RFC 6901) paths and JSON Patch style edits
+ * Supports the add, replace and remove operations on plain JSON values.
+ */
+
+// Edit errors carry a code the API layer maps to an HTTP status
+class JsonPointerError extends Error {
+  constructor(message, pointer) {
+    super(message);
+    this.name = 'JsonPointerError';
+    this.code = 'INVALID_EDIT';
+    this.pointer = pointer;
+  }
+}
+
+const EDIT_OPERATIONS = ['add', 'replace', 'remove'];
+
+// Keys that would reach an object's prototype instead of its own values
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Split a pointer into reference tokens
+ * @param {string} pointer - e.g. "/steps/0/name"; "~1" stands for "/" and "~0" for "~"
+ * @returns {Array<string>} Tokens
+ * @throws {JsonPointerError} When the pointer does not start with "/"
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new JsonPointerError('Path must be a JSON pointer starting with "/"', pointer);
+  }
+
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Build a pointer from a path
+ * @param {Array<string|number>} path - Keys and list indexes
+ * @returns {string} Pointer
+ */
+function formatPointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Apply an edit to a document in place
+ * @param {object} document - Object to edit
+ * @param {object} edit - { op: 'add'|'replace'|'remove', path, value }; "-" as the last
+ *   token of an add path appends to a list
+ * @returns {object} { path, previous, value } where path holds the resolved keys and list
+ *   indexes, previous the value before the edit and value the value after it (undefined when absent)
+ * @throws {JsonPointerError} When the path cannot be resolved for the operation
+ */
+function applyEdit(document, edit) {
+  const tokens = parsePointer(edit.path);
+  const fail = message => new JsonPointerError(`${edit.path}: ${message}`, edit.path);
+  const key = tokens[tokens.length - 1];
+  let parent = document;
+
+  const forbidden = tokens.find(token => FORBIDDEN_KEYS.includes(token));
+  if (forbidden) {
+    throw fail(`"${forbidden}" is not an allowed key`);
+  }
+
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(parent) && parseIndex(token, parent.length - 1) === null) {
+      throw fail(`No list item at index "${token}"`);
+    }
+    const next = Object.prototype.hasOwnProperty.call(parent, token) ? parent[token] : undefined;
+    if (next === null || next === undefined) {
+      throw fail(`No value at "${token}"`);
+    }
+    if (typeof next !== 'object') {
+      throw fail(`"${token}" does not contain other values`);
+    }
+    parent = next;
+  }
+
+  if (Array.isArray(parent)) {
+    const path = tokens.slice(0, -1);
+
+    if (edit.op === 'add') {
+      const index = key === '-' ? parent.length : parseIndex(key, parent.length);
+      if (index === null) {
+        throw fail(`List index must be between 0 and ${parent.length}, or "-" to append`);
+      }
+      parent.splice(index, 0, edit.value);
+      return { path: [...path, index], previous: undefined, value: edit.value };
+    }
+
+    const index = parseIndex(key, parent.length - 1);
+    if (index === null) {
+      throw fail(parent.length > 0
+        ? `List index must be between 0 and ${parent.length - 1}`
+        : 'List is empty');
+    }
+
+    const previous = parent[index];
+    if (edit.op === 'remove') {
+      parent.splice(index, 1);
+      return { path: [...path, index], previous, value: undefined };
+    }
+
+    parent[index] = edit.value;
+    return { path: [...path, index], previous, value: edit.value };
+  }
+
+  const previous = Object.prototype.hasOwnProperty.call(parent, key) ? parent[key] : undefined;
+
+  if (edit.op !== 'add' && previous === undefined) {
+    throw fail('No value at this path; use "add" to set it');
+  }
+
+  if (edit.op === 'remove') {
+    delete parent[key];
+    return { path: tokens, previous, value: undefined };
+  }
+
+  parent[key] = edit.value;
+  return { path: tokens, previous, value: edit.value };
+}
+
+/**
+ * Parse a list index token
+ * @param {string} token - Reference token
+ * @param {number} max - Highest allowed index
+ * @returns {number|null} Index, or null when the token is not an index in range
+ */
+function parseIndex(token, max) {
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    return null;
+  }
+
+  const index = Number(token);
+  return index <= max ? index : null;
+}
+
+module.exports = {
+  parsePointer,
+  formatPointer,
+  applyEdit,
+  JsonPointerError,
+  EDIT_OPERATIONS
+};
@@ -0,0 +1,324 @@
+/**
+ * LLM providers
+ * callClaudeAPI sends Anthropic Messages API requests through a provider, chosen
+ * with LLM_PROVIDER:
+ * - anthropic (default): the Anthropic API, using CLAUDE_API_KEY
+ * - mock: replays recorded responses from LLM_FIXTURES_DIR and answers tool calls
+ *   it has no recording for with placeholder input built from the tool's schema,
+ *   so the app runs offline without an API key
+ * Set LLM_RECORD=true to save every response to LLM_FIXTURES_DIR for later replay.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = './fixtures/llm';
+
+// Characters per streamed text delta when the mock provider replays a response
+const MOCK_STREAM_CHUNK_SIZE = 40;
+
+/**
+ * Anthropic Messages API. The SDK client is created on first use, so importing
+ * this module never needs an API key.
+ */
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.CLAUDE_API_KEY);
+  }
+
+  getClient() {
+    if (!this.client) {
+      const Anthropic = require('@anthropic-ai/sdk');
+      this.client = new Anthropic({
+        apiKey: process.env.CLAUDE_API_KEY
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a message request
+   * @param {object} params - Messages API parameters
+   * @param {function} [onText] - Streams the response, receiving text and tool input deltas
+   * @returns {Promise<object>} Final message
+   */
+  async createMessage(params, onText) {
+    if (!onText) {
+      return this.getClient().messages.create(params);
+    }
+
+    const stream = this.getClient().messages.stream(params);
+    stream.on('text', text => onText(text));
+    stream.on('inputJson', partialJson => onText(partialJson));
+    return stream.finalMessage();
+  }
+}
+
+/**
+ * Deterministic offline provider. Responses recorded in the fixtures directory
+ * are replayed by request; tool calls without a recording get placeholder input
+ * generated from the tool's input schema.
+ */
+class MockProvider {
+  constructor(fixturesDir) {
+    this.name = 'mock';
+    this.fixturesDir = fixturesDir;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Answer a message request from fixtures or the tool schema
+   * @param {object} params - Messages API parameters
+   * @param {function} [onText] - Receives the response in deltas, as when streaming
+   * @returns {Promise<object>} Message
+   */
+  async createMessage(params, onText) {
+    const key = fixtureKey(params);
+    const fixture = readFixture(this.fixturesDir, key);
+    const response = fixture ? fixture.response : synthesizeResponse(params, key, this.fixturesDir);
+
+    const message = {
+      id: `msg_mock_${key}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      stop_sequence: null,
+      usage: {
+        input_tokens: estimateTokens(JSON.stringify(params.messages) + (params.system || '')),
+        output_tokens: estimateTokens(JSON.stringify(response.content))
+      },
+      ...response
+    };
+
+    if (onText) {
+      for (const block of message.content) {
+        const text = block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || '';
+        for (let i = 0; i < text.length; i += MOCK_STREAM_CHUNK_SIZE) {
+          onText(text.slice(i, i + MOCK_STREAM_CHUNK_SIZE));
+        }
+      }
+    }
+
+    return message;
+  }
+}
+
+/**
+ * Wraps a provider and saves each response as a fixture the mock provider can replay
+ */
+class RecordingProvider {
+  constructor(provider, fixturesDir) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.fixturesDir = fixturesDir;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  async createMessage(params, onText) {
+    const message = await this.provider.createMessage(params, onText);
+    writeFixture(this.fixturesDir, params, message);
+    return message;
+  }
+}
+
+// Provider factories by LLM_PROVIDER name
+const PROVIDERS = {
+  anthropic: () => new AnthropicProvider(),
+  mock: () => new MockProvider(getFixturesDir())
+};
+
+let activeProvider = null;
+
+/**
+ * Get the provider selected by LLM_PROVIDER, creating it on first use
+ * @returns {object} Provider ({ name, isConfigured(), createMessage(params, onText) })
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const name = getProviderName();
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    activeProvider = process.env.LLM_RECORD === 'true'
+      ? new RecordingProvider(PROVIDERS[name](), getFixturesDir())
+      : PROVIDERS[name]();
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider, e.g. with a custom implementation
+ * @param {object|null} provider - Provider, or null to go back to LLM_PROVIDER
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Register a provider that LLM_PROVIDER can select
+ * @param {string} name - Provider name
+ * @param {function} factory - Returns a new provider
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Name of the provider selected by LLM_PROVIDER
+ * @returns {string} Provider name
+ */
+function getProviderName() {
+  return (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+}
+
+/**
+ * Whether the selected provider can make requests (the Anthropic provider needs an API key)
+ * @returns {boolean} True when configured
+ */
+function isProviderConfigured() {
+  try {
+    return getProvider().isConfigured();
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFixturesDir() {
+  return path.resolve(process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+/**
+ * Fixture key for a request. The model and sampling settings are left out so a
+ * recording replays regardless of which fallback model answered it.
+ * @param {object} params - Messages API parameters
+ * @returns {string} Key
+ */
+function fixtureKey(params) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({
+      system: params.system || null,
+      messages: params.messages,
+      tools: params.tools || null
+    }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function readFixture(fixturesDir, key) {
+  const file = path.join(fixturesDir, `${key}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function writeFixture(fixturesDir, params, message) {
+  const key = fixtureKey(params);
+  const prompt = params.messages.map(m => typeof m.content === 'string' ? m.content : JSON.stringify(m.content)).join('\n');
+
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, `${key}.json`), JSON.stringify({
+    key,
+    request: {
+      model: params.model,
+      system: params.system || null,
+      prompt: prompt.slice(0, 200),
+      tools: (params.tools || []).map(tool => tool.name)
+    },
+    response: {
+      content: message.content,
+      stop_reason: message.stop_reason
+    }
+  }, null, 2));
+}
+
+/**
+ * Build a response for a request without a recording. Only tool calls can be
+ * answered this way; free-text requests need a fixture.
+ * @param {object} params - Messages API parameters
+ * @param {string} key - Fixture key
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {object} { content, stop_reason }
+ */
+function synthesizeResponse(params, key, fixturesDir) {
+  const tools = params.tools || [];
+  const tool = tools.find(t => t.name === params.tool_choice?.name) || tools[0];
+
+  if (!tool) {
+    const error = new Error(`No recorded response for request ${key} in ${fixturesDir}. Record one with LLM_RECORD=true.`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    content: [{
+      type: 'tool_use',
+      id: `toolu_mock_${key}`,
+      name: tool.name,
+      input: placeholderFromSchema(tool.input_schema, tool.name)
+    }],
+    stop_reason: 'tool_use'
+  };
+}
+
+/**
+ * Placeholder value for a JSON Schema: strings echo their description, lists have
+ * one item, numbers are 80% of their maximum, and nullable values are filled in
+ * @param {object} schema - JSON Schema
+ * @param {string} name - Property name, used when there is no description
+ * @returns {*} Value
+ */
+function placeholderFromSchema(schema = {}, name = 'value') {
+  const variant = (schema.anyOf || schema.oneOf || []).find(option => option.type !== 'null');
+  if (variant) {
+    return placeholderFromSchema({ description: schema.description, ...variant }, name);
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (schema.properties) {
+        return Object.fromEntries(Object.entries(schema.properties).map(([key, property]) =>
+          [key, placeholderFromSchema(property, key)]
+        ));
+      }
+      const key = schema.propertyNames?.description || name;
+      return { [key]: placeholderFromSchema(schema.additionalProperties, key) };
+    }
+    case 'array':
+      return [placeholderFromSchema(schema.items, name)];
+    case 'number':
+    case 'integer':
+      return schema.maximum !== undefined ? Math.round(schema.maximum * 0.8 * 100) / 100 : 1;
+    case 'boolean':
+      return true;
+    default:
+      return `[mock] ${schema.description || name}`;
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  registerProvider,
+  getProviderName,
+  isProviderConfigured,
+  AnthropicProvider,
+  MockProvider,
+  RecordingProvider
+};
@@ -0,0 +1,79 @@
+/**
+ * Least-recently-used cache with a size bound and an optional entry age limit
+ * Entries past their age are dropped when read rather than on a timer.
+ */
+
+class LRUCache {
+  /**
+   * @param {object} options - Cache bounds
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {number} [options.ttlMs] - Age after which an entry is no longer returned (no limit when omitted)
+   */
+  constructor({ maxEntries, ttlMs = null }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - Key
+   * @returns {*} Value, or undefined when absent or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (this.ttlMs !== null && Date.now() - entry.storedAt > this.ttlMs) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so Map order runs from least to most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries beyond maxEntries
+   * @param {string} key - Key
+   * @param {*} value - Value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Iterate over [key, value] pairs without changing their recency
+   */
+  *[Symbol.iterator]() {
+    for (const [key, entry] of this.entries) {
+      yield [key, entry.value];
+    }
+  }
+}
+
+module.exports = {
+  LRUCache
+};
@@ -0,0 +1,194 @@
+/**
+ * Model configuration
+ * Each operation tries an ordered chain of models, moving on to the next one when
+ * a model is not available. Chains come from MODEL_CHAIN_<OPERATION> (comma-separated
+ * model IDs), then MODEL_CHAIN for every operation, then the defaults below. A request
+ * can pass its own chain, which replaces the configured one.
+ *
+ * Prices are in USD per million tokens. MODEL_PRICING (JSON such as
+ * {"claude-sonnet-4-5": {"input": 3, "output": 15}}) adds or overrides entries.
+ */
+
+const { z } = require('zod');
+
+// Operations that call the model
+const MODEL_OPERATIONS = {
+  analysis: 'Content analysis, including the repair pass',
+  generation: 'Helper script generation for new skills',
+  refinement: 'Skill refinement from feedback',
+  classification: 'Content type detection for contentType "auto"'
+};
+
+const DEFAULT_MODEL_CHAIN = [
+  'claude-sonnet-4-5',
+  'claude-sonnet-4-20250514',
+  'claude-3-7-sonnet-20250219'
+];
+
+// Operations that default to a different chain, e.g. a cheaper model for short calls
+const DEFAULT_OPERATION_CHAINS = {
+  classification: ['claude-haiku-4-5', 'claude-3-5-haiku-20241022', ...DEFAULT_MODEL_CHAIN]
+};
+
+const MAX_CHAIN_LENGTH = 5;
+
+// USD per million input/output tokens. Dated model IDs match the longest
+// entry they start with, so claude-sonnet-4-20250514 uses claude-sonnet-4.
+const DEFAULT_MODEL_PRICING = {
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+const PriceSchema = z.object({
+  input: z.number().min(0),
+  output: z.number().min(0)
+});
+
+const MODEL_ID_PATTERN = /^[a-z0-9][a-z0-9._:@-]{0,99}$/i;
+
+// A model chain in a request body
+const ModelChainSchema = z.array(
+  z.string().regex(MODEL_ID_PATTERN, 'Model IDs may only contain letters, numbers, ".", "-", "_", ":" and "@"')
+).min(1, 'At least one model is required').max(MAX_CHAIN_LENGTH, `At most ${MAX_CHAIN_LENGTH} models are allowed`);
+
+/**
+ * Get the chain of models to try for an operation
+ * @param {string} [operation] - Operation (key of MODEL_OPERATIONS)
+ * @param {Array<string>} [requested] - Chain passed with the request, used instead of the configured one
+ * @returns {Array<string>} Model IDs in the order to try them
+ */
+function getModelChain(operation, requested) {
+  if (requested && requested.length > 0) {
+    return [...new Set(requested)];
+  }
+
+  return getConfiguredChain(operation).models;
+}
+
+/**
+ * Effective model configuration for every operation
+ * @returns {object} { operations: { [operation]: { description, models, source } }, defaultModels, maxChainLength, pricing }
+ */
+function getModelConfig() {
+  return {
+    operations: Object.fromEntries(Object.entries(MODEL_OPERATIONS).map(([operation, description]) => [
+      operation,
+      { description, ...getConfiguredChain(operation) }
+    ])),
+    defaultModels: DEFAULT_MODEL_CHAIN,
+    maxChainLength: MAX_CHAIN_LENGTH,
+    pricing: getModelPricing()
+  };
+}
+
+/**
+ * Configured chain for an operation and where it came from
+ * @param {string} [operation] - Operation
+ * @returns {object} { models, source } where source is the environment variable or "default"
+ */
+function getConfiguredChain(operation) {
+  const variables = [
+    ...(operation ? [`MODEL_CHAIN_${operation.toUpperCase()}`] : []),
+    'MODEL_CHAIN'
+  ];
+
+  for (const variable of variables) {
+    const models = parseChain(process.env[variable]);
+    if (models.length > 0) {
+      return { models, source: variable };
+    }
+  }
+
+  return { models: DEFAULT_OPERATION_CHAINS[operation] || DEFAULT_MODEL_CHAIN, source: 'default' };
+}
+
+/**
+ * Parse a comma-separated chain from the environment, skipping invalid IDs
+ * @param {string} [value] - e.g. "claude-opus-4-1,claude-sonnet-4-5"
+ * @returns {Array<string>} Model IDs
+ */
+function parseChain(value) {
+  const models = (value || '').split(',').map(model => model.trim()).filter(Boolean);
+  const invalid = models.filter(model => !MODEL_ID_PATTERN.test(model));
+
+  if (invalid.length > 0) {
+    console.warn(`Ignoring invalid model IDs in configuration: ${invalid.join(', ')}`);
+  }
+
+  return [...new Set(models.filter(model => MODEL_ID_PATTERN.test(model)))];
+}
+
+/**
+ * Effective price list: the defaults merged with MODEL_PRICING
+ * @returns {object} Prices by model ID prefix ({ input, output } in USD per million tokens)
+ */
+function getModelPricing() {
+  if (!process.env.MODEL_PRICING) {
+    return DEFAULT_MODEL_PRICING;
+  }
+
+  let configured;
+  try {
+    configured = JSON.parse(process.env.MODEL_PRICING);
+  } catch (error) {
+    console.warn(`Ignoring MODEL_PRICING: ${error.message}`);
+    return DEFAULT_MODEL_PRICING;
+  }
+
+  const result = z.record(z.string(), PriceSchema).safeParse(configured);
+  if (!result.success) {
+    console.warn(`Ignoring MODEL_PRICING: ${result.error.issues[0].message} at ${result.error.issues[0].path.join('.')}`);
+    return DEFAULT_MODEL_PRICING;
+  }
+
+  return { ...DEFAULT_MODEL_PRICING, ...result.data };
+}
+
+/**
+ * Price of a model
+ * @param {string} model - Model ID
+ * @returns {object|null} { input, output } in USD per million tokens, or null if the model has no price
+ */
+function getModelPrice(model) {
+  const pricing = getModelPricing();
+  const match = Object.keys(pricing)
+    .filter(prefix => model === prefix || model.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? pricing[match] : null;
+}
+
+/**
+ * Cost of a call
+ * @param {string} model - Model ID
+ * @param {number} inputTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+function calculateCost(model, inputTokens, outputTokens) {
+  const price = getModelPrice(model);
+
+  if (!price) {
+    return null;
+  }
+
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+module.exports = {
+  getModelChain,
+  getModelConfig,
+  getModelPricing,
+  calculateCost,
+  ModelChainSchema,
+  MODEL_OPERATIONS,
+  DEFAULT_MODEL_CHAIN
+};
@@ -0,0 +1,44 @@
+/**
+ * Skill names
+ * Names are lowercase letters, numbers and hyphens; they name the skill's folder
+ * in the package and must be unique within a workspace.
+ */
+
+/**
+ * Format skill name (lowercase with hyphens)
+ * @param {string} name - Name to format
+ * @returns {string} Formatted name
+ */
+function formatSkillName(name) {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check the length and characters of a skill name
+ * @param {string} name - Skill name, before formatting
+ * @returns {string|null} Problem description, or null if the name is usable
+ */
+function checkSkillNameFormat(name) {
+  if (!name || name.length < 3) {
+    return 'Skill name must be at least 3 characters';
+  }
+
+  if (name.length > 50) {
+    return 'Skill name must be less than 50 characters';
+  }
+
+  if (!/^[a-z0-9-]+$/.test(formatSkillName(name))) {
+    return 'Skill name must contain only lowercase letters, numbers, and hyphens';
+  }
+
+  return null;
+}
+
+module.exports = {
+  formatSkillName,
+  checkSkillNameFormat
+};
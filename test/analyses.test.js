@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+
+let api;
+let dbConnection;
+const ids = {};
+
+const CONTENT = {
+  payroll: 'Payroll run. Step 1: collect the timesheets. Step 2: calculate gross pay. Step 3: submit the bank file before noon.',
+  audit: 'Access audit. Step 1: export the user list. Step 2: flag accounts without an owner. Step 3: revoke stale access.',
+  queues: 'Message queues explained. A queue decouples producers from consumers so each side can scale on its own.'
+};
+
+before(async () => {
+  api = await startTestServer();
+  dbConnection = require('../src/db/database');
+
+  for (const [name, contentType] of [['payroll', 'process'], ['audit', 'process'], ['queues', 'technical']]) {
+    const analysis = await api.request('POST', '/analyze', { body: { content: CONTENT[name], contentType } });
+    ids[name] = analysis.body.analysisId;
+  }
+
+  // The mock provider always reports 0.8; give one analysis a lower score and an older date
+  dbConnection.getConnection()
+    .prepare("UPDATE content_analyses SET confidence = 0.75, created_at = '2025-01-15 09:00:00' WHERE id = ?")
+    .run(ids.audit);
+});
+
+after(async () => {
+  await api.close();
+});
+
+const listIds = async query => {
+  const response = await api.request('GET', `/analyses${query}`);
+  assert.equal(response.status, 200, query);
+  return response.body.analyses.map(analysis => analysis.id);
+};
+
+test('analyses are listed newest first with a content preview', async () => {
+  const response = await api.request('GET', '/analyses?limit=2');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.analyses.map(analysis => analysis.id), [ids.queues, ids.payroll]);
+  assert.deepEqual(response.body.pagination, { total: 3, limit: 2, offset: 0, hasMore: true });
+
+  const [latest] = response.body.analyses;
+  assert.equal(latest.contentType, 'technical');
+  assert.equal(latest.contentPreview, CONTENT.queues);
+  assert.equal(latest.contentLength, CONTENT.queues.length);
+  assert.equal(latest.skill, null);
+  assert.equal(latest.sourceContent, undefined);
+});
+
+test('analyses are filtered by type, confidence and date', async () => {
+  assert.deepEqual(await listIds('?type=process'), [ids.payroll, ids.audit]);
+  assert.deepEqual(await listIds('?maxConfidence=0.79'), [ids.audit]);
+  assert.deepEqual(await listIds('?minConfidence=0.8&type=process'), [ids.payroll]);
+  assert.deepEqual(await listIds('?to=2025-01-31'), [ids.audit]);
+  assert.deepEqual(await listIds('?from=2025-02-01'), [ids.queues, ids.payroll]);
+  assert.equal((await listIds('?sort=confidence'))[0], ids.audit);
+});
+
+test('list filters are validated', async () => {
+  const reversed = await api.request('GET', '/analyses?minConfidence=0.9&maxConfidence=0.1');
+  assert.equal(reversed.status, 400);
+  assert.equal(reversed.body.details[0].field, 'minConfidence');
+
+  for (const query of ['?from=last-week', '?limit=0', '?maxConfidence=2', '?sort=name']) {
+    const response = await api.request('GET', `/analyses${query}`);
+    assert.equal(response.status, 400, query);
+  }
+});
+
+test('an analysis is returned with its source content and result', async () => {
+  const response = await api.request('GET', `/analyses/${ids.payroll}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.sourceContent, CONTENT.payroll);
+  assert.ok(response.body.extractedData.workflow);
+  assert.equal(response.body.validation.structuredOutput, true);
+  assert.deepEqual(response.body.edits, []);
+
+  const missing = await api.request('GET', `/analyses/${crypto.randomUUID()}`);
+  assert.equal(missing.status, 404);
+});
+
+test('generating a skill links it to the analysis', async () => {
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: ids.payroll, skillName: 'payroll-run', skillType: 'process' }
+  });
+  assert.equal(skill.status, 201);
+
+  const analysis = await api.request('GET', `/analyses/${ids.payroll}`);
+  assert.deepEqual(analysis.body.skill, { id: skill.body.skillId, name: 'payroll-run' });
+
+  assert.deepEqual(await listIds(`?skillId=${skill.body.skillId}`), [ids.payroll]);
+  assert.deepEqual(await listIds('?linked=true'), [ids.payroll]);
+  assert.deepEqual(await listIds('?linked=false'), [ids.queues, ids.audit]);
+});
+
+test('skills cannot be generated from unknown analyses', async () => {
+  const response = await api.request('POST', '/generate-skill', {
+    body: { analysisId: crypto.randomUUID(), skillName: 'ghost-skill', skillType: 'process' }
+  });
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Analysis not found');
+});
+
+test('deleting an analysis keeps the skills generated from it', async () => {
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: ids.queues, skillName: 'message-queues', skillType: 'technical' }
+  });
+
+  const removed = await api.request('DELETE', `/analyses/${ids.queues}`);
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body.deletedAnalysis, { id: ids.queues });
+
+  assert.equal((await api.request('GET', `/analyses/${ids.queues}`)).status, 404);
+  assert.equal((await api.request('DELETE', `/analyses/${ids.queues}`)).status, 404);
+  assert.equal((await api.request('GET', `/skills/${skill.body.skillId}`)).status, 200);
+
+  const regenerate = await api.request('POST', '/generate-skill', {
+    body: { analysisId: ids.queues, skillName: 'message-queues-2', skillType: 'technical' }
+  });
+  assert.equal(regenerate.status, 404);
+});
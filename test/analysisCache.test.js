@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { LRUCache } = require('../src/utils/lruCache');
+
+let api;
+let dbConnection;
+let contentAnalysis;
+
+const CONTENT = 'Customer refund. Step 1: confirm the order number. Step 2: check the return window. Step 3: issue the refund to the original payment method.';
+
+before(async () => {
+  api = await startTestServer();
+  dbConnection = require('../src/db/database');
+  contentAnalysis = require('../src/services/contentAnalysis');
+});
+
+after(async () => {
+  await api.close();
+});
+
+const analyze = body => api.request('POST', '/analyze', { body: { content: CONTENT, contentType: 'process', ...body } });
+
+const countRows = () => dbConnection.getConnection()
+  .prepare('SELECT COUNT(*) AS count FROM content_analyses')
+  .get().count;
+
+let analysisId;
+
+test('analyzing the same content again returns the cached analysis', async () => {
+  const first = await analyze();
+  const second = await analyze();
+
+  assert.deepEqual(first.body.cache, { hit: false, bypassed: false });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.analysisId, first.body.analysisId);
+  assert.deepEqual(second.body.cache, { hit: true, source: 'memory' });
+  assert.equal(countRows(), 1);
+
+  analysisId = first.body.analysisId;
+});
+
+test('saved analyses answer when the in-memory entry is gone', async () => {
+  contentAnalysis.forgetCachedAnalysis(analysisId);
+
+  const fromDatabase = await analyze();
+  assert.equal(fromDatabase.body.analysisId, analysisId);
+  assert.deepEqual(fromDatabase.body.cache, { hit: true, source: 'database' });
+  assert.deepEqual(fromDatabase.body.extractedData, (await api.request('GET', `/analyses/${analysisId}`)).body.extractedData);
+
+  const fromMemory = await analyze();
+  assert.deepEqual(fromMemory.body.cache, { hit: true, source: 'memory' });
+  assert.equal(countRows(), 1);
+});
+
+test('noCache analyzes again and a different type or model chain misses', async () => {
+  const bypassed = await analyze({ noCache: true });
+  assert.notEqual(bypassed.body.analysisId, analysisId);
+  assert.deepEqual(bypassed.body.cache, { hit: false, bypassed: true });
+
+  const otherType = await analyze({ contentType: 'technical' });
+  assert.equal(otherType.body.cache.hit, false);
+
+  const otherModels = await analyze({ models: ['claude-3-7-sonnet-20250219'] });
+  assert.equal(otherModels.body.cache.hit, false);
+
+  const again = await analyze({ models: ['claude-3-7-sonnet-20250219'] });
+  assert.equal(again.body.analysisId, otherModels.body.analysisId);
+  assert.equal(countRows(), 4);
+});
+
+test('deleted analyses are not returned from the cache', async () => {
+  const { body } = await analyze({ contentType: 'technical' });
+  await api.request('DELETE', `/analyses/${body.analysisId}`);
+
+  const fresh = await analyze({ contentType: 'technical' });
+  assert.notEqual(fresh.body.analysisId, body.analysisId);
+  assert.equal(fresh.body.cache.hit, false);
+});
+
+test('the LRU cache evicts the least recently used entry', () => {
+  const cache = new LRUCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.deepEqual([...cache], [['a', 1], ['c', 3]]);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.size, 2);
+});
+
+test('the LRU cache drops entries past their age when read', async () => {
+  const cache = new LRUCache({ maxEntries: 10, ttlMs: 5 });
+  cache.set('a', 1);
+  assert.equal(cache.get('a'), 1);
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.size, 0);
+});
@@ -0,0 +1,132 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePointer, formatPointer, applyEdit, JsonPointerError } = require('../src/utils/jsonPointer');
+const { startTestServer } = require('./helpers');
+
+describe('jsonPointer', () => {
+  test('parses and formats pointers with escaped characters', () => {
+    assert.deepEqual(parsePointer('/core/a~1b/c~0d'), ['core', 'a/b', 'c~d']);
+    assert.equal(formatPointer(['core', 'a/b', 'c~d', 0]), '/core/a~1b/c~0d/0');
+    assert.throws(() => parsePointer('core/hook'), JsonPointerError);
+  });
+
+  test('applies add, replace and remove edits and reports the previous value', () => {
+    const document = { workflow: { steps: ['plan', 'build'], criticalPath: 'plan' } };
+
+    assert.deepEqual(applyEdit(document, { op: 'replace', path: '/workflow/criticalPath', value: 'build' }), {
+      path: ['workflow', 'criticalPath'],
+      previous: 'plan',
+      value: 'build'
+    });
+    assert.deepEqual(applyEdit(document, { op: 'add', path: '/workflow/steps/-', value: 'ship' }).path,
+      ['workflow', 'steps', 2]);
+    assert.deepEqual(applyEdit(document, { op: 'remove', path: '/workflow/steps/0' }).previous, 'plan');
+    assert.deepEqual(document, { workflow: { steps: ['build', 'ship'], criticalPath: 'build' } });
+  });
+
+  test('rejects paths that cannot be resolved', () => {
+    const document = { workflow: { steps: [] }, context: null };
+
+    assert.throws(() => applyEdit(document, { op: 'replace', path: '/workflow/missing', value: 1 }),
+      { code: 'INVALID_EDIT', message: /use "add" to set it/ });
+    assert.throws(() => applyEdit(document, { op: 'remove', path: '/workflow/steps/0' }),
+      { code: 'INVALID_EDIT', message: /List is empty/ });
+    assert.throws(() => applyEdit(document, { op: 'add', path: '/workflow/steps/5', value: 'x' }),
+      { code: 'INVALID_EDIT' });
+    assert.throws(() => applyEdit(document, { op: 'add', path: '/context/when', value: 'x' }),
+      { code: 'INVALID_EDIT', message: /No value at "context"/ });
+  });
+
+  test('refuses keys that reach the prototype', () => {
+    for (const path of ['/__proto__/polluted', '/constructor/prototype/polluted']) {
+      assert.throws(() => applyEdit({}, { op: 'add', path, value: true }), { code: 'INVALID_EDIT' });
+    }
+    assert.equal({}.polluted, undefined);
+  });
+});
+
+describe('PATCH /api/analyses/:id', () => {
+  let api;
+  let analysisId;
+
+  before(async () => {
+    api = await startTestServer();
+
+    const analysis = await api.request('POST', '/analyze', {
+      body: {
+        content: 'Step 1: Draft the report. Step 2: Review it with the team. Step 3: Publish and announce.',
+        contentType: 'process'
+      }
+    });
+    analysisId = analysis.body.analysisId;
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  test('applies framework-valid edits, marks the analysis reviewed and records them', async () => {
+    const response = await api.request('PATCH', `/analyses/${analysisId}`, {
+      body: {
+        edits: [{ op: 'replace', path: '/workflow/criticalPath', value: 'Review with the team' }],
+        note: 'Fix the critical path'
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.humanReviewed, true);
+    assert.equal(response.body.requiresReview, false);
+    assert.equal(response.body.extractedData.workflow.criticalPath, 'Review with the team');
+    assert.equal(response.body.edits.length, 1);
+    assert.equal(response.body.edits[0].path, '/workflow/criticalPath');
+    assert.equal(response.body.edits[0].originalValue, '[mock] Steps that cannot be delayed');
+    assert.equal(response.body.edits[0].editedValue, 'Review with the team');
+    assert.equal(response.body.edits[0].note, 'Fix the critical path');
+  });
+
+  test('rejects edits outside the framework', async () => {
+    const response = await api.request('PATCH', `/analyses/${analysisId}`, {
+      body: { edits: [{ op: 'add', path: '/workflow/notAField', value: 'x' }] }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid edit');
+  });
+
+  test('rejects values that do not match the framework', async () => {
+    const response = await api.request('PATCH', `/analyses/${analysisId}`, {
+      body: { edits: [{ op: 'replace', path: '/workflow/steps', value: 'not a list' }] }
+    });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.details.some(detail => detail.field.startsWith('/workflow/steps')));
+  });
+
+  test('rejects malformed pointers and operations', async () => {
+    const badPointer = await api.request('PATCH', `/analyses/${analysisId}`, {
+      body: { edits: [{ op: 'replace', path: 'workflow/criticalPath', value: 'x' }] }
+    });
+    const badOperation = await api.request('PATCH', `/analyses/${analysisId}`, {
+      body: { edits: [{ op: 'move', path: '/workflow/criticalPath', value: 'x' }] }
+    });
+
+    assert.equal(badPointer.status, 400);
+    assert.equal(badOperation.status, 400);
+    assert.equal(badOperation.body.error, 'Validation failed');
+  });
+
+  test('a rejected edit leaves the analysis unchanged', async () => {
+    await api.request('PATCH', `/analyses/${analysisId}`, {
+      body: {
+        edits: [
+          { op: 'replace', path: '/workflow/criticalPath', value: 'Changed' },
+          { op: 'add', path: '/workflow/notAField', value: 'x' }
+        ]
+      }
+    });
+
+    const analysis = await api.request('GET', `/analyses/${analysisId}`);
+    assert.equal(analysis.body.extractedData.workflow.criticalPath, 'Review with the team');
+    assert.equal(analysis.body.edits.length, 1);
+  });
+});
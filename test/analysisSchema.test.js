@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateAnalysisOutput,
+  parseAnalysisOutput,
+  discardInvalidFields,
+  getFieldDescriptor
+} = require('../src/services/analysisSchema');
+const {
+  validateFrameworkDefinition,
+  BUILT_IN_FRAMEWORKS
+} = require('../src/services/frameworkRegistry');
+
+const FRAMEWORK = {
+  concepts: {
+    mainConcepts: ['Key ideas'],
+    terminology: { '*': 'Definition of the term' },
+    owner: { name: 'Who owns it' }
+  }
+};
+
+const coerced = (result, field) => result.coercedFields.filter(c => c.field === field).map(c => c.message);
+
+test('groups marked with "*" accept any keys; other groups keep their fields', () => {
+  const result = validateAnalysisOutput({
+    extractedData: {
+      concepts: {
+        mainConcepts: 'Caching',
+        terminology: { TTL: 'Time to live', LRU: 42 },
+        owner: { name: 'Platform team', team: 'extra keys are kept' }
+      }
+    },
+    confidence: 0.9
+  }, FRAMEWORK);
+
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(result.value.extractedData.concepts.mainConcepts, ['Caching']);
+  assert.deepEqual(result.value.extractedData.concepts.terminology, { TTL: 'Time to live', LRU: '42' });
+  assert.deepEqual(coerced(result, 'extractedData.concepts.terminology.LRU'), ['Converted number to text']);
+
+  const invalid = validateAnalysisOutput({
+    extractedData: { concepts: { owner: { name: ['Not', { a: 1 }] } } },
+    confidence: 0.9
+  }, FRAMEWORK);
+  assert.deepEqual(invalid.issues.map(issue => issue.field), ['extractedData.concepts.owner.name']);
+});
+
+test('field descriptors are found through maps and lists', () => {
+  assert.equal(getFieldDescriptor(FRAMEWORK, ['concepts', 'terminology', 'Any term']), 'Definition of the term');
+  assert.equal(getFieldDescriptor(FRAMEWORK, ['concepts', 'mainConcepts', 3]), 'Key ideas');
+  assert.equal(getFieldDescriptor(FRAMEWORK, ['concepts', 'owner', 'name']), 'Who owns it');
+  assert.equal(getFieldDescriptor(FRAMEWORK, ['concepts', 'owner', 'team']), undefined);
+  assert.equal(getFieldDescriptor(FRAMEWORK, ['concepts', 'mainConcepts', 'first']), undefined);
+});
+
+test('confidence scores are brought into the 0-1 range', () => {
+  const confidenceOf = value => validateAnalysisOutput({ extractedData: { concepts: null }, confidence: value }, FRAMEWORK).value.confidence;
+
+  assert.equal(confidenceOf(0.7), 0.7);
+  assert.equal(confidenceOf(85), 0.85);
+  assert.equal(confidenceOf('85%'), 0.85);
+  assert.equal(confidenceOf('62.5%'), 0.625);
+  assert.equal(confidenceOf(1.05), 1);
+  assert.equal(confidenceOf(1.5), 1);
+  assert.equal(confidenceOf(150), 0.5);
+  assert.equal(confidenceOf(-0.2), 0.5);
+  assert.equal(confidenceOf('high'), 0.5);
+  assert.equal(confidenceOf(undefined), 0.5);
+});
+
+test('missing sections and unparseable output are reported', () => {
+  const missing = validateAnalysisOutput({ extractedData: {}, confidence: 0.8 }, FRAMEWORK);
+  assert.deepEqual(missing.issues.map(issue => issue.message), ['Missing; use null when the content has nothing for it']);
+
+  const text = parseAnalysisOutput('not json at all', FRAMEWORK);
+  assert.equal(text.value, null);
+  assert.match(text.issues[0].message, /^Response is not valid JSON/);
+});
+
+test('invalid fields are discarded and invalid list items removed', () => {
+  const value = {
+    extractedData: { concepts: { mainConcepts: ['Ok', { bad: true }], owner: { name: { bad: true } } } },
+    confidence: 0.8
+  };
+  const { issues } = validateAnalysisOutput(value, FRAMEWORK);
+  const cleaned = discardInvalidFields(value, issues);
+
+  assert.deepEqual(cleaned.extractedData.concepts.mainConcepts, ['Ok']);
+  assert.equal(cleaned.extractedData.concepts.owner.name, null);
+});
+
+test('framework definitions only use "*" as the sole field of a map', () => {
+  assert.doesNotThrow(() => validateFrameworkDefinition(BUILT_IN_FRAMEWORKS.technical));
+
+  assert.throws(
+    () => validateFrameworkDefinition({ concepts: { terminology: { '*': 'Definition', extra: 'Field' } } }),
+    error => error.code === 'INVALID_FRAMEWORK' && error.details[0].field === 'framework.concepts.terminology'
+  );
+});
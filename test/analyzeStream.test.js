@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+const CONTENT = 'Incident response. Step 1: page the on-call engineer. Step 2: open an incident channel and post updates every 30 minutes.';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+function parseEvents(body) {
+  return body.toString('utf8').split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+test('streams progress phases and ends with the result', async () => {
+  const response = await api.request('POST', '/analyze/stream', {
+    body: { content: CONTENT, contentType: 'process' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(response.body);
+  const phases = events.filter(e => e.event === 'phase').map(e => e.data.phase);
+  const last = events[events.length - 1];
+
+  assert.ok(phases.includes('calling_model'));
+  assert.ok(phases.includes('saved'));
+  assert.equal(last.event, 'result');
+  assert.equal(last.data.contentType, 'process');
+  assert.ok(last.data.analysisId);
+});
+
+test('invalid requests are rejected before the stream opens', async () => {
+  const response = await api.request('POST', '/analyze/stream', {
+    body: { content: 'short', contentType: 'process' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Validation failed');
+  assert.equal(response.body.details[0].field, 'content');
+});
+
+test('background jobs cannot be requested on the stream', async () => {
+  const response = await api.request('POST', '/analyze/stream', {
+    body: { content: CONTENT, contentType: 'process', async: true }
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details.map(d => d.field), ['async']);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let contentAnalysis;
+
+before(async () => {
+  api = await startTestServer();
+  contentAnalysis = require('../src/services/contentAnalysis');
+});
+
+after(async () => {
+  await api.close();
+});
+
+const FRAMEWORK = {
+  concepts: {
+    mainConcepts: ['Key ideas being explained'],
+    difficulty: 'Beginner, Intermediate, Advanced',
+    terminology: { '*': 'Definition of the term, with context' }
+  }
+};
+
+test('chunks cover the whole content and overlap', () => {
+  const content = Array.from({ length: 400 }, (_, i) => `Sentence number ${i} explains one step.`).join(' ');
+  const chunks = contentAnalysis.chunkContent(content, 5000, 500);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks[chunks.length - 1].end, content.length);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].start < chunks[i - 1].end, 'consecutive chunks overlap');
+    assert.ok(chunks[i].text.length <= 5000);
+  }
+});
+
+test('overlap must be smaller than the chunk size', () => {
+  assert.throws(() => contentAnalysis.chunkContent('text', 100, 100), { code: 'ANALYSIS_ERROR' });
+});
+
+test('merging joins text, concatenates lists and keeps one value for scalars', () => {
+  const merged = contentAnalysis.mergeExtractedData([
+    { concepts: { mainConcepts: ['Caching', 'Queues'], difficulty: 'Beginner', terminology: { TTL: 'Time to live' }, extra: 3 } },
+    { concepts: { mainConcepts: ['queues', 'Retries'], difficulty: 'Advanced', terminology: { TTL: 'Expiry window' }, extra: 5 } },
+    { concepts: { mainConcepts: null, difficulty: 'Advanced', terminology: { LRU: 'Least recently used' }, extra: 5 } }
+  ], FRAMEWORK);
+
+  assert.deepEqual(merged.concepts.mainConcepts, ['Caching', 'Queues', 'Retries']);
+  assert.equal(merged.concepts.difficulty, 'Beginner\n\nAdvanced');
+  assert.deepEqual(merged.concepts.terminology, {
+    TTL: 'Time to live\n\nExpiry window',
+    LRU: 'Least recently used'
+  });
+  assert.equal(merged.concepts.extra, 5);
+});
+
+test('merging keeps the first answer on a tie and drops empty sections', () => {
+  const merged = contentAnalysis.mergeExtractedData([
+    { concepts: { extra: 1 }, other: null },
+    { concepts: { extra: 2 }, other: '' }
+  ], FRAMEWORK);
+
+  assert.deepEqual(merged, { concepts: { extra: 1 }, other: null });
+});
+
+test('long content is analyzed in chunks when requested', async () => {
+  const content = Array.from({ length: 300 }, (_, i) => `Step ${i}: review the ticket and update the tracker.`).join('\n');
+  const response = await api.request('POST', '/analyze', {
+    body: { content, contentType: 'process', chunked: true, chunkSize: 5000, chunkOverlap: 200 }
+  });
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.chunking.chunkCount > 1);
+  assert.equal(response.body.chunking.chunkConfidences.length, response.body.chunking.chunkCount);
+  assert.deepEqual(response.body.chunking.failedChunks, []);
+  assert.deepEqual(response.body.extractedData.workflow.decisionPoints, ['[mock] Where choices must be made']);
+});
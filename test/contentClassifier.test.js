@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let llmProviders;
+let dbConnection;
+let contentClassifier;
+
+// Classification calls get the scores set by each test (or fail when it is null);
+// analysis calls go to the mock provider
+let modelScores;
+const classificationModels = [];
+
+const PROCESS_CONTENT = 'Vendor payment procedure. Step 1: receive the invoice. Step 2: match it to the purchase order. ' +
+  'Step 3: route it for approval. Finally, schedule the payment and archive the paperwork.';
+
+const MIXED_CONTENT = `${PROCESS_CONTENT}
+
+Deploying the payment service: run \`npm install\`, set the database URL in the server config
+and call the /payments endpoint with a JSON body to check the deploy.`;
+
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+  dbConnection = require('../src/db/database');
+  contentClassifier = require('../src/services/contentClassifier');
+
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      const [tool] = params.tools || [];
+      if (!tool || tool.name !== 'record_content_type_scores') {
+        return mock.createMessage(params, onText);
+      }
+
+      classificationModels.push(params.model);
+      if (!modelScores) {
+        throw Object.assign(new Error('Overloaded'), { status: 400 });
+      }
+      return {
+        content: [{ type: 'tool_use', id: 'toolu_scores', name: tool.name, input: { scores: modelScores, reasoning: 'Test scores' } }],
+        model: params.model,
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 300, output_tokens: 40 }
+      };
+    }
+  });
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  await api.close();
+});
+
+const analyzeAuto = content => api.request('POST', '/analyze', { body: { content, contentType: 'auto' } });
+
+test('heuristics favour the type whose signals the content contains', () => {
+  const scores = contentClassifier.scoreHeuristics(PROCESS_CONTENT);
+
+  assert.equal(scores.process, 1);
+  assert.ok(scores.process > scores.technical);
+  assert.ok(scores.process > scores.copywriting);
+
+  const technical = contentClassifier.scoreHeuristics('The caching layer sits in front of the database. The library exposes a get() and ' +
+    'set() function, and the server reads its TTL from the configuration file. Entries are stored as JSON so other ' +
+    'services can read them through the HTTP endpoint when the primary store is slow under load.');
+  assert.deepEqual(technical, { copywriting: 0, process: 0, technical: 1 });
+});
+
+test('contentType auto analyzes with the best scoring framework and returns the scores', async () => {
+  modelScores = { process: 0.9, technical: 0.1, copywriting: 0.05 };
+  classificationModels.length = 0;
+
+  const response = await analyzeAuto(PROCESS_CONTENT);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.contentType, 'process');
+  assert.ok(response.body.extractedData.workflow);
+  assert.equal(response.body.additionalAnalyses, undefined);
+
+  const { detection } = response.body;
+  assert.deepEqual(detection.contentTypes, ['process']);
+  assert.equal(detection.method, 'model');
+  assert.equal(detection.reasoning, 'Test scores');
+  assert.deepEqual(detection.scores.map(score => score.contentType), ['process', 'technical', 'copywriting']);
+  assert.deepEqual(detection.scores[0], { contentType: 'process', score: 0.93, modelScore: 0.9, heuristicScore: 1 });
+
+  // Classification uses its own, cheaper model chain and is recorded like any other call
+  assert.deepEqual(classificationModels, ['claude-haiku-4-5']);
+  const recorded = dbConnection.getConnection()
+    .prepare("SELECT model, input_tokens FROM llm_calls WHERE operation = 'classification'")
+    .all();
+  assert.deepEqual(recorded, [{ model: 'claude-haiku-4-5', input_tokens: 300 }]);
+});
+
+test('mixed documents are analyzed with every framework that scores high', async () => {
+  modelScores = { process: 1, technical: 1, copywriting: 0 };
+
+  const response = await analyzeAuto(MIXED_CONTENT);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual([...response.body.detection.contentTypes].sort(), ['process', 'technical']);
+  assert.equal(response.body.additionalAnalyses.length, 1);
+
+  const types = [response.body, ...response.body.additionalAnalyses].map(analysis => analysis.contentType);
+  assert.deepEqual(types, response.body.detection.contentTypes);
+  assert.notEqual(response.body.analysisId, response.body.additionalAnalyses[0].analysisId);
+});
+
+test('heuristics decide alone when the classification call fails', async () => {
+  modelScores = null;
+
+  const response = await analyzeAuto(`${PROCESS_CONTENT} Then escalate anything unusual to the controller.`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.contentType, 'process');
+  assert.equal(response.body.detection.method, 'heuristics');
+  assert.equal(response.body.detection.model, null);
+  assert.ok(response.body.detection.scores.every(score => score.modelScore === null));
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN_API_KEY } = require('./helpers');
+
+const admin = { 'X-Admin-Key': ADMIN_API_KEY };
+
+const RECIPE_FRAMEWORK = {
+  dish: {
+    name: 'Name of the dish',
+    ingredients: ['Ingredient with quantity']
+  },
+  method: {
+    steps: ['Cooking step']
+  }
+};
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('custom frameworks are registered with the admin key and used for analysis', async () => {
+  const created = await api.request('POST', '/frameworks', {
+    headers: admin,
+    body: { contentType: 'recipe', name: 'Recipe', framework: RECIPE_FRAMEWORK }
+  });
+
+  assert.equal(created.status, 201);
+  assert.equal(created.body.isBuiltIn, false);
+  assert.equal(created.body.version, 1);
+
+  const list = await api.request('GET', '/frameworks');
+  assert.ok(list.body.frameworks.some(f => f.contentType === 'recipe'));
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: { content: 'Pancakes: mix 200g flour, 2 eggs and 300ml milk, then fry in butter.', contentType: 'recipe' }
+  });
+
+  assert.equal(analysis.status, 200);
+  assert.deepEqual(analysis.body.extractedData.dish.ingredients, ['[mock] Ingredient with quantity']);
+
+  const inUse = await api.request('DELETE', '/frameworks/recipe', { headers: admin });
+  assert.equal(inUse.status, 409);
+});
+
+test('framework changes need the admin key', async () => {
+  const response = await api.request('POST', '/frameworks', {
+    body: { contentType: 'no-admin', name: 'No admin', framework: RECIPE_FRAMEWORK }
+  });
+
+  assert.equal(response.status, 403);
+});
+
+test('built-in frameworks cannot be changed', async () => {
+  const response = await api.request('PUT', '/frameworks/process', {
+    headers: admin,
+    body: { name: 'Renamed' }
+  });
+
+  assert.equal(response.status, 403);
+});
+
+test('invalid definitions are rejected with the failing fields', async () => {
+  const response = await api.request('POST', '/frameworks', {
+    headers: admin,
+    body: { contentType: 'broken', name: 'Broken', framework: { section: { 'bad key': 'Description' } } }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid framework definition');
+  assert.ok(response.body.details.every(d => d.field.startsWith('framework.section')));
+});
+
+test('updating a framework bumps its version and unused frameworks can be deleted', async () => {
+  await api.request('POST', '/frameworks', {
+    headers: admin,
+    body: { contentType: 'meeting', name: 'Meeting', framework: { outcome: { decisions: ['Decision made'] } } }
+  });
+
+  const updated = await api.request('PUT', '/frameworks/meeting', {
+    headers: admin,
+    body: { framework: { outcome: { decisions: ['Decision made'], owners: ['Action owner'] } } }
+  });
+
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.version, 2);
+
+  const deleted = await api.request('DELETE', '/frameworks/meeting', { headers: admin });
+  assert.equal(deleted.status, 200);
+
+  const missing = await api.request('GET', '/frameworks/meeting');
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseFrontmatter,
+  validateFrontmatter,
+  setFrontmatter
+} = require('../src/utils/frontmatter');
+const { startTestServer } = require('./helpers');
+
+const BODY = '\n# Skill\n\n' + 'Follow these instructions carefully when the skill applies. '.repeat(3) + '\n';
+
+let api;
+let skillId;
+
+before(async () => {
+  api = await startTestServer();
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Sprint planning. Step 1: groom the backlog. Step 2: estimate the stories. Step 3: commit to the sprint goal.',
+      contentType: 'process'
+    }
+  });
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: analysis.body.analysisId, skillName: 'sprint-planning', skillType: 'process' }
+  });
+  skillId = skill.body.skillId;
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('frontmatter is parsed as YAML', () => {
+  const { data, body, hasFrontmatter } = parseFrontmatter('---\nname: "quoted: name"\ntags:\n  - a\n  - b\n---\n# Body\n');
+
+  assert.equal(hasFrontmatter, true);
+  assert.deepEqual(data, { name: 'quoted: name', tags: ['a', 'b'] });
+  assert.equal(body, '# Body\n');
+  assert.deepEqual(parseFrontmatter('# No header').data, {});
+});
+
+test('invalid YAML and non-mapping headers are rejected', () => {
+  assert.throws(() => parseFrontmatter('---\nname: [unclosed\n---\n'), { code: 'INVALID_FRONTMATTER' });
+  assert.throws(() => parseFrontmatter('---\n- a list\n---\n'), /must be a YAML mapping/);
+});
+
+test('required keys and known key types are validated', () => {
+  assert.deepEqual(validateFrontmatter({ name: 'my-skill', description: 'Does things', custom: 1 }), []);
+
+  const issues = validateFrontmatter({ name: 'my-skill', tags: 'not-a-list' });
+  assert.deepEqual(issues.map(issue => issue.field), ['description', 'tags']);
+  assert.equal(issues[0].message, 'Missing required frontmatter key "description"');
+});
+
+test('setting keys keeps comments, order and list style', () => {
+  const content = '---\n# Owned by the platform team\nname: old-name # renamed below\ntags: [a, b]\nextra: kept\n---\n# Body\n';
+  const updated = setFrontmatter(content, { name: 'new-name', tags: ['c'], version: 2 });
+
+  assert.equal(
+    updated,
+    '---\n# Owned by the platform team\nname: new-name # renamed below\ntags: [c]\nextra: kept\nversion: 2\n---\n# Body\n'
+  );
+  assert.equal(setFrontmatter(content, { name: 'old-name' }), content);
+});
+
+test('edited SKILL.md frontmatter flows to the skill', async () => {
+  const mainContent = `---\nname: sprint-planning-guide\ndescription: Plan a two-week sprint\ntags: [agile]\n---${BODY}`;
+  const response = await api.request('PUT', `/skills/${skillId}`, { body: { mainContent } });
+
+  assert.equal(response.status, 200);
+
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  assert.equal(skill.body.name, 'sprint-planning-guide');
+  assert.equal(skill.body.description, 'Plan a two-week sprint');
+  assert.deepEqual(skill.body.metadata.tags, ['agile']);
+  assert.match(skill.body.mainContent, /^version: 2$/m);
+});
+
+test('edits with broken frontmatter are rejected', async () => {
+  const invalidYaml = await api.request('PUT', `/skills/${skillId}`, {
+    body: { mainContent: `---\nname: [unclosed\n---${BODY}` }
+  });
+  assert.equal(invalidYaml.status, 400);
+  assert.equal(invalidYaml.body.details[0].field, 'frontmatter');
+
+  const invalidTags = await api.request('PUT', `/skills/${skillId}`, {
+    body: { mainContent: `---\nname: sprint-planning-guide\ntags: agile\n---${BODY}` }
+  });
+  assert.equal(invalidTags.status, 400);
+  assert.ok(invalidTags.body.details.some(detail => detail.field === 'tags'));
+});
@@ -0,0 +1,79 @@
+/**
+ * Test helpers
+ * Starts the API on a random port with a fresh SQLite database and the mock LLM
+ * provider, so tests run offline without an API key.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_API_KEY = 'test-admin-key';
+
+/**
+ * Start the API. Call once per test file, before anything else loads the app:
+ * the database path and LLM provider are read from the environment on first use.
+ * @returns {Promise<object>} { request, close } where request(method, path, options)
+ *   calls /api<path> and close() stops the server and removes the database
+ */
+async function startTestServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-factory-test-'));
+
+  process.env.DATABASE_PATH = path.join(dir, 'skills.db');
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_RECORD = 'false';
+  process.env.LLM_FIXTURES_DIR = path.join(dir, 'fixtures');
+  process.env.AUTH_REQUIRED = 'false';
+  process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+  const dbConnection = require('../src/db/database');
+  const app = require('../src/server');
+  dbConnection.connect();
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} urlPath - Path below /api, e.g. "/skills"
+   * @param {object} [options] - { body, headers }; a Buffer body is sent as is, anything
+   *   else as JSON
+   * @returns {Promise<object>} { status, headers, body } where body is parsed JSON, or a
+   *   Buffer for other content types
+   */
+  async function request(method, urlPath, options = {}) {
+    const isRaw = Buffer.isBuffer(options.body);
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(options.body !== undefined && !isRaw && { 'Content-Type': 'application/json' }),
+        ...options.headers
+      },
+      body: options.body !== undefined && !isRaw ? JSON.stringify(options.body) : options.body
+    });
+
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    dbConnection.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { request, close };
+}
+
+module.exports = {
+  startTestServer,
+  ADMIN_API_KEY
+};
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let jobQueue;
+
+before(async () => {
+  process.env.JOB_POLL_INTERVAL_MS = '50';
+  api = await startTestServer();
+  jobQueue = require('../src/services/jobQueue');
+  jobQueue.startJobWorker();
+});
+
+after(async () => {
+  jobQueue.stopJobWorker();
+  await api.close();
+});
+
+async function waitForJob(jobId) {
+  for (let i = 0; i < 100; i++) {
+    const job = await api.request('GET', `/jobs/${jobId}`);
+    if (job.body.status === 'completed' || job.body.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+test('async analysis returns a job that completes with the analysis', async () => {
+  const queued = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Release checklist. Step 1: freeze the branch. Step 2: run the full test suite and tag the build.',
+      contentType: 'process',
+      async: true
+    }
+  });
+
+  assert.equal(queued.status, 202);
+  assert.equal(queued.body.status, 'queued');
+  assert.equal(queued.body.statusUrl, `/api/jobs/${queued.body.jobId}`);
+
+  const job = await waitForJob(queued.body.jobId);
+
+  assert.equal(job.status, 200);
+  assert.equal(job.body.status, 'completed');
+  assert.equal(job.body.progress, 100);
+  assert.equal(job.body.error, null);
+  assert.equal(job.body.result.contentType, 'process');
+  assert.ok(job.body.result.analysisId);
+});
+
+test('unknown jobs return 404', async () => {
+  const response = await api.request('GET', '/jobs/does-not-exist');
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Job not found');
+});
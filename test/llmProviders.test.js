@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockProvider, RecordingProvider } = require('../src/utils/llmProviders');
+
+const dirs = [];
+const fixturesDir = () => {
+  dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-')));
+  return dirs[dirs.length - 1];
+};
+
+after(() => {
+  for (const dir of dirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const TOOL = {
+  name: 'record_analysis',
+  description: 'Record the analysis',
+  input_schema: {
+    type: 'object',
+    properties: {
+      extractedData: {
+        type: 'object',
+        properties: {
+          summary: { type: 'string', description: 'Short summary' },
+          steps: { type: 'array', items: { type: 'string', description: 'Step' } },
+          owner: { anyOf: [{ type: 'string', description: 'Owner' }, { type: 'null' }] }
+        }
+      },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  }
+};
+
+test('the mock provider answers tool calls with placeholders built from the schema', async () => {
+  const provider = new MockProvider(fixturesDir());
+  const message = await provider.createMessage({
+    model: 'claude-sonnet-4-5',
+    messages: [{ role: 'user', content: 'Analyze this' }],
+    tools: [TOOL],
+    tool_choice: { type: 'tool', name: TOOL.name }
+  });
+
+  const [block] = message.content;
+  assert.equal(block.type, 'tool_use');
+  assert.equal(block.name, TOOL.name);
+  assert.deepEqual(block.input, {
+    extractedData: { summary: '[mock] Short summary', steps: ['[mock] Step'], owner: '[mock] Owner' },
+    confidence: 0.8
+  });
+  assert.ok(message.usage.input_tokens > 0);
+});
+
+test('the mock provider is deterministic', async () => {
+  const provider = new MockProvider(fixturesDir());
+  const params = { model: 'm', messages: [{ role: 'user', content: 'Same request' }], tools: [TOOL] };
+
+  assert.deepEqual(await provider.createMessage(params), await provider.createMessage(params));
+});
+
+test('free-text requests need a recording', async () => {
+  const provider = new MockProvider(fixturesDir());
+
+  await assert.rejects(
+    provider.createMessage({ model: 'm', messages: [{ role: 'user', content: 'Write a script' }] }),
+    /No recorded response/
+  );
+});
+
+test('recorded responses are replayed regardless of the model', async () => {
+  const dir = fixturesDir();
+  const recorded = {
+    content: [{ type: 'text', text: 'Recorded answer' }],
+    stop_reason: 'end_turn'
+  };
+  const recorder = new RecordingProvider({
+    name: 'fake',
+    isConfigured: () => true,
+    createMessage: async () => recorded
+  }, dir);
+  const messages = [{ role: 'user', content: 'Write a script' }];
+
+  await recorder.createMessage({ model: 'claude-sonnet-4-5', messages });
+  assert.equal(fs.readdirSync(dir).length, 1);
+
+  const chunks = [];
+  const replayed = await new MockProvider(dir).createMessage(
+    { model: 'claude-3-7-sonnet-20250219', messages },
+    text => chunks.push(text)
+  );
+
+  assert.deepEqual(replayed.content, recorded.content);
+  assert.equal(replayed.model, 'claude-3-7-sonnet-20250219');
+  assert.equal(chunks.join(''), 'Recorded answer');
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { getModelChain } = require('../src/utils/modelConfig');
+
+let api;
+let llmProviders;
+
+// Models the stub provider reports as not found; everything else goes to the mock provider
+const unavailable = new Set();
+const attempts = [];
+
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      attempts.push(params.model);
+      if (unavailable.has(params.model)) {
+        throw Object.assign(new Error(`model: ${params.model} not found`), { status: 404 });
+      }
+      return mock.createMessage(params, onText);
+    }
+  });
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  delete process.env.MODEL_CHAIN;
+  delete process.env.MODEL_CHAIN_ANALYSIS;
+  await api.close();
+});
+
+test('GET /models lists the default chain for every operation', async () => {
+  const response = await api.request('GET', '/models');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.provider, 'mock');
+  assert.deepEqual(Object.keys(response.body.operations), ['analysis', 'generation', 'refinement', 'classification']);
+  assert.deepEqual(response.body.operations.analysis.models, response.body.defaultModels);
+  assert.equal(response.body.operations.analysis.source, 'default');
+  assert.equal(response.body.operations.classification.models[0], 'claude-haiku-4-5');
+  assert.deepEqual(response.body.pricing['claude-sonnet-4-5'], { input: 3, output: 15 });
+});
+
+test('chains come from the operation variable, then MODEL_CHAIN', async () => {
+  process.env.MODEL_CHAIN = 'claude-opus-4-1, claude-sonnet-4-5';
+  process.env.MODEL_CHAIN_ANALYSIS = 'claude-haiku-4-5,not a model,claude-haiku-4-5';
+
+  try {
+    const { body } = await api.request('GET', '/models');
+
+    assert.deepEqual(body.operations.analysis, {
+      description: body.operations.analysis.description,
+      models: ['claude-haiku-4-5'],
+      source: 'MODEL_CHAIN_ANALYSIS'
+    });
+    assert.deepEqual(body.operations.refinement.models, ['claude-opus-4-1', 'claude-sonnet-4-5']);
+    assert.equal(body.operations.refinement.source, 'MODEL_CHAIN');
+    assert.deepEqual(getModelChain('analysis', ['claude-3-7-sonnet-20250219']), ['claude-3-7-sonnet-20250219']);
+  } finally {
+    delete process.env.MODEL_CHAIN;
+    delete process.env.MODEL_CHAIN_ANALYSIS;
+  }
+});
+
+test('unavailable models fall through to the next one and the answering model is recorded', async () => {
+  unavailable.add('claude-retired-1');
+  attempts.length = 0;
+
+  try {
+    const analysis = await api.request('POST', '/analyze', {
+      body: {
+        content: 'Laptop setup. Step 1: enroll the device. Step 2: install the security agent. Step 3: hand it over to the new hire.',
+        contentType: 'process',
+        models: ['claude-retired-1', 'claude-sonnet-4-5']
+      }
+    });
+
+    assert.equal(analysis.status, 200);
+    assert.equal(analysis.body.model, 'claude-sonnet-4-5');
+    assert.deepEqual(attempts, ['claude-retired-1', 'claude-sonnet-4-5']);
+
+    const stored = await api.request('GET', `/analyses/${analysis.body.analysisId}`);
+    assert.equal(stored.body.model, 'claude-sonnet-4-5');
+  } finally {
+    unavailable.clear();
+  }
+});
+
+test('requested chains are validated', async () => {
+  const invalid = await api.request('POST', '/analyze', {
+    body: { content: 'Step 1: do the thing. Step 2: check the result.', contentType: 'process', models: ['bad model'] }
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details[0].field, 'models.0');
+
+  const tooLong = await api.request('POST', '/analyze', {
+    body: { content: 'Step 1: do the thing. Step 2: check the result.', contentType: 'process', models: ['a', 'b', 'c', 'd', 'e', 'f'] }
+  });
+  assert.equal(tooLong.status, 400);
+  assert.match(tooLong.body.details[0].message, /At most 5 models/);
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let llmProviders;
+const ids = {};
+
+// Confidence reported for each document; the mock provider reports 0.8 otherwise
+const CONFIDENCE = {
+  'Shift handover': 0.5,
+  'Stock count': 0.75
+};
+
+const CONTENT = {
+  low: 'Shift handover. Step 1: note open tickets. Step 2: brief the next shift. Step 3: sign the handover log.',
+  flagged: 'Stock count. Step 1: freeze the inventory. Step 2: count each bin. Step 3: reconcile against the ledger.',
+  good: 'Room booking. Step 1: check the calendar. Step 2: reserve the room. Step 3: send the invite to attendees.'
+};
+
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      const message = await mock.createMessage(params, onText);
+      const prompt = params.messages[0].content;
+      const document = Object.keys(CONFIDENCE).find(title => prompt.includes(title));
+      if (!document) {
+        return message;
+      }
+
+      const [block] = message.content;
+      return { ...message, content: [{ ...block, input: { ...block.input, confidence: CONFIDENCE[document] } }] };
+    }
+  });
+
+  for (const [name, content] of Object.entries(CONTENT)) {
+    const analysis = await api.request('POST', '/analyze', { body: { content, contentType: 'process' } });
+    ids[name] = analysis.body.analysisId;
+  }
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  delete process.env.ANALYSIS_CONFIDENCE_THRESHOLD;
+  await api.close();
+});
+
+const generate = (name, body = {}) => api.request('POST', '/generate-skill', {
+  body: { analysisId: ids[name], skillName: `${name}-skill`, skillType: 'process', ...body }
+});
+
+test('stored analyses include the quality report', async () => {
+  const { body } = await api.request('GET', `/analyses/${ids.low}`);
+
+  assert.deepEqual(body.quality, {
+    isValid: false,
+    issues: ['Low confidence analysis - may need review'],
+    requiresReview: true,
+    confidenceThreshold: 0.7
+  });
+  assert.equal(body.requiresReview, true);
+
+  const good = await api.request('GET', `/analyses/${ids.good}`);
+  assert.equal(good.body.quality.isValid, true);
+  assert.equal(good.body.requiresReview, false);
+});
+
+test('the review queue lists unreviewed analyses that need a look, lowest confidence first', async () => {
+  const response = await api.request('GET', '/analyses/review-queue');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.analyses.map(analysis => analysis.id), [ids.low, ids.flagged]);
+  assert.equal(response.body.confidenceThreshold, 0.7);
+  assert.equal(response.body.pagination.total, 2);
+
+  const otherType = await api.request('GET', '/analyses/review-queue?type=technical');
+  assert.deepEqual(otherType.body.analyses, []);
+
+  const invalid = await api.request('GET', '/analyses/review-queue?limit=0');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details[0].field, 'limit');
+});
+
+test('skills are not generated from analyses below the confidence threshold', async () => {
+  const response = await generate('low');
+
+  assert.equal(response.status, 422);
+  assert.equal(response.body.error, 'Analysis needs review');
+  assert.match(response.body.message, /^Analysis confidence 0.5 is below the 0.7 threshold/);
+  assert.equal(response.body.confidence, 0.5);
+});
+
+test('skills are not generated from analyses flagged for review, even above the threshold', async () => {
+  const response = await generate('flagged');
+
+  assert.equal(response.status, 422);
+  assert.match(response.body.message, /^The quality check flagged this analysis for review/);
+  assert.equal(response.body.requiresReview, true);
+
+  const queued = await generate('flagged', { async: true });
+  assert.equal(queued.status, 422);
+
+  const allowed = await generate('flagged', { allowLowConfidence: true });
+  assert.equal(allowed.status, 201);
+});
+
+test('reviewing an analysis takes it out of the queue and allows generation', async () => {
+  const reviewed = await api.request('PATCH', `/analyses/${ids.low}`, { body: {} });
+  assert.equal(reviewed.status, 200);
+  assert.equal(reviewed.body.humanReviewed, true);
+  assert.equal(reviewed.body.requiresReview, false);
+
+  const queue = await api.request('GET', '/analyses/review-queue');
+  assert.deepEqual(queue.body.analyses.map(analysis => analysis.id), [ids.flagged]);
+
+  const generated = await generate('low');
+  assert.equal(generated.status, 201);
+});
+
+test('the confidence threshold is configurable', async () => {
+  process.env.ANALYSIS_CONFIDENCE_THRESHOLD = '0.9';
+
+  try {
+    const queue = await api.request('GET', '/analyses/review-queue');
+    assert.equal(queue.body.confidenceThreshold, 0.9);
+
+    const response = await generate('good');
+    assert.equal(response.status, 422);
+    assert.match(response.body.message, /below the 0.9 threshold/);
+  } finally {
+    delete process.env.ANALYSIS_CONFIDENCE_THRESHOLD;
+  }
+
+  assert.equal((await generate('good')).status, 201);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startTestServer } = require('./helpers');
+
+const SCRIPTS_REPLY = {
+  scripts: [
+    {
+      filename: 'checklist',
+      language: 'javascript',
+      description: 'Walk through the deployment checklist',
+      content: "const steps = ['Build', 'Deploy'];\nsteps.forEach((step, i) => console.log(`${i + 1}. ${step}`));\n"
+    },
+    { filename: 'broken', language: 'javascript', content: 'function (' },
+    { filename: 'ruby-helper', language: 'ruby', content: 'puts 1' },
+    { filename: 'Bad Name', language: 'javascript', content: 'console.log(1);' }
+  ]
+};
+
+let api;
+let llmProviders;
+let scriptGeneration;
+let analysisId;
+
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+  scriptGeneration = require('../src/services/scriptGeneration');
+
+  // Script prompts are free text, which the mock provider only answers from recordings
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      if (params.tools) {
+        return mock.createMessage(params, onText);
+      }
+      return {
+        content: [{ type: 'text', text: JSON.stringify(SCRIPTS_REPLY) }],
+        model: params.model,
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 100, output_tokens: 100 }
+      };
+    }
+  });
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Deployment. Step 1: build the release. Step 2: deploy to staging. Step 3: smoke test and promote to production.',
+      contentType: 'process'
+    }
+  });
+  analysisId = analysis.body.analysisId;
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  await api.close();
+});
+
+test('generated scripts are syntax-checked and bundled with the skill', async () => {
+  const generated = await api.request('POST', '/generate-skill', {
+    body: { analysisId, skillName: 'deployment', skillType: 'process', generateScripts: true }
+  });
+
+  assert.equal(generated.status, 201);
+
+  const { scripts } = generated.body.metadata;
+  assert.deepEqual(scripts.generated.map(script => script.path), ['scripts/checklist.js']);
+  assert.equal(scripts.generated[0].usage, 'node scripts/checklist.js');
+  assert.deepEqual(scripts.rejected.map(script => script.filename), ['ruby-helper', 'Bad Name', 'broken']);
+  assert.match(scripts.rejected[2].error, /^Syntax check failed/);
+
+  const download = await api.request('GET', `/skills/${generated.body.skillId}/download`);
+  const zip = await JSZip.loadAsync(download.body);
+  const skillMd = await zip.file(/SKILL\.md$/)[0].async('string');
+
+  assert.ok(zip.file(/scripts\/checklist\.js$/)[0]);
+  assert.match(skillMd, /^## Scripts$/m);
+  assert.match(skillMd, /`scripts\/checklist\.js` - Walk through the deployment checklist/);
+});
+
+test('scripts are only offered for technical and process skills', async () => {
+  const response = await api.request('POST', '/generate-skill', {
+    body: { analysisId, skillName: 'copy-scripts', skillType: 'copywriting', generateScripts: true }
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test('syntax checks report the failing line', async () => {
+  assert.deepEqual(
+    await scriptGeneration.validateScriptSyntax('echo "ok"\n', 'bash'),
+    { valid: true, checked: true, error: null }
+  );
+
+  const result = await scriptGeneration.validateScriptSyntax('if then\n', 'bash');
+  assert.equal(result.valid, false);
+  assert.match(result.error, /script\.sh/);
+  assert.doesNotMatch(result.error, /skill-script-/);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startTestServer } = require('./helpers');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+let api;
+let skillId;
+
+before(async () => {
+  api = await startTestServer();
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Database backup. Step 1: stop writes. Step 2: dump the database. Step 3: upload the dump and verify the checksum.',
+      contentType: 'process'
+    }
+  });
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: analysis.body.analysisId, skillName: 'database-backup', skillType: 'process' }
+  });
+  skillId = skill.body.skillId;
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('scripts and assets are uploaded as new versions and downloaded', async () => {
+  const upload = await api.request('POST', `/skills/${skillId}/files`, {
+    body: {
+      files: [
+        { path: 'scripts/backup.sh', content: '#!/bin/sh\npg_dump app > backup.sql\n' },
+        { path: 'assets/diagram.png', content: PNG.toString('base64'), encoding: 'base64' }
+      ],
+      changeNotes: 'Add backup script'
+    }
+  });
+
+  assert.equal(upload.status, 201);
+  assert.equal(upload.body.version, 2);
+
+  const raw = await api.request('POST', `/skills/${skillId}/files?path=assets/logo.png`, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: PNG
+  });
+  assert.equal(raw.status, 201);
+  assert.equal(raw.body.version, 3);
+
+  const list = await api.request('GET', `/skills/${skillId}/files`);
+  assert.deepEqual(list.body.files.map(file => file.path).sort(), ['assets/diagram.png', 'assets/logo.png', 'scripts/backup.sh']);
+
+  const image = await api.request('GET', `/skills/${skillId}/files/assets/diagram.png`);
+  assert.equal(image.headers.get('content-type'), 'image/png');
+  assert.deepEqual(image.body, PNG);
+
+  const download = await api.request('GET', `/skills/${skillId}/download`);
+  const zip = await JSZip.loadAsync(download.body);
+  const script = zip.file(/scripts\/backup\.sh$/)[0];
+  assert.equal(await script.async('string'), '#!/bin/sh\npg_dump app > backup.sql\n');
+  assert.deepEqual(await zip.file(/assets\/diagram\.png$/)[0].async('nodebuffer'), PNG);
+});
+
+test('files are deleted as a new version', async () => {
+  const removed = await api.request('DELETE', `/skills/${skillId}/files/assets/logo.png`);
+  assert.equal(removed.status, 200);
+
+  const missing = await api.request('GET', `/skills/${skillId}/files/assets/logo.png`);
+  assert.equal(missing.status, 404);
+
+  const again = await api.request('DELETE', `/skills/${skillId}/files/assets/logo.png`);
+  assert.equal(again.status, 404);
+});
+
+test('paths outside scripts/ and assets/ are rejected', async () => {
+  for (const filePath of ['SKILL.md', 'scripts/../SKILL.md', 'references/notes.md']) {
+    const response = await api.request('POST', `/skills/${skillId}/files`, {
+      body: { files: [{ path: filePath, content: 'text' }] }
+    });
+    assert.equal(response.status, 400, filePath);
+  }
+
+  const noPath = await api.request('POST', `/skills/${skillId}/files`, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: PNG
+  });
+  assert.equal(noPath.status, 400);
+});
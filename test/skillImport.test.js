@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startTestServer } = require('./helpers');
+
+const SKILL_MD = `---
+name: release-notes
+description: Write release notes from merged pull requests
+type: process
+---
+# Release Notes
+
+Collect the merged pull requests since the last tag, group them by area and
+summarize each change in one line for the people reading the release.
+`;
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+async function buildZip(files) {
+  const zip = new JSZip();
+  for (const [filePath, content] of Object.entries(files)) {
+    zip.file(filePath, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function importZip(buffer, query = '') {
+  return api.request('POST', `/skills/import${query}`, {
+    headers: { 'Content-Type': 'application/zip' },
+    body: buffer
+  });
+}
+
+test('a skill package is imported with its references and scripts', async () => {
+  const response = await importZip(await buildZip({
+    'release-notes/SKILL.md': SKILL_MD,
+    'release-notes/references/style.md': '# Style\n\nUse the past tense.',
+    'release-notes/scripts/collect.sh': '#!/bin/sh\ngit log --merges --oneline\n'
+  }));
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.skillName, 'release-notes');
+  assert.equal(response.body.skillType, 'process');
+  assert.deepEqual(response.body.files.references, ['style.md']);
+  assert.deepEqual(response.body.files.scripts, ['scripts/collect.sh']);
+  assert.equal(response.body.validation.isValid, true);
+
+  const duplicate = await importZip(await buildZip({
+    'SKILL.md': SKILL_MD,
+    'references/style.md': '# Style'
+  }));
+  assert.equal(duplicate.status, 409);
+});
+
+test('packages that fail validation are rejected unless explicitly allowed', async () => {
+  const zip = await buildZip({ 'SKILL.md': SKILL_MD.replace('release-notes', 'changelog') });
+
+  const rejected = await importZip(zip);
+  assert.equal(rejected.status, 422);
+  assert.ok(rejected.body.details.some(issue => /No reference files/.test(issue)));
+
+  const allowed = await importZip(zip, '?allowInvalid=true');
+  assert.equal(allowed.status, 201);
+  assert.equal(allowed.body.validation.isValid, false);
+});
+
+test('archives without SKILL.md or that are not ZIPs are rejected', async () => {
+  const missing = await importZip(await buildZip({ 'README.md': '# Not a skill' }));
+  assert.equal(missing.status, 422);
+
+  const notZip = await importZip(Buffer.from('plain text'));
+  assert.equal(notZip.status, 400);
+});
+
+test('archives that inflate past 20MB are stopped', async () => {
+  const response = await importZip(await buildZip({
+    'SKILL.md': SKILL_MD.replace('release-notes', 'zip-bomb'),
+    'assets/padding.bin': Buffer.alloc(21 * 1024 * 1024)
+  }));
+
+  assert.equal(response.status, 400);
+  assert.match(response.body.message, /exceed 20MB/);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let skillLinter;
+let skillId;
+
+before(async () => {
+  api = await startTestServer();
+  skillLinter = require('../src/services/skillLinter');
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Access review. Step 1: export the user list. Step 2: ask each manager to confirm access. Step 3: revoke what is not confirmed.',
+      contentType: 'process'
+    }
+  });
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: analysis.body.analysisId, skillName: 'access-review', skillType: 'process' }
+  });
+  skillId = skill.body.skillId;
+});
+
+after(async () => {
+  await api.close();
+});
+
+const rules = result => result.diagnostics.map(d => `${d.ruleId}@${d.file}:${d.line}`);
+
+test('rendering leftovers and broken links are reported with their line', () => {
+  const result = skillLinter.lintSkillPackage({
+    'SKILL.md': [
+      '---',
+      'name: access-review',
+      'description: Review access',
+      '---',
+      '# Access review',
+      'Owner: null',
+      'Steps: [object Object]',
+      'See [the guide](references/missing.md) and `scripts/check.sh`.',
+      'Hello {{skillName}}'
+    ].join('\n'),
+    references: { 'guide.md': '# Guide\n- undefined\n' },
+    files: { 'scripts/check.sh': { size: 10 } }
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(rules(result), [
+    'literal-null@SKILL.md:6',
+    'literal-object@SKILL.md:7',
+    'broken-reference@SKILL.md:8',
+    'unrendered-placeholder@SKILL.md:9',
+    'literal-null@references/guide.md:2'
+  ]);
+  assert.deepEqual(result.summary, { errors: 3, warnings: 2 });
+});
+
+test('frontmatter problems point at the header', () => {
+  const missing = skillLinter.lintSkillPackage({ 'SKILL.md': '# No header' });
+  assert.deepEqual(rules(missing), ['frontmatter-missing@SKILL.md:1']);
+
+  const invalid = skillLinter.lintSkillPackage({
+    'SKILL.md': `---\nname: access-review\ndescription: ${'x'.repeat(1100)}\ntags: none\n---\n# Body`
+  });
+  assert.deepEqual(rules(invalid), ['frontmatter-missing-key@SKILL.md:4', 'description-too-long@SKILL.md:3']);
+});
+
+test('generated skills lint clean and unsaved edits can be linted', async () => {
+  const stored = await api.request('POST', `/skills/${skillId}/lint`, { body: {} });
+
+  assert.equal(stored.status, 200);
+  assert.equal(stored.body.skillId, skillId);
+  assert.equal(stored.body.summary.errors, 0);
+
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  const edited = await api.request('POST', `/skills/${skillId}/lint`, {
+    body: { mainContent: `${skill.body.mainContent}\nSee [notes](references/notes.md)\n` }
+  });
+
+  assert.equal(edited.body.valid, false);
+  assert.equal(edited.body.diagnostics[0].ruleId, 'broken-reference');
+
+  const missing = await api.request('POST', '/skills/9999/lint', { body: {} });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startTestServer } = require('./helpers');
+
+const PROCESS_CONTENT = `Client onboarding procedure.
+Step 1: Send the welcome email and schedule the kickoff call.
+Step 2: Collect access credentials and confirm the project scope.
+Step 3: Set up the shared workspace, then hand off to the delivery lead for approval.`;
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('analyze, generate a skill and download it as a ZIP', async () => {
+  const analysis = await api.request('POST', '/analyze', {
+    body: { content: PROCESS_CONTENT, contentType: 'process' }
+  });
+
+  assert.equal(analysis.status, 200);
+  assert.equal(analysis.body.contentType, 'process');
+  assert.ok(analysis.body.analysisId);
+  assert.ok(analysis.body.extractedData.workflow);
+  assert.equal(analysis.body.cache.hit, false);
+  assert.ok(Array.isArray(analysis.body.quality.issues));
+
+  const generated = await api.request('POST', '/generate-skill', {
+    body: {
+      analysisId: analysis.body.analysisId,
+      skillName: 'Client Onboarding',
+      skillType: 'process',
+      description: 'Onboard new clients step by step'
+    }
+  });
+
+  assert.equal(generated.status, 201);
+  assert.equal(generated.body.skillName, 'client-onboarding');
+  assert.equal(generated.body.version, 1);
+
+  const download = await api.request('GET', `/skills/${generated.body.skillId}/download`);
+
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('content-type'), 'application/zip');
+
+  const zip = await JSZip.loadAsync(download.body);
+  const skillMd = zip.file(/(^|\/)SKILL\.md$/)[0];
+  assert.ok(skillMd, 'the archive contains SKILL.md');
+
+  const content = await skillMd.async('string');
+  assert.match(content, /^---\n/);
+  assert.match(content, /^name: client-onboarding$/m);
+  assert.match(content, /^description: Onboard new clients step by step$/m);
+});
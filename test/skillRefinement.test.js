@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let llmProviders;
+let skillId;
+
+// Answers refinement prompts with the reply set by each test; analysis tool
+// calls go to the mock provider
+const prompts = [];
+let refinementReply;
+
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      if (params.tools) {
+        return mock.createMessage(params, onText);
+      }
+      prompts.push(params.messages[0].content);
+      return {
+        content: [{ type: 'text', text: refinementReply() }],
+        model: params.model,
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 100, output_tokens: 100 }
+      };
+    }
+  });
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Vendor onboarding. Step 1: collect tax forms. Step 2: run the compliance check. Step 3: add the vendor to the payment system.',
+      contentType: 'process'
+    }
+  });
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: analysis.body.analysisId, skillName: 'vendor-onboarding', skillType: 'process' }
+  });
+  skillId = skill.body.skillId;
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  await api.close();
+});
+
+async function revisedSkillMd(section) {
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  return `${skill.body.mainContent}\n\n## ${section}\n\nAdded from feedback.\n`;
+}
+
+test('recorded improvement notes are applied oldest first and only once', async () => {
+  await api.request('POST', `/skills/${skillId}/usage`, { body: { rating: 3, improvementNotes: 'Explain the tax forms' } });
+  await api.request('POST', `/skills/${skillId}/usage`, { body: { rating: 4 } });
+  await api.request('POST', `/skills/${skillId}/usage`, { body: { improvementNotes: 'Add a compliance checklist' } });
+
+  const skillMd = await revisedSkillMd('Compliance checklist');
+  refinementReply = () => JSON.stringify({ skillMd, summary: 'Added a compliance checklist' });
+
+  const refined = await api.request('POST', `/skills/${skillId}/refine`, { body: {} });
+
+  assert.equal(refined.status, 200);
+  assert.equal(refined.body.version, 2);
+  assert.equal(refined.body.previousVersion, 1);
+  assert.equal(refined.body.feedbackUsed, 2);
+  assert.equal(refined.body.changeNotes, 'Added a compliance checklist');
+
+  const prompt = prompts[prompts.length - 1];
+  assert.ok(prompt.indexOf('Explain the tax forms (rating 3/5)') < prompt.indexOf('Add a compliance checklist'));
+
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  assert.match(skill.body.mainContent, /^## Compliance checklist$/m);
+
+  const again = await api.request('POST', `/skills/${skillId}/refine`, { body: {} });
+  assert.equal(again.status, 400);
+});
+
+test('notes sent with the request are used instead of recorded ones', async () => {
+  const skillMd = await revisedSkillMd('Escalation');
+  refinementReply = () => JSON.stringify({ skillMd, summary: 'Added escalation' });
+
+  const refined = await api.request('POST', `/skills/${skillId}/refine`, {
+    body: { notes: ['Say who to escalate to'], changeNotes: 'Escalation contacts' }
+  });
+
+  assert.equal(refined.status, 200);
+  assert.equal(refined.body.feedbackUsed, 1);
+  assert.equal(refined.body.changeNotes, 'Escalation contacts');
+  assert.match(prompts[prompts.length - 1], /- Say who to escalate to/);
+});
+
+test('unusable model output leaves the skill unchanged', async () => {
+  const previous = await api.request('GET', `/skills/${skillId}`);
+  refinementReply = () => JSON.stringify({ summary: 'Forgot the skill' });
+
+  const refined = await api.request('POST', `/skills/${skillId}/refine`, { body: { notes: ['Anything'] } });
+
+  assert.equal(refined.status, 502);
+  assert.equal(refined.body.error, 'Skill refinement failed');
+
+  const current = await api.request('GET', `/skills/${skillId}`);
+  assert.equal(current.body.version, previous.body.version);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let skillId;
+
+before(async () => {
+  api = await startTestServer();
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Customer refund. Step 1: verify the order. Step 2: confirm the refund amount. Step 3: issue the refund and notify the customer.',
+      contentType: 'process'
+    }
+  });
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId: analysis.body.analysisId, skillName: 'customer-refund', skillType: 'process', tags: ['support'] }
+  });
+  skillId = skill.body.skillId;
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('uses and ratings are recorded and summarized', async () => {
+  const first = await api.request('POST', `/skills/${skillId}/usage`, {
+    body: { usageContext: 'Refund for order 1042', rating: 5 }
+  });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.rating, 5);
+
+  await api.request('POST', `/skills/${skillId}/usage`, {
+    body: { rating: 2, improvementNotes: 'Mention partial refunds' }
+  });
+  await api.request('POST', `/skills/${skillId}/usage`, { body: {} });
+
+  const summary = await api.request('GET', `/skills/${skillId}/usage?interval=month`);
+
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.useCount, 3);
+  assert.equal(summary.body.ratingCount, 2);
+  assert.equal(summary.body.averageRating, 3.5);
+  assert.deepEqual(summary.body.ratingDistribution, { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 });
+  assert.equal(summary.body.usageOverTime.length, 1);
+  assert.equal(summary.body.usageOverTime[0].uses, 3);
+  assert.equal(summary.body.recentFeedback.length, 2);
+  assert.equal(summary.body.recentFeedback[0].improvementNotes, 'Mention partial refunds');
+});
+
+test('ratings outside 1-5 are rejected', async () => {
+  const response = await api.request('POST', `/skills/${skillId}/usage`, { body: { rating: 6 } });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.details[0].field, 'rating');
+});
+
+test('usage of unknown skills returns 404', async () => {
+  const record = await api.request('POST', '/skills/9999/usage', { body: { rating: 4 } });
+  const summary = await api.request('GET', '/skills/9999/usage');
+
+  assert.equal(record.status, 404);
+  assert.equal(summary.status, 404);
+});
+
+test('empty values in an update are applied rather than ignored', async () => {
+  const cleared = await api.request('PUT', `/skills/${skillId}`, { body: { tags: [] } });
+  assert.equal(cleared.status, 200);
+
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  assert.deepEqual(skill.body.metadata.tags, []);
+
+  // SKILL.md needs a description, so clearing it is reported instead of silently skipped
+  const description = await api.request('PUT', `/skills/${skillId}`, { body: { description: '' } });
+  assert.equal(description.status, 400);
+  assert.equal(description.body.details[0].field, 'description');
+});
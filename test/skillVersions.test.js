@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let skillId;
+
+before(async () => {
+  api = await startTestServer();
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Code review. Step 1: read the description. Step 2: run the branch locally. Step 3: leave comments and approve.',
+      contentType: 'process'
+    }
+  });
+  const skill = await api.request('POST', '/generate-skill', {
+    body: {
+      analysisId: analysis.body.analysisId,
+      skillName: 'code-review',
+      skillType: 'process',
+      description: 'Review pull requests'
+    }
+  });
+  skillId = skill.body.skillId;
+
+  const update = await api.request('PUT', `/skills/${skillId}`, {
+    body: { description: 'Review pull requests thoroughly', changeNotes: 'Clarify description' }
+  });
+  assert.equal(update.status, 200);
+  assert.equal(update.body.version, 2);
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('versions are listed newest first and can be read', async () => {
+  const versions = await api.request('GET', `/skills/${skillId}/versions`);
+
+  assert.equal(versions.status, 200);
+  assert.deepEqual(versions.body.versions.map(v => v.version), [2, 1]);
+
+  const first = await api.request('GET', `/skills/${skillId}/versions/1`);
+  assert.equal(first.status, 200);
+  assert.match(first.body.mainContent, /^description: Review pull requests$/m);
+
+  const missing = await api.request('GET', `/skills/${skillId}/versions/9`);
+  assert.equal(missing.status, 404);
+});
+
+test('diffs show what changed between versions', async () => {
+  const diff = await api.request('GET', `/skills/${skillId}/diff?from=1`);
+
+  assert.equal(diff.status, 200);
+  assert.equal(diff.body.from, 1);
+  assert.equal(diff.body.to, 2);
+
+  const skillMd = diff.body.files.find(file => file.path === 'SKILL.md');
+  assert.equal(skillMd.status, 'modified');
+  assert.match(skillMd.patch, /^-description: Review pull requests$/m);
+  assert.match(skillMd.patch, /^\+description: Review pull requests thoroughly$/m);
+
+  const patch = await api.request('GET', `/skills/${skillId}/diff?from=1&to=2&format=patch`);
+  assert.match(patch.headers.get('content-type'), /^text\/x-diff/);
+  assert.equal(patch.body.toString('utf8'), diff.body.patch);
+
+  const missing = await api.request('GET', `/skills/${skillId}/diff?from=1&to=9`);
+  assert.equal(missing.status, 404);
+});
+
+test('rolling back restores an earlier version as a new one', async () => {
+  const rollback = await api.request('POST', `/skills/${skillId}/rollback`, {
+    body: { version: 1, changeNotes: 'Back to the original' }
+  });
+
+  assert.equal(rollback.status, 200);
+  assert.equal(rollback.body.version, 3);
+  assert.equal(rollback.body.restoredFrom, 1);
+
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  assert.equal(skill.body.description, 'Review pull requests');
+
+  const noop = await api.request('POST', `/skills/${skillId}/rollback`, { body: { version: 3 } });
+  assert.equal(noop.status, 409);
+});
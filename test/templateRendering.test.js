@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let api;
+let skillGeneration;
+let skillLinter;
+
+before(async () => {
+  api = await startTestServer();
+  skillGeneration = require('../src/services/skillGeneration');
+  skillLinter = require('../src/services/skillLinter');
+});
+
+after(async () => {
+  await api.close();
+});
+
+function render(skillType, extractedData) {
+  const droppedSections = new Set();
+  const files = skillGeneration.generateSkillFiles(skillType, {
+    skillName: 'sparse-skill',
+    description: 'Rendered from sparse data',
+    contentType: skillType,
+    tags: [],
+    extractedData
+  }, null, droppedSections);
+
+  return { files, dropped: skillGeneration.listDroppedSections(droppedSections) };
+}
+
+test('empty sections are omitted and reported', () => {
+  const { files, dropped } = render('process', {
+    workflow: {
+      steps: [{ name: 'Prepare', description: null, owner: { role: 'Lead', team: 'Ops' } }, null, 'N/A'],
+      decisionPoints: null,
+      criticalPath: 'Approval'
+    },
+    resources: null,
+    quality: { successMetrics: [], qualityChecks: null },
+    context: { when: 'Monthly', frequency: null }
+  });
+  const skillMd = files['SKILL.md'];
+
+  assert.match(skillMd, /^#### Prepare$/m);
+  assert.match(skillMd, /^- \*\*Owner:\*\* Role: Lead; Team: Ops$/m);
+  assert.match(skillMd, /^### Critical Path\nApproval$/m);
+  assert.doesNotMatch(skillMd, /Decision Points|Quality|Frequency/);
+  assert.ok(dropped.includes('resources'));
+  assert.ok(dropped.includes('quality'));
+  assert.ok(dropped.includes('workflow.decisionPoints'));
+  assert.ok(!dropped.includes('quality.successMetrics'), 'paths inside a dropped section are not repeated');
+});
+
+test('nested objects and nulls never reach the rendered markdown', () => {
+  const { files } = render('copywriting', {
+    core: { bigIdea: { headline: 'Save time', angle: 'Automation' }, hook: null, cta: ['Sign up', null] },
+    style: { toneVoice: 'null', psychologicalTriggers: 'Urgency' },
+    structure: null,
+    language: { powerWords: [{ word: 'Free' }, 'Now'] }
+  });
+
+  for (const content of [files['SKILL.md'], ...Object.values(files.references)]) {
+    assert.doesNotMatch(content, /\[object Object\]/);
+    assert.doesNotMatch(content, /^\s*(?:[-*]\s+)?(?:null|undefined)\s*$/m);
+  }
+
+  const lint = skillLinter.lintSkillPackage(files);
+  assert.deepEqual(lint.diagnostics.filter(d => ['literal-object', 'literal-null'].includes(d.ruleId)), []);
+});
+
+test('generation reports dropped sections in the skill metadata', async () => {
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Month-end close. Step 1: reconcile the accounts. Step 2: book accruals. Step 3: review and lock the period.',
+      contentType: 'process'
+    }
+  });
+  const generated = await api.request('POST', '/generate-skill', {
+    body: { analysisId: analysis.body.analysisId, skillName: 'month-end-close', skillType: 'process' }
+  });
+
+  assert.equal(generated.status, 201);
+  assert.deepEqual(generated.body.metadata.droppedSections, []);
+});
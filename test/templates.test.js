@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+const HOUSE_STYLE = `# {{skillName}}
+
+House style for {{contentType}} skills.
+
+## Steps
+{{#each extractedData.workflow.steps}}
+- {{this.name}}
+{{/each}}`;
+
+let api;
+let analysisId;
+
+before(async () => {
+  api = await startTestServer();
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Expense approval. Step 1: submit the receipt. Step 2: the manager approves or rejects within two days.',
+      contentType: 'process'
+    }
+  });
+  analysisId = analysis.body.analysisId;
+});
+
+after(async () => {
+  await api.close();
+});
+
+test('templates are created, previewed and used for generation', async () => {
+  const created = await api.request('POST', '/templates', {
+    body: {
+      name: 'House style',
+      contentType: 'process',
+      skillMd: HOUSE_STYLE,
+      references: { 'glossary.md': '# Glossary for {{skillName}}' }
+    }
+  });
+
+  assert.equal(created.status, 201);
+  assert.equal(created.body.version, 1);
+
+  const preview = await api.request('POST', `/templates/${created.body.id}/preview`, {
+    body: { analysisId, skillName: 'expense-approval' }
+  });
+
+  assert.equal(preview.status, 200);
+  assert.match(preview.body.files['SKILL.md'], /^---\nname: expense-approval\n/);
+  assert.match(preview.body.files['SKILL.md'], /House style for process skills\./);
+  assert.match(preview.body.files['SKILL.md'], /^- \[mock\] Step name$/m);
+  assert.equal(preview.body.files.references['glossary.md'], '# Glossary for expense-approval');
+
+  const generated = await api.request('POST', '/generate-skill', {
+    body: { analysisId, skillName: 'expense-approval', skillType: 'process', templateId: created.body.id }
+  });
+
+  assert.equal(generated.status, 201);
+});
+
+test('content changes create a new template version', async () => {
+  const created = await api.request('POST', '/templates', {
+    body: { name: 'Versioned', skillMd: '# {{skillName}}' }
+  });
+
+  const updated = await api.request('PUT', `/templates/${created.body.id}`, {
+    body: { skillMd: '# {{skillName}} v2', changeNotes: 'Rename heading' }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.version, 2);
+
+  const first = await api.request('GET', `/templates/${created.body.id}?version=1`);
+  assert.equal(first.body.skillMd, '# {{skillName}}');
+  assert.equal(first.body.versions.length, 2);
+});
+
+test('invalid Handlebars is rejected', async () => {
+  const response = await api.request('POST', '/templates', {
+    body: { name: 'Broken', skillMd: '# {{#each steps}}' }
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test('templates for another content type cannot be used', async () => {
+  const created = await api.request('POST', '/templates', {
+    body: { name: 'Technical only', contentType: 'technical', skillMd: '# {{skillName}}' }
+  });
+
+  const response = await api.request('POST', '/generate-skill', {
+    body: { analysisId, skillName: 'wrong-type', skillType: 'process', templateId: created.body.id }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid template');
+});
+
+test('unknown templates return 404', async () => {
+  const response = await api.request('GET', '/templates/9999');
+
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { parseClaudeResponse } = require('../src/utils/claudeClient');
+
+let api;
+let llmProviders;
+
+// Answers with the mock provider's tool call, or turns it into the shape set by
+// each test; every request the provider sees is kept
+const requests = [];
+let answerAs = 'tool';
+
+const NOTES = 'Templates use {placeholders} such as {"client": "{name}"}';
+
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      requests.push(params);
+      const message = await mock.createMessage(params, onText);
+      if (answerAs === 'tool') {
+        return message;
+      }
+
+      const input = { ...message.content[0].input, notes: NOTES };
+      const text = `Here is the analysis:\n\n\`\`\`json\n${JSON.stringify(input, null, 2)}\n\`\`\``;
+      return {
+        ...message,
+        content: answerAs === 'truncated'
+          ? [{ type: 'text', text }, { type: 'tool_use', id: 'toolu_cut', name: message.content[0].name, input: {} }]
+          : [{ type: 'text', text }],
+        stop_reason: answerAs === 'truncated' ? 'max_tokens' : 'end_turn'
+      };
+    }
+  });
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  await api.close();
+});
+
+async function analyze(content) {
+  requests.length = 0;
+  return api.request('POST', '/analyze', { body: { content, contentType: 'process' } });
+}
+
+test('the framework is sent as a forced tool call and its input is used directly', async () => {
+  answerAs = 'tool';
+  const analysis = await analyze('Release checklist. Step 1: freeze the branch. Step 2: run the full test suite. Step 3: tag and publish the build.');
+
+  assert.equal(analysis.status, 200);
+  assert.equal(analysis.body.validation.structuredOutput, true);
+  assert.deepEqual(analysis.body.validation.discardedFields, []);
+
+  const [params] = requests;
+  assert.equal(params.tools.length, 1);
+  assert.equal(params.tools[0].name, 'record_analysis');
+  assert.deepEqual(params.tool_choice, { type: 'tool', name: 'record_analysis' });
+  assert.ok(params.tools[0].input_schema.properties.extractedData.properties.workflow);
+  assert.deepEqual(params.tools[0].input_schema.required, ['extractedData', 'confidence']);
+});
+
+test('a text answer is parsed as a fallback', async () => {
+  answerAs = 'text';
+  const analysis = await analyze('Expense approval. Step 1: submit the receipt. Step 2: the manager approves. Step 3: finance reimburses within a week.');
+
+  assert.equal(analysis.status, 200);
+  assert.equal(analysis.body.validation.structuredOutput, false);
+  assert.equal(analysis.body.notes, NOTES);
+  assert.ok(analysis.body.extractedData.workflow);
+});
+
+test('a tool call cut off at max_tokens falls back to the text', async () => {
+  answerAs = 'truncated';
+  const analysis = await analyze('Incident response. Step 1: page the on-call engineer. Step 2: open the incident channel. Step 3: write the postmortem.');
+
+  assert.equal(analysis.status, 200);
+  assert.equal(analysis.body.validation.structuredOutput, false);
+  assert.equal(analysis.body.notes, NOTES);
+});
+
+test('the text fallback reads JSON with braces inside strings', () => {
+  const json = JSON.stringify({ notes: NOTES, nested: { list: ['{', '}'] } });
+
+  assert.deepEqual(parseClaudeResponse(json), JSON.parse(json));
+  assert.deepEqual(parseClaudeResponse(`\`\`\`json\n${json}\n\`\`\``), JSON.parse(json));
+  assert.deepEqual(parseClaudeResponse(`The result is ${json} as requested.`), JSON.parse(json));
+  assert.throws(() => parseClaudeResponse('No JSON here'), /No valid JSON found/);
+});
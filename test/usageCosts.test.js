@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN_API_KEY } = require('./helpers');
+const { calculateCost } = require('../src/utils/modelConfig');
+
+let api;
+let llmProviders;
+let dbConnection;
+let otherKey;
+let otherWorkspaceId;
+let analysisId;
+
+const asAdmin = { headers: { 'X-Admin-Key': ADMIN_API_KEY } };
+const today = new Date().toISOString().slice(0, 10);
+
+// Mock provider answers with fixed token counts, so costs are predictable
+before(async () => {
+  api = await startTestServer();
+  llmProviders = require('../src/utils/llmProviders');
+  dbConnection = require('../src/db/database');
+
+  const mock = new llmProviders.MockProvider(process.env.LLM_FIXTURES_DIR);
+  llmProviders.setProvider({
+    name: 'stub',
+    isConfigured: () => true,
+    async createMessage(params, onText) {
+      const message = await mock.createMessage(params, onText);
+      return { ...message, usage: { input_tokens: 1000, output_tokens: 200 } };
+    }
+  });
+
+  const workspace = await api.request('POST', '/workspaces', {
+    ...asAdmin,
+    body: { name: 'Billing Team', slug: 'billing-team', ownerEmail: 'owner@example.com' }
+  });
+  otherKey = workspace.body.apiKey.key;
+  otherWorkspaceId = workspace.body.workspace.id;
+
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Month-end close. Step 1: reconcile the bank accounts. Step 2: post the accruals. Step 3: review the trial balance.',
+      contentType: 'process',
+      models: ['claude-sonnet-4-5']
+    }
+  });
+  analysisId = analysis.body.analysisId;
+
+  await api.request('POST', '/analyze', {
+    headers: { 'X-API-Key': otherKey },
+    body: {
+      content: 'Caching explained. A cache keeps recent results close to the caller so repeated reads are fast.',
+      contentType: 'technical',
+      models: ['unpriced-model']
+    }
+  });
+});
+
+after(async () => {
+  llmProviders.setProvider(null);
+  await api.close();
+});
+
+test('every model call is recorded with its tokens, cost and analysis', () => {
+  const calls = dbConnection.getConnection()
+    .prepare('SELECT * FROM llm_calls WHERE analysis_id = ?')
+    .all(analysisId);
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].operation, 'analysis');
+  assert.equal(calls[0].model, 'claude-sonnet-4-5');
+  assert.equal(calls[0].content_type, 'process');
+  assert.equal(calls[0].input_tokens, 1000);
+  assert.equal(calls[0].output_tokens, 200);
+  assert.equal(calls[0].cost, 0.006);
+});
+
+test('the admin report covers every workspace by day, content type and workspace', async () => {
+  const response = await api.request('GET', '/usage/costs', asAdmin);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.currency, 'USD');
+  assert.deepEqual(response.body.total, { calls: 2, inputTokens: 2000, outputTokens: 400, cost: 0.006, unpricedCalls: 1 });
+  assert.deepEqual(response.body.byDay.map(day => [day.date, day.calls]), [[today, 2]]);
+  assert.deepEqual(
+    response.body.byContentType.map(row => [row.contentType, row.cost, row.unpricedCalls]),
+    [['process', 0.006, 0], ['technical', 0, 1]]
+  );
+  assert.deepEqual(response.body.byWorkspace.map(row => row.workspaceName).sort(), ['Billing Team', 'Default']);
+
+  const filtered = await api.request('GET', `/usage/costs?workspaceId=${otherWorkspaceId}&to=2000-01-01`, asAdmin);
+  assert.equal(filtered.body.total.calls, 0);
+});
+
+test('workspace owners only see their own workspace', async () => {
+  const own = await api.request('GET', '/usage/costs', { headers: { 'X-API-Key': otherKey } });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.total.calls, 1);
+  assert.deepEqual(own.body.byWorkspace.map(row => row.workspaceId), [otherWorkspaceId]);
+
+  const other = await api.request('GET', '/usage/costs?workspaceId=1', { headers: { 'X-API-Key': otherKey } });
+  assert.equal(other.status, 403);
+});
+
+test('report dates are validated', async () => {
+  const invalid = await api.request('GET', '/usage/costs?from=yesterday', asAdmin);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details[0].field, 'from');
+
+  const reversed = await api.request('GET', '/usage/costs?from=2025-02-01&to=2025-01-01', asAdmin);
+  assert.equal(reversed.status, 400);
+  assert.deepEqual(reversed.body.details, [{ field: 'from', message: 'from must not be after to' }]);
+});
+
+test('costs use the longest matching price and MODEL_PRICING overrides', () => {
+  assert.equal(calculateCost('claude-sonnet-4-20250514', 1000000, 1000000), 18);
+  assert.equal(calculateCost('claude-3-5-haiku-20241022', 1000000, 0), 0.8);
+  assert.equal(calculateCost('unknown-model', 1000, 1000), null);
+
+  process.env.MODEL_PRICING = JSON.stringify({ 'unknown-model': { input: 1, output: 2 } });
+  try {
+    assert.equal(calculateCost('unknown-model', 1000000, 1000000), 3);
+  } finally {
+    delete process.env.MODEL_PRICING;
+  }
+});
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN_API_KEY } = require('./helpers');
+
+let api;
+let otherKey;
+let skillId;
+let analysisId;
+
+before(async () => {
+  api = await startTestServer();
+
+  // A skill and analysis in the default workspace (requests without a key)
+  const analysis = await api.request('POST', '/analyze', {
+    body: {
+      content: 'Step 1: Receive the invoice. Step 2: Match it to the purchase order. Step 3: Approve payment.',
+      contentType: 'process'
+    }
+  });
+  analysisId = analysis.body.analysisId;
+
+  const skill = await api.request('POST', '/generate-skill', {
+    body: { analysisId, skillName: 'invoice-approval', skillType: 'process' }
+  });
+  skillId = skill.body.skillId;
+
+  const workspace = await api.request('POST', '/workspaces', {
+    headers: { 'X-Admin-Key': ADMIN_API_KEY },
+    body: { name: 'Other Team', slug: 'other-team', ownerEmail: 'owner@example.com' }
+  });
+  assert.equal(workspace.status, 201);
+  otherKey = workspace.body.apiKey.key;
+});
+
+after(async () => {
+  await api.close();
+});
+
+const asOther = (options = {}) => ({ ...options, headers: { 'X-API-Key': otherKey, ...options.headers } });
+
+test('creating a workspace requires the admin key', async () => {
+  const response = await api.request('POST', '/workspaces', {
+    body: { name: 'Sneaky', slug: 'sneaky', ownerEmail: 'sneaky@example.com' }
+  });
+
+  assert.equal(response.status, 403);
+});
+
+test('skills of another workspace are not listed or readable', async () => {
+  const list = await api.request('GET', '/skills', asOther());
+  assert.equal(list.status, 200);
+  assert.equal(list.body.skills.length, 0);
+
+  for (const path of [`/skills/${skillId}`, `/skills/${skillId}/download`, `/skills/${skillId}/versions`]) {
+    const response = await api.request('GET', path, asOther());
+    assert.equal(response.status, 404, path);
+  }
+});
+
+test('skills of another workspace cannot be changed or deleted', async () => {
+  const update = await api.request('PUT', `/skills/${skillId}`, asOther({ body: { description: 'Taken over' } }));
+  const remove = await api.request('DELETE', `/skills/${skillId}`, asOther());
+
+  assert.equal(update.status, 404);
+  assert.equal(remove.status, 404);
+
+  const skill = await api.request('GET', `/skills/${skillId}`);
+  assert.equal(skill.status, 200);
+});
+
+test('analyses of another workspace are not listed, readable or usable', async () => {
+  const list = await api.request('GET', '/analyses', asOther());
+  assert.equal(list.body.analyses.length, 0);
+
+  const get = await api.request('GET', `/analyses/${analysisId}`, asOther());
+  const generate = await api.request('POST', '/generate-skill', asOther({
+    body: { analysisId, skillName: 'stolen-skill', skillType: 'process' }
+  }));
+
+  assert.equal(get.status, 404);
+  assert.equal(generate.status, 404);
+});
+
+test('skill names only need to be unique within a workspace', async () => {
+  const analysis = await api.request('POST', '/analyze', asOther({
+    body: {
+      content: 'Step 1: Receive the invoice. Step 2: Match it to the purchase order. Step 3: Approve payment.',
+      contentType: 'process'
+    }
+  }));
+  assert.notEqual(analysis.body.analysisId, analysisId, 'the cache is not shared across workspaces');
+
+  const skill = await api.request('POST', '/generate-skill', asOther({
+    body: { analysisId: analysis.body.analysisId, skillName: 'invoice-approval', skillType: 'process' }
+  }));
+  assert.equal(skill.status, 201);
+
+  const defaultList = await api.request('GET', '/skills');
+  assert.deepEqual(defaultList.body.skills.map(s => s.id), [skillId]);
+});
+
+test('frameworks can only be changed with the admin key', async () => {
+  const framework = {
+    contentType: 'sales-email',
+    name: 'Sales email',
+    framework: { core: { hook: 'Opening line' } }
+  };
+
+  const create = await api.request('POST', '/frameworks', asOther({ body: framework }));
+  assert.equal(create.status, 403);
+
+  const adminCreate = await api.request('POST', '/frameworks', {
+    headers: { 'X-Admin-Key': ADMIN_API_KEY },
+    body: framework
+  });
+  assert.equal(adminCreate.status, 201);
+
+  const update = await api.request('PUT', '/frameworks/sales-email', asOther({ body: { name: 'Hijacked' } }));
+  const remove = await api.request('DELETE', '/frameworks/sales-email', asOther());
+  assert.equal(update.status, 403);
+  assert.equal(remove.status, 403);
+
+  const current = await api.request('GET', '/frameworks/sales-email', asOther());
+  assert.equal(current.body.name, 'Sales email');
+  assert.equal(current.body.version, 1);
+});
+
+test('requests without a key cannot manage users, API keys or costs', async () => {
+  const key = await api.request('POST', '/workspace/api-keys', { body: { name: 'Anonymous key' } });
+  const user = await api.request('POST', '/workspace/users', { body: { email: 'intruder@example.com', role: 'owner' } });
+  const costs = await api.request('GET', '/usage/costs');
+
+  assert.equal(key.status, 403);
+  assert.equal(user.status, 403);
+  assert.equal(costs.status, 403);
+
+  const ownerKey = await api.request('POST', '/workspace/api-keys', asOther({ body: { name: 'Second key' } }));
+  const ownerUser = await api.request('POST', '/workspace/users', asOther({ body: { email: 'member@example.com' } }));
+
+  assert.equal(ownerKey.status, 201);
+  assert.equal(ownerUser.status, 201);
+});
+
+test('publishing only falls back to the server GitHub token for the admin', async (t) => {
+  process.env.GITHUB_TOKEN = 'server-token';
+  t.after(() => delete process.env.GITHUB_TOKEN);
+
+  const response = await api.request('POST', `/skills/${skillId}/publish`, { body: {} });
+
+  assert.equal(response.status, 401);
+  assert.equal(response.body.error, 'GitHub authentication required');
+});
+
+test('unknown API keys are rejected', async () => {
+  const response = await api.request('GET', '/skills', { headers: { 'X-API-Key': 'not-a-key' } });
+
+  assert.equal(response.status, 401);
+});